@@ -0,0 +1,244 @@
+// config.js - Runtime configuration, read once from the environment (.env is loaded by server.js)
+const path = require('path');
+
+const int = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+const number = (value, fallback) => {
+  const parsed = parseFloat(value);
+  return Number.isNaN(parsed) ? fallback : parsed;
+};
+
+// Base URLs without a trailing slash, so providers can append paths
+const baseUrl = (value, fallback) => (value || fallback).replace(/\/+$/, '');
+
+const list = (value, fallback) => (value
+  ? value.split(',').map(item => item.trim()).filter(Boolean)
+  : fallback);
+
+// CACHE_TTL_<PLATFORM>_POSITIVE / _NEGATIVE overrides, in seconds
+const ttlOverrides = Object.keys(process.env).reduce((overrides, key) => {
+  const match = key.match(/^CACHE_TTL_([A-Z0-9]+)_(POSITIVE|NEGATIVE)$/);
+  if (match && !Number.isNaN(parseInt(process.env[key], 10))) {
+    const platform = match[1].toLowerCase();
+    overrides[platform] = overrides[platform] || {};
+    overrides[platform][match[2].toLowerCase()] = parseInt(process.env[key], 10);
+  }
+  return overrides;
+}, {});
+
+const upstreams = {
+  // Bluesky AppView serving app.bsky.* queries, and the did:plc directory
+  bluesky: baseUrl(process.env.BLUESKY_APPVIEW_URL, 'https://public.api.bsky.app'),
+  plc: baseUrl(process.env.PLC_DIRECTORY_URL, 'https://plc.directory'),
+  dockerhub: baseUrl(process.env.DOCKERHUB_URL, 'https://hub.docker.com'),
+  github: baseUrl(process.env.GITHUB_API_URL, 'https://api.github.com'),
+  gitlab: baseUrl(process.env.GITLAB_URL, 'https://gitlab.com'),
+  hackernews: baseUrl(process.env.HACKERNEWS_API_URL, 'https://hacker-news.firebaseio.com'),
+  instagram: baseUrl(process.env.INSTAGRAM_URL, 'https://www.instagram.com'),
+  linkedin: baseUrl(process.env.LINKEDIN_URL, 'https://www.linkedin.com'),
+  // npm: registry (users, package search) and the separate download counts API
+  npmRegistry: baseUrl(process.env.NPM_REGISTRY_URL, 'https://registry.npmjs.org'),
+  npmApi: baseUrl(process.env.NPM_API_URL, 'https://api.npmjs.org'),
+  reddit: baseUrl(process.env.REDDIT_URL, 'https://www.reddit.com'),
+  stackexchange: baseUrl(process.env.STACKEXCHANGE_API_URL, 'https://api.stackexchange.com'),
+  tiktok: baseUrl(process.env.TIKTOK_URL, 'https://www.tiktok.com'),
+  youtube: baseUrl(process.env.YOUTUBE_URL, 'https://www.youtube.com')
+};
+
+// Scraped sites block aggressively, so they get a slower budget than the JSON APIs
+const scrapedHostLimits = { ratePerSec: 0.5, burst: 2, concurrency: 1 };
+
+// OUTBOUND_HOST_LIMITS='{"www.reddit.com":{"ratePerSec":1}}' overrides the per-host settings
+const hostLimits = () => {
+  const defaults = ['instagram', 'linkedin', 'tiktok', 'youtube'].reduce((limits, name) => {
+    limits[new URL(upstreams[name]).host] = scrapedHostLimits;
+    return limits;
+  }, {});
+  return { ...defaults, ...JSON.parse(process.env.OUTBOUND_HOST_LIMITS || '{}') };
+};
+
+module.exports = {
+  // Upstream base URLs, overridable to point providers at mirrors or local stand-in servers
+  upstreams,
+  nitter: {
+    // Comma separated list, tried in order of recent health
+    instances: list(process.env.NITTER_INSTANCES, [
+      'https://nitter.net',
+      'https://nitter.poast.org',
+      'https://nitter.privacydev.net'
+    ]).map(instance => baseUrl(instance)),
+    // Consecutive failures before an instance is taken out of rotation, and for how long
+    failureThreshold: int(process.env.NITTER_FAILURE_THRESHOLD, 3),
+    cooldownMs: int(process.env.NITTER_COOLDOWN_MS, 5 * 60 * 1000)
+  },
+  fediverse: {
+    // Instances (domains) tried in order for bare usernames; user@instance handles need none
+    instances: list(process.env.FEDIVERSE_INSTANCES, []).map(instance => instance.toLowerCase()),
+    // 'http' only makes sense against a local stand-in server
+    scheme: process.env.FEDIVERSE_SCHEME || 'https',
+    // Instances on loopback, link-local or private addresses are refused unless this is set (local testing)
+    allowPrivateHosts: process.env.FEDIVERSE_ALLOW_PRIVATE_HOSTS === 'true',
+    recentPosts: int(process.env.FEDIVERSE_RECENT_POSTS, 5)
+  },
+  bluesky: {
+    // Appended to bare names: 'alice' -> alice.bsky.social
+    handleSuffix: process.env.BLUESKY_HANDLE_SUFFIX || '.bsky.social',
+    // _atproto TXT lookups; replayed runs skip DNS and rely on the recorded HTTPS method
+    dns: process.env.BLUESKY_DNS !== 'false',
+    dnsServers: list(process.env.BLUESKY_DNS_SERVERS, []),
+    recentPosts: int(process.env.BLUESKY_RECENT_POSTS, 5)
+  },
+  github: {
+    token: process.env.GITHUB_TOKEN || null,
+    // Cached 200 responses kept for If-None-Match revalidation
+    etagEntries: int(process.env.GITHUB_ETAG_ENTRIES, 500),
+    // Requests left in the window at which we start waiting for the reset
+    rateLimitReserve: int(process.env.GITHUB_RATE_LIMIT_RESERVE, 5),
+    // Longest wait for a reset before the lookup is reported as rate limited instead
+    maxBackoffMs: int(process.env.GITHUB_MAX_BACKOFF_MS, 5000),
+    reposLimit: int(process.env.GITHUB_REPOS_LIMIT, 300)
+  },
+  gitlab: {
+    // Optional personal access token; public profiles work without one
+    token: process.env.GITLAB_TOKEN || null
+  },
+  stackexchange: {
+    // Any Stack Exchange site, e.g. 'superuser' or 'serverfault'
+    site: process.env.STACKEXCHANGE_SITE || 'stackoverflow',
+    // Optional app key: raises the daily quota from 300 to 10,000 requests
+    key: process.env.STACKEXCHANGE_KEY || null
+  },
+  spotify: {
+    // Curated catalog (profiles + alias table), edited through the admin API
+    catalogPath: process.env.SPOTIFY_CATALOG_PATH || path.join(__dirname, 'data', 'spotify-catalog.json'),
+    // Web API credentials (client-credentials flow); without them lookups use the catalog only
+    clientId: process.env.SPOTIFY_CLIENT_ID || null,
+    clientSecret: process.env.SPOTIFY_CLIENT_SECRET || null,
+    accountsUrl: baseUrl(process.env.SPOTIFY_ACCOUNTS_URL, 'https://accounts.spotify.com'),
+    apiUrl: baseUrl(process.env.SPOTIFY_API_URL, 'https://api.spotify.com/v1'),
+    market: process.env.SPOTIFY_MARKET || 'US'
+  },
+  youtube: {
+    // Data API v3 key; without one the channel pages are scraped (ytInitialData)
+    apiKey: process.env.YOUTUBE_API_KEY || null,
+    apiUrl: baseUrl(process.env.YOUTUBE_API_URL, 'https://www.googleapis.com/youtube/v3'),
+    recentUploads: int(process.env.YOUTUBE_RECENT_UPLOADS, 5)
+  },
+  twitch: {
+    // Helix app credentials (client-credentials flow); without them Twitch lookups are unknown
+    clientId: process.env.TWITCH_CLIENT_ID || null,
+    clientSecret: process.env.TWITCH_CLIENT_SECRET || null,
+    authUrl: baseUrl(process.env.TWITCH_AUTH_URL, 'https://id.twitch.tv'),
+    apiUrl: baseUrl(process.env.TWITCH_API_URL, 'https://api.twitch.tv/helix'),
+    recentVods: int(process.env.TWITCH_RECENT_VODS, 5)
+  },
+  admin: {
+    // Bearer token for /api/admin; the admin API is disabled when unset
+    token: process.env.ADMIN_TOKEN || null
+  },
+  apiKeys: {
+    // 'off', 'optional' or 'required' (see lib/apiKeys.js)
+    mode: process.env.API_KEY_MODE || 'optional',
+    path: process.env.API_KEYS_PATH || path.join(__dirname, 'data', 'api-keys.json'),
+    usagePath: process.env.API_USAGE_PATH || path.join(__dirname, 'data', 'usage.json'),
+    // Shared window of the inbound rate limiter; anonymous callers get `anonymousRateLimit` per IP
+    windowMs: int(process.env.RATE_LIMIT_WINDOW_MS, 15 * 60 * 1000),
+    anonymousRateLimit: int(process.env.RATE_LIMIT_MAX, 100),
+    defaultRateLimit: int(process.env.API_KEY_DEFAULT_RATE_LIMIT, 1000),
+    usageFlushMs: int(process.env.API_USAGE_FLUSH_MS, 10 * 1000)
+  },
+  history: {
+    // Snapshots of every fresh `found` lookup, for GET /api/history
+    enabled: process.env.HISTORY_ENABLED !== 'false',
+    path: process.env.HISTORY_PATH || path.join(__dirname, 'data', 'history.db'),
+    compactionMs: int(process.env.HISTORY_COMPACTION_MS, 60 * 60 * 1000)
+  },
+  watchlists: {
+    path: process.env.WATCHLISTS_PATH || path.join(__dirname, 'data', 'watchlists.json'),
+    maxAccounts: int(process.env.WATCHLIST_MAX_ACCOUNTS, 100),
+    defaultIntervalSeconds: int(process.env.WATCHLIST_DEFAULT_INTERVAL, 3600),
+    minIntervalSeconds: int(process.env.WATCHLIST_MIN_INTERVAL, 60),
+    // How often the scheduler looks for watchlists that are due
+    tickMs: int(process.env.WATCHLIST_TICK_MS, 15 * 1000),
+    // Delivery attempts kept per watchlist
+    deliveryLogSize: int(process.env.WATCHLIST_DELIVERY_LOG_SIZE, 50)
+  },
+  webhooks: {
+    timeoutMs: int(process.env.WEBHOOK_TIMEOUT_MS, 10000),
+    maxAttempts: int(process.env.WEBHOOK_MAX_ATTEMPTS, 5),
+    retryBaseMs: int(process.env.WEBHOOK_RETRY_BASE_MS, 2000)
+  },
+  http: {
+    // 'live', 'record' or 'replay' (see lib/fixtures.js)
+    mode: process.env.HTTP_MODE || 'live',
+    fixturesDir: process.env.FIXTURES_DIR || path.join(__dirname, 'fixtures')
+  },
+  logging: {
+    // debug, info, warn, error or silent
+    level: process.env.LOG_LEVEL || 'info'
+  },
+  health: {
+    // Recent upstream lookups considered per provider (see lib/health.js)
+    windowMs: int(process.env.HEALTH_WINDOW_MS, 15 * 60 * 1000),
+    maxSamples: int(process.env.HEALTH_MAX_SAMPLES, 200),
+    // Fewer lookups than this in the window and the provider is reported as idle
+    minSamples: int(process.env.HEALTH_MIN_SAMPLES, 5),
+    // Success rate thresholds
+    degradedBelow: number(process.env.HEALTH_DEGRADED_BELOW, 0.9),
+    failingBelow: number(process.env.HEALTH_FAILING_BELOW, 0.5)
+  },
+  contract: {
+    // Check every JSON response against the OpenAPI document (see lib/contract.js)
+    validateResponses: process.env.VALIDATE_RESPONSES
+      ? process.env.VALIDATE_RESPONSES === 'true'
+      : process.env.NODE_ENV === 'development'
+  },
+  outbound: {
+    // Applied to every upstream host unless overridden in `hosts`
+    defaults: {
+      ratePerSec: number(process.env.OUTBOUND_RATE_PER_SEC, 5),
+      burst: int(process.env.OUTBOUND_BURST, 10),
+      concurrency: int(process.env.OUTBOUND_CONCURRENCY, 4),
+      // Retries of idempotent requests after network errors, 429 and 502-504
+      maxRetries: int(process.env.OUTBOUND_MAX_RETRIES, 2),
+      retryBaseMs: int(process.env.OUTBOUND_RETRY_BASE_MS, 500),
+      // A Retry-After longer than this is not waited out; the request fails instead
+      maxRetryDelayMs: int(process.env.OUTBOUND_MAX_RETRY_DELAY_MS, 10000),
+      // Consecutive failures that open the circuit, and how long it stays open
+      failureThreshold: int(process.env.OUTBOUND_FAILURE_THRESHOLD, 5),
+      cooldownMs: int(process.env.OUTBOUND_COOLDOWN_MS, 60 * 1000)
+    },
+    hosts: hostLimits(),
+    // Schedulers of hosts named by callers (not configured upstreams) are dropped after this much idle time
+    idleSchedulerMs: int(process.env.OUTBOUND_IDLE_SCHEDULER_MS, 10 * 60 * 1000)
+  },
+  batch: {
+    maxUsernames: int(process.env.BATCH_MAX_USERNAMES, 500),
+    concurrency: int(process.env.BATCH_CONCURRENCY, 4),
+    maxConcurrency: int(process.env.BATCH_MAX_CONCURRENCY, 10),
+    // How long finished jobs stay queryable
+    retentionMs: int(process.env.BATCH_RETENTION_MS, 60 * 60 * 1000)
+  },
+  availability: {
+    // Upper bound on generated variants per request (each one is checked on every platform)
+    maxVariants: int(process.env.AVAILABILITY_MAX_VARIANTS, 30)
+  },
+  correlation: {
+    // Upper bound on accounts in POST /api/correlate
+    maxAccounts: int(process.env.CORRELATION_MAX_ACCOUNTS, 10),
+    // Avatars larger than this are not downloaded for hashing
+    avatarMaxBytes: int(process.env.CORRELATION_AVATAR_MAX_BYTES, 2 * 1024 * 1024)
+  },
+  cache: {
+    // 'memory' (LRU) or 'file'
+    store: process.env.CACHE_STORE || 'memory',
+    dir: process.env.CACHE_DIR || path.join(__dirname, '.cache'),
+    maxEntries: int(process.env.CACHE_MAX_ENTRIES, 1000),
+    // How long an expired entry may still be served while it refreshes
+    staleTtl: int(process.env.CACHE_STALE_TTL, 600),
+    ttlOverrides
+  }
+};
@@ -0,0 +1,310 @@
+// lib/apiKeys.js - API keys: local key store, per-key limits and allowlists, usage accounting
+//
+// Keys are sent as `X-API-Key: <key>` or `?api_key=<key>`. Only a SHA-256 hash is stored; the
+// plain key is returned once when it is created. API_KEY_MODE decides what anonymous callers get:
+//   off       keys are ignored entirely
+//   optional  (default) keys unlock their own limits, anonymous callers get the global defaults
+//   required  requests without a valid key are rejected with 401
+const crypto = require('crypto');
+const { AsyncLocalStorage } = require('async_hooks');
+const config = require('../config');
+const JsonStore = require('./jsonStore');
+const { AccessError, ValidationError } = require('./errors');
+const { logger } = require('./logger');
+
+const MODES = ['off', 'optional', 'required'];
+const ANONYMOUS = 'anonymous';
+const KEY_PREFIX = 'mgn_';
+
+const keyStore = new JsonStore(config.apiKeys.path, { keys: {} });
+const usageStore = new JsonStore(config.apiKeys.usagePath, { days: {} });
+
+// The key of the request being served, visible to code deeper in the call chain (provider lookups)
+const keyContext = new AsyncLocalStorage();
+const currentKey = () => keyContext.getStore() || null;
+
+const hashKey = key => crypto.createHash('sha256').update(key).digest('hex');
+const today = () => new Date().toISOString().slice(0, 10);
+
+// Quotas are per UTC day
+const nextMidnight = () => {
+  const date = new Date();
+  date.setUTCHours(24, 0, 0, 0);
+  return date.toISOString();
+};
+
+// Never hand out the hash, only what an admin needs to recognise the key
+const describeKey = ({ hash, ...record }) => record;
+
+function validateSettings(settings, { partial = false } = {}) {
+  const errors = [];
+  const has = field => settings[field] !== undefined;
+  const positiveInt = value => Number.isInteger(value) && value > 0;
+  const stringList = value => Array.isArray(value) && value.every(item => typeof item === 'string' && item.length > 0);
+
+  if (!partial || has('name')) {
+    if (typeof settings.name !== 'string' || !settings.name.trim()) {
+      errors.push('name is required');
+    }
+  }
+  if (has('rate_limit') && !positiveInt(settings.rate_limit)) {
+    errors.push(`rate_limit must be a positive integer (requests per ${config.apiKeys.windowMs / 1000}s window)`);
+  }
+  if (has('daily_quota') && settings.daily_quota !== null && !positiveInt(settings.daily_quota)) {
+    errors.push('daily_quota must be a positive integer or null for unlimited');
+  }
+  if (has('allowed_platforms') && !stringList(settings.allowed_platforms)) {
+    errors.push('allowed_platforms must be an array of platform names (empty for all)');
+  }
+  if (has('cors_origins') && !stringList(settings.cors_origins)) {
+    errors.push('cors_origins must be an array of origins (empty for any)');
+  }
+  if (has('disabled') && typeof settings.disabled !== 'boolean') {
+    errors.push('disabled must be a boolean');
+  }
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid API key settings', { details: errors });
+  }
+}
+
+const pick = settings => ['name', 'rate_limit', 'daily_quota', 'allowed_platforms', 'cors_origins', 'disabled']
+  .filter(field => settings[field] !== undefined)
+  .reduce((picked, field) => ({ ...picked, [field]: settings[field] }), {});
+
+const listKeys = () => Object.values(keyStore.read().keys).map(describeKey);
+
+const getKey = id => {
+  const record = keyStore.read().keys[id];
+  return record ? describeKey(record) : null;
+};
+
+// Returns the stored settings plus the plain key, which is not retrievable afterwards
+async function createKey(settings) {
+  validateSettings(settings);
+  const key = `${KEY_PREFIX}${crypto.randomBytes(24).toString('hex')}`;
+  const record = {
+    id: crypto.randomBytes(6).toString('hex'),
+    name: settings.name.trim(),
+    prefix: key.slice(0, KEY_PREFIX.length + 6),
+    rate_limit: config.apiKeys.defaultRateLimit,
+    daily_quota: null,
+    allowed_platforms: [],
+    cors_origins: [],
+    disabled: false,
+    ...pick(settings),
+    created_at: new Date().toISOString(),
+    hash: hashKey(key)
+  };
+  await keyStore.update(data => {
+    data.keys[record.id] = record;
+  });
+  return { ...describeKey(record), key };
+}
+
+async function updateKey(id, settings) {
+  validateSettings(settings, { partial: true });
+  return keyStore.update(data => {
+    if (!data.keys[id]) {
+      return null;
+    }
+    data.keys[id] = { ...data.keys[id], ...pick(settings) };
+    return describeKey(data.keys[id]);
+  });
+}
+
+const deleteKey = id => keyStore.update(data => {
+  const existed = Boolean(data.keys[id]);
+  delete data.keys[id];
+  return existed;
+});
+
+const findByKey = key => {
+  const hash = hashKey(key);
+  return Object.values(keyStore.read().keys).find(record => record.hash === hash) || null;
+};
+
+// Usage is counted in memory and flushed to disk periodically
+let pending = {};
+
+function count(keyId, platform) {
+  const day = today();
+  pending[day] = pending[day] || {};
+  const entry = pending[day][keyId] = pending[day][keyId] || { requests: 0, platforms: {} };
+  if (platform) {
+    entry.platforms[platform] = (entry.platforms[platform] || 0) + 1;
+  } else {
+    entry.requests += 1;
+  }
+}
+
+function flushUsage() {
+  const batch = pending;
+  pending = {};
+  if (Object.keys(batch).length === 0) {
+    return Promise.resolve();
+  }
+  return usageStore.update(data => {
+    Object.entries(batch).forEach(([day, keys]) => {
+      data.days[day] = data.days[day] || {};
+      Object.entries(keys).forEach(([keyId, counts]) => {
+        const stored = data.days[day][keyId] = data.days[day][keyId] || { requests: 0, platforms: {} };
+        stored.requests += counts.requests;
+        Object.entries(counts.platforms).forEach(([platform, value]) => {
+          stored.platforms[platform] = (stored.platforms[platform] || 0) + value;
+        });
+      });
+    });
+  });
+}
+
+setInterval(() => {
+  flushUsage().catch(error => logger.error('Failed to write API usage', { error }));
+}, config.apiKeys.usageFlushMs).unref();
+
+// Persisted plus not yet flushed counts, so quotas are exact between flushes
+function usageFor(day, keyId) {
+  const stored = (usageStore.read().days[day] || {})[keyId] || { requests: 0, platforms: {} };
+  const unsaved = (pending[day] || {})[keyId] || { requests: 0, platforms: {} };
+  const platforms = { ...stored.platforms };
+  Object.entries(unsaved.platforms).forEach(([platform, value]) => {
+    platforms[platform] = (platforms[platform] || 0) + value;
+  });
+  return { requests: stored.requests + unsaved.requests, platforms };
+}
+
+// Rows of { day, key, requests, platforms } filtered by key id, platform and date range (YYYY-MM-DD)
+function usageReport({ key, platform, from, to } = {}) {
+  const days = new Set([...Object.keys(usageStore.read().days), ...Object.keys(pending)]);
+  const rows = [];
+  Array.from(days).sort().forEach(day => {
+    if ((from && day < from) || (to && day > to)) {
+      return;
+    }
+    const keyIds = new Set([
+      ...Object.keys(usageStore.read().days[day] || {}),
+      ...Object.keys(pending[day] || {})
+    ]);
+    Array.from(keyIds).sort().forEach(keyId => {
+      if (key && keyId !== key) {
+        return;
+      }
+      const usage = usageFor(day, keyId);
+      if (platform) {
+        usage.platforms = { [platform]: usage.platforms[platform] || 0 };
+      }
+      rows.push({ day, key: keyId, ...usage });
+    });
+  });
+  return rows;
+}
+
+// daily_quota is a number of provider lookups; requests that look nothing up are free
+const lookupsOn = usage => Object.values(usage.platforms).reduce((total, value) => total + value, 0);
+
+const quotaLeft = record => (record.daily_quota === null
+  ? null
+  : Math.max(record.daily_quota - lookupsOn(usageFor(today(), record.id)), 0));
+
+const quotaExhausted = record => new AccessError(429, 'Daily quota exhausted for this API key', {
+  daily_quota: record.daily_quota,
+  resets_at: nextMidnight()
+});
+
+// Counts a provider lookup against the current key (or anonymous); throws once the key's quota is used up
+const recordLookup = platform => {
+  const key = currentKey();
+  if (key && quotaLeft(key) === 0) {
+    throw quotaExhausted(key);
+  }
+  count(key ? key.id : ANONYMOUS, platform);
+};
+
+const isPlatformAllowed = platform => {
+  const key = currentKey();
+  return !key || key.allowed_platforms.length === 0 || key.allowed_platforms.includes(platform);
+};
+
+// Background work on behalf of a key (watchlist rechecks) runs as that key, so its allowlist,
+// quota and usage apply; deleted and disabled keys get nothing done for them
+const activeKey = id => {
+  const record = keyStore.read().keys[id];
+  return record && !record.disabled ? record : null;
+};
+
+const runAsKey = (record, task) => keyContext.run(record, task);
+
+const requestKey = req => req.get('X-API-Key') || (typeof req.query.api_key === 'string' ? req.query.api_key : null);
+
+// Resolves the key, enforces mode/disabled/origin and runs the rest of the request in its context
+// The admin API has its own token and is never subject to key limits; the API docs are public
+const isPublic = path => path.startsWith('/admin/') || path === '/openapi.json' || path.startsWith('/docs');
+
+function authenticate(req, res, next) {
+  if (config.apiKeys.mode === 'off' || isPublic(req.path)) {
+    return next();
+  }
+
+  const presented = requestKey(req);
+  const record = presented ? findByKey(presented) : null;
+  if (presented && (!record || record.disabled)) {
+    return next(new AccessError(401, 'Invalid or disabled API key'));
+  }
+  if (!record) {
+    if (config.apiKeys.mode === 'required') {
+      return next(new AccessError(401, 'An API key is required (X-API-Key header or api_key query parameter)'));
+    }
+    count(ANONYMOUS);
+    return next();
+  }
+
+  const origin = req.get('Origin');
+  if (origin && record.cors_origins.length > 0 && !record.cors_origins.includes(origin)) {
+    return next(new AccessError(403, `Origin ${origin} is not allowed for this API key`));
+  }
+
+  // Checking your own usage is not counted as a request
+  if (req.path === '/usage') {
+    req.apiKey = record;
+    return keyContext.run(record, next);
+  }
+
+  // The quota itself is charged per provider lookup (recordLookup); this is what is left as the request starts
+  const left = quotaLeft(record);
+  count(record.id);
+  req.apiKey = record;
+  res.set('X-Quota-Remaining', left === null ? 'unlimited' : String(left));
+  return keyContext.run(record, next);
+}
+
+// Per-request CORS options: keys with an origin allowlist only get those origins echoed back,
+// everything else keeps the open `*` default
+function corsOptions(req, callback) {
+  const presented = config.apiKeys.mode === 'off' ? null : requestKey(req);
+  const record = presented ? findByKey(presented) : null;
+  if (record && record.cors_origins.length > 0) {
+    return callback(null, { origin: record.cors_origins });
+  }
+  return callback(null, {});
+}
+
+if (!MODES.includes(config.apiKeys.mode)) {
+  throw new Error(`Unknown API_KEY_MODE "${config.apiKeys.mode}", expected one of ${MODES.join(', ')}`);
+}
+
+module.exports = {
+  ANONYMOUS,
+  listKeys,
+  getKey,
+  createKey,
+  updateKey,
+  deleteKey,
+  usageReport,
+  recordLookup,
+  isPlatformAllowed,
+  currentKey,
+  activeKey,
+  runAsKey,
+  authenticate,
+  corsOptions,
+  flushUsage
+};
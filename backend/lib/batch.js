@@ -0,0 +1,138 @@
+// lib/batch.js - Batch lookup jobs: many handles x many platforms, with progress events
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const config = require('../config');
+const { lookup, throttled } = require('../providers');
+const { AccessError, ValidationError } = require('./errors');
+const { createLimiter } = require('./limiter');
+const { REASONS, unknown } = require('./results');
+
+const JOB_STATUS = {
+  RUNNING: 'running',
+  COMPLETED: 'completed',
+  CANCELLED: 'cancelled'
+};
+
+const jobs = new Map();
+
+class BatchJob extends EventEmitter {
+  constructor({ usernames, providers, options, concurrency }) {
+    super();
+    this.id = crypto.randomUUID();
+    this.usernames = usernames;
+    this.providers = providers;
+    this.options = options;
+    this.concurrency = concurrency;
+    this.status = JOB_STATUS.RUNNING;
+    this.createdAt = new Date();
+    this.finishedAt = null;
+    this.completed = [];
+    this.results = Object.fromEntries(usernames.map(username => [username, {}]));
+  }
+
+  get total() {
+    return this.usernames.length * this.providers.length;
+  }
+
+  start() {
+    const slots = createLimiter({ concurrency: this.concurrency });
+    const tasks = [];
+    this.usernames.forEach(username => {
+      this.providers.forEach(provider => {
+        tasks.push(slots(() => throttled(provider, () => this.runTask(username, provider))));
+      });
+    });
+
+    Promise.all(tasks).then(() => this.finish(JOB_STATUS.COMPLETED));
+    return this;
+  }
+
+  async runTask(username, provider) {
+    if (this.status !== JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const started = Date.now();
+    let result;
+    try {
+      result = await lookup(provider, username, this.options);
+    } catch (error) {
+      // A key whose daily quota runs out mid-job gets the remaining lookups back as rate limited
+      if (error instanceof ValidationError) {
+        result = unknown(REASONS.INVALID_HANDLE, error.message);
+      } else if (error instanceof AccessError && error.status === 429) {
+        result = unknown(REASONS.RATE_LIMITED, error.message);
+      } else {
+        result = unknown(REASONS.INTERNAL_ERROR, error.message);
+      }
+    }
+
+    // A cancel that landed while the lookup was in flight discards its result
+    if (this.status !== JOB_STATUS.RUNNING) {
+      return;
+    }
+
+    const entry = { username, platform: provider.name, result: { ...result, latency_ms: Date.now() - started } };
+    this.results[username][provider.name] = entry.result;
+    this.completed.push(entry);
+    this.emit('result', entry);
+  }
+
+  cancel() {
+    this.finish(JOB_STATUS.CANCELLED);
+  }
+
+  finish(status) {
+    if (this.status !== JOB_STATUS.RUNNING) {
+      return;
+    }
+    this.status = status;
+    this.finishedAt = new Date();
+    this.emit('done', this.summary());
+
+    // Finished jobs are kept around for a while so clients can collect the results
+    setTimeout(() => jobs.delete(this.id), config.batch.retentionMs).unref();
+  }
+
+  progress() {
+    return {
+      total: this.total,
+      completed: this.completed.length,
+      percent: this.total === 0 ? 100 : Math.round((this.completed.length / this.total) * 100)
+    };
+  }
+
+  summary() {
+    return {
+      id: this.id,
+      status: this.status,
+      platforms: this.providers.map(provider => provider.name),
+      created_at: this.createdAt.toISOString(),
+      finished_at: this.finishedAt ? this.finishedAt.toISOString() : null,
+      progress: this.progress()
+    };
+  }
+
+  toJSON() {
+    return { ...this.summary(), results: this.results };
+  }
+}
+
+function createJob({ usernames, providers, options = {}, concurrency }) {
+  const job = new BatchJob({
+    usernames,
+    providers,
+    options,
+    concurrency: Math.min(concurrency || config.batch.concurrency, config.batch.maxConcurrency)
+  });
+  jobs.set(job.id, job);
+  return job.start();
+}
+
+const getJob = id => jobs.get(id) || null;
+
+module.exports = {
+  JOB_STATUS,
+  createJob,
+  getJob
+};
@@ -0,0 +1,193 @@
+// lib/cache.js - Response cache with per-entry TTLs and stale-while-revalidate
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+const { logger } = require('./logger');
+
+// Keys look like '<namespace>:<rest>' (the provider name for lookups)
+const namespaceOf = key => key.split(':')[0];
+
+// In-memory LRU; Map iteration order doubles as the recency list
+class MemoryStore {
+  constructor({ maxEntries = 1000 } = {}) {
+    this.maxEntries = maxEntries;
+    this.entries = new Map();
+  }
+
+  async get(key) {
+    const entry = this.entries.get(key);
+    if (entry) {
+      this.entries.delete(key);
+      this.entries.set(key, entry);
+    }
+    return entry;
+  }
+
+  async set(key, entry) {
+    this.entries.delete(key);
+    this.entries.set(key, entry);
+    while (this.entries.size > this.maxEntries) {
+      this.entries.delete(this.entries.keys().next().value);
+    }
+  }
+
+  async delete(key) {
+    this.entries.delete(key);
+  }
+
+  async deleteNamespace(namespace) {
+    Array.from(this.entries.keys())
+      .filter(key => namespaceOf(key) === namespace)
+      .forEach(key => this.entries.delete(key));
+  }
+
+  async clear() {
+    this.entries.clear();
+  }
+}
+
+// One JSON file per key, so entries survive restarts. File names start with the key's namespace
+// so that a whole namespace can be dropped without reading every file.
+const fileNamespace = key => namespaceOf(key).replace(/[^a-z0-9_-]/gi, '_');
+
+class FileStore {
+  constructor({ dir }) {
+    this.dir = dir;
+  }
+
+  fileFor(key) {
+    return path.join(this.dir, `${fileNamespace(key)}-${crypto.createHash('sha1').update(key).digest('hex')}.json`);
+  }
+
+  async get(key) {
+    try {
+      return JSON.parse(await fs.readFile(this.fileFor(key), 'utf8'));
+    } catch (error) {
+      return undefined;
+    }
+  }
+
+  async set(key, entry) {
+    await fs.mkdir(this.dir, { recursive: true });
+    await fs.writeFile(this.fileFor(key), JSON.stringify(entry));
+  }
+
+  async delete(key) {
+    await fs.rm(this.fileFor(key), { force: true });
+  }
+
+  async deleteNamespace(namespace) {
+    let files;
+    try {
+      files = await fs.readdir(this.dir);
+    } catch (error) {
+      return;
+    }
+    const prefix = `${fileNamespace(namespace)}-`;
+    await Promise.all(files
+      .filter(file => file.startsWith(prefix))
+      .map(file => fs.rm(path.join(this.dir, file), { force: true })));
+  }
+
+  async clear() {
+    await fs.rm(this.dir, { recursive: true, force: true });
+  }
+}
+
+const CACHE_STATE = {
+  HIT: 'hit',
+  MISS: 'miss',
+  STALE: 'stale',
+  BYPASS: 'bypass'
+};
+
+class Cache {
+  constructor({ store, staleTtl = 0 }) {
+    this.store = store;
+    this.staleTtl = staleTtl;
+    this.refreshing = new Map();
+  }
+
+  // Returns { value, cache: { state, age, ttl, stale } }.
+  // `ttl(value)` decides how long a freshly loaded value is kept, in seconds; 0 means don't store.
+  async wrap(key, loader, { ttl, fresh = false }) {
+    if (!fresh) {
+      const entry = await this.store.get(key);
+      if (entry) {
+        const age = Math.floor((Date.now() - entry.storedAt) / 1000);
+        if (age < entry.ttl) {
+          return { value: entry.value, cache: this.describe(CACHE_STATE.HIT, age, entry.ttl) };
+        }
+        if (age < entry.ttl + this.staleTtl) {
+          this.refresh(key, loader, ttl);
+          return { value: entry.value, cache: this.describe(CACHE_STATE.STALE, age, entry.ttl) };
+        }
+      }
+    }
+
+    const { value, seconds } = await this.load(key, loader, ttl);
+    return { value, cache: this.describe(fresh ? CACHE_STATE.BYPASS : CACHE_STATE.MISS, 0, seconds) };
+  }
+
+  async load(key, loader, ttl) {
+    const value = await loader();
+    const seconds = ttl(value);
+    if (seconds > 0) {
+      await this.store.set(key, { value, storedAt: Date.now(), ttl: seconds });
+    }
+    return { value, seconds };
+  }
+
+  // Drops every stored entry, positive or negative, whose key starts with '<namespace>:'
+  async evictNamespace(namespace) {
+    await this.store.deleteNamespace(namespace);
+  }
+
+  // Background revalidation, at most one in flight per key
+  refresh(key, loader, ttl) {
+    if (this.refreshing.has(key)) {
+      return;
+    }
+    const pending = this.load(key, loader, ttl)
+      .catch(error => logger.error('Cache refresh failed', { key, error }))
+      .finally(() => this.refreshing.delete(key));
+    this.refreshing.set(key, pending);
+  }
+
+  describe(state, age, ttl) {
+    return { state, age, ttl, stale_while_revalidate: this.staleTtl };
+  }
+}
+
+// Sets Cache-Control/Age/X-Cache from one or more cache descriptors (the most conservative wins)
+function applyCacheHeaders(res, descriptors) {
+  const list = [].concat(descriptors).filter(Boolean);
+  if (list.length === 0 || list.some(entry => !entry.ttl)) {
+    res.set('Cache-Control', 'no-store');
+    return;
+  }
+
+  const age = Math.max(...list.map(entry => entry.age));
+  const maxAge = Math.min(...list.map(entry => Math.max(entry.ttl - entry.age, 0)));
+  res.set('Cache-Control', `public, max-age=${maxAge}, stale-while-revalidate=${list[0].stale_while_revalidate}`);
+  res.set('Age', String(age));
+  if (list.length === 1) {
+    res.set('X-Cache', list[0].state.toUpperCase());
+  }
+}
+
+function createStore({ store, dir, maxEntries }) {
+  if (store === 'file') {
+    return new FileStore({ dir });
+  }
+  return new MemoryStore({ maxEntries });
+}
+
+module.exports = {
+  Cache,
+  MemoryStore,
+  FileStore,
+  CACHE_STATE,
+  applyCacheHeaders,
+  createStore
+};
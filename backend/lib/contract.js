@@ -0,0 +1,92 @@
+// lib/contract.js - Validate JSON responses against the OpenAPI document
+const Ajv2020 = require('ajv/dist/2020');
+const config = require('../config');
+const { logger } = require('./logger');
+const { getSpec } = require('./openapi');
+
+let compiled = null;
+
+// Compile every JSON response schema once; components are shared through $ref
+function compile() {
+  const spec = getSpec();
+  const ajv = new Ajv2020({ allErrors: true, strict: false, validateFormats: false });
+  ajv.addSchema({ $id: 'openapi', components: spec.components });
+
+  const operations = [];
+  Object.entries(spec.paths).forEach(([template, item]) => {
+    const names = [];
+    const source = template.replace(/[.]/g, '\\.').replace(/\{(\w+)\}/g, (match, name) => {
+      names.push(name);
+      return '([^/]+)';
+    });
+    Object.entries(item).forEach(([method, operation]) => {
+      const validators = {};
+      Object.entries(operation.responses).forEach(([status, response]) => {
+        const schema = response.content && response.content['application/json'] && response.content['application/json'].schema;
+        if (schema) {
+          validators[status] = ajv.compile(rewriteRefs(schema));
+        }
+      });
+      operations.push({
+        method: method.toUpperCase(),
+        template,
+        pattern: new RegExp(`^${source}$`),
+        literal: template.replace(/\{\w+\}/g, '').length,
+        validators
+      });
+    });
+  });
+
+  // Literal segments win over templates: /api/spotify/search before /api/{platform}/{username}
+  operations.sort((a, b) => b.literal - a.literal);
+  return operations;
+}
+
+// Point local component refs at the schema registered above
+function rewriteRefs(schema) {
+  return JSON.parse(JSON.stringify(schema).replace(/"#\/components\//g, '"openapi#/components/'));
+}
+
+function findOperation(method, path) {
+  compiled = compiled || compile();
+  return compiled.find(operation => operation.method === method && operation.pattern.test(path)) || null;
+}
+
+// Returns a list of problems; empty when the body matches the documented response
+function validateResponse(method, path, status, body) {
+  const operation = findOperation(method.toUpperCase(), path);
+  if (!operation) {
+    return [`${method} ${path} is not documented`];
+  }
+  const validate = operation.validators[status];
+  if (!validate) {
+    return [`${method} ${operation.template} does not document a JSON ${status} response`];
+  }
+  if (validate(body)) {
+    return [];
+  }
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+// Development aid: check every res.json() against the spec and flag mismatches
+function validateResponses(req, res, next) {
+  if (!config.contract.validateResponses) {
+    return next();
+  }
+  const send = res.json.bind(res);
+  res.json = body => {
+    const path = req.originalUrl.split('?')[0];
+    const problems = validateResponse(req.method, path, res.statusCode, body);
+    if (problems.length) {
+      logger.warn('Contract violation', { method: req.method, path, status: res.statusCode, problems });
+      res.set('X-Contract-Violation', String(problems.length));
+    }
+    return send(body);
+  };
+  return next();
+}
+
+module.exports = {
+  validateResponse,
+  validateResponses
+};
@@ -0,0 +1,192 @@
+// lib/correlation.js - Same-person likelihood between profiles found on different platforms
+const { stringSimilarity, tokenOverlap } = require('./similarity');
+const { HASH_BITS, hashImageUrl, hammingDistance } = require('./imageHash');
+
+// Relative strength of each signal; signals without data on both sides are skipped
+const WEIGHTS = {
+  handle: 0.1,
+  name: 0.25,
+  bio: 0.15,
+  location: 0.1,
+  links: 0.3,
+  avatar: 0.3
+};
+
+// Scales the summed evidence before the logistic squash; 3 maps "all signals agree" to ~0.99
+const EVIDENCE_SCALE = 3;
+
+// Links in free text need a scheme or "www.", otherwise "Node.js" or "Vue.js" would count as domains
+const URL_PATTERN = /\b(?:https?:\/\/|www\.)(?:www\.)?((?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/[^\s)"'<>]*)?)/gi;
+// Website fields hold a single link and often leave the scheme out ("example.com")
+const LINK_PATTERN = /^(?:https?:\/\/)?(?:www\.)?((?:[a-z0-9-]+\.)+[a-z]{2,}(?:\/\S*)?)$/i;
+
+// "https://www.Example.com/path/" -> "example.com/path"
+const normalizeLink = link => link
+  .toLowerCase()
+  .replace(/^https?:\/\//, '')
+  .replace(/^www\./, '')
+  .replace(/[/.,]+$/, '');
+
+// Links a profile points at (bio text and well-known extras fields), excluding its own profile URL
+function collectLinks(profile) {
+  const extras = Object.values(profile.extras || {})[0] || {};
+  const links = new Set();
+  for (const match of String(profile.bio || '').matchAll(URL_PATTERN)) {
+    links.add(normalizeLink(match[1]));
+  }
+  for (const field of [extras.blog, extras.website, extras.external_url]) {
+    const match = typeof field === 'string' && field.trim().match(LINK_PATTERN);
+    if (match) {
+      links.add(normalizeLink(match[1]));
+    }
+  }
+  if (profile.url) {
+    links.delete(normalizeLink(profile.url));
+  }
+  return links;
+}
+
+const signal = (name, score, matched, detail) => ({
+  signal: name,
+  weight: WEIGHTS[name],
+  score: Math.round(score * 100) / 100,
+  matched,
+  detail
+});
+
+function compareNames(a, b) {
+  if (!a.name || !b.name) {
+    return null;
+  }
+  const score = stringSimilarity(a.name, b.name);
+  return signal('name', score, score >= 0.85, `"${a.name}" vs "${b.name}"`);
+}
+
+function compareBios(a, b) {
+  if (!a.bio || !b.bio) {
+    return null;
+  }
+  const { score, shared } = tokenOverlap(a.bio, b.bio);
+  // Bios are long and free-form, so a modest overlap already says a lot
+  const scaled = Math.min(score * 2.5, 1);
+  return signal('bio', scaled, score >= 0.2, shared.length ? `shared words: ${shared.slice(0, 10).join(', ')}` : 'no shared words');
+}
+
+function compareLocations(a, b) {
+  if (!a.location || !b.location) {
+    return null;
+  }
+  const score = Math.max(stringSimilarity(a.location, b.location), tokenOverlap(a.location, b.location).score);
+  return signal('location', score, score >= 0.8, `"${a.location}" vs "${b.location}"`);
+}
+
+// A shared outbound link, or one profile linking to the other, is strong evidence
+function compareLinks(a, b) {
+  const linksA = collectLinks(a);
+  const linksB = collectLinks(b);
+  const crossLinked = (a.url && linksB.has(normalizeLink(a.url))) || (b.url && linksA.has(normalizeLink(b.url)));
+  const shared = Array.from(linksA).filter(link => linksB.has(link));
+
+  if (crossLinked) {
+    return signal('links', 1, true, 'one profile links to the other');
+  }
+  if (shared.length > 0) {
+    return signal('links', 1, true, `shared links: ${shared.join(', ')}`);
+  }
+  if (linksA.size === 0 || linksB.size === 0) {
+    return null;
+  }
+  return signal('links', 0.3, false, 'both profiles list links, none in common');
+}
+
+function compareAvatars(a, b, hashes) {
+  const hashA = hashes.get(a.avatar_url);
+  const hashB = hashes.get(b.avatar_url);
+  if (!hashA || !hashB) {
+    return null;
+  }
+  const distance = hammingDistance(hashA, hashB);
+  return signal('avatar', 1 - distance / HASH_BITS, distance <= 10, `perceptual hash distance ${distance}/${HASH_BITS}`);
+}
+
+const verdictFor = (likelihood, signals) => {
+  if (signals.filter(entry => entry.signal !== 'handle').length === 0) {
+    return 'insufficient_data';
+  }
+  if (likelihood >= 0.8) {
+    return 'likely_same';
+  }
+  if (likelihood >= 0.6) {
+    return 'possibly_same';
+  }
+  return 'likely_different';
+};
+
+// Pairwise comparison of two normalized profiles; `hashes` maps avatar URL -> perceptual hash
+function correlatePair(a, b, hashes = new Map()) {
+  const handleScore = stringSimilarity(a.username, b.username);
+  const signals = [
+    signal('handle', handleScore, handleScore >= 0.9, `@${a.username} vs @${b.username}`),
+    compareNames(a, b),
+    compareBios(a, b),
+    compareLocations(a, b),
+    compareLinks(a, b),
+    compareAvatars(a, b, hashes)
+  ].filter(Boolean);
+
+  // Each signal pushes the log-odds up or down from an even prior, in proportion to its weight
+  const evidence = signals.reduce((sum, entry) => sum + entry.weight * (2 * entry.score - 1), 0);
+  const likelihood = 1 / (1 + Math.exp(-EVIDENCE_SCALE * evidence));
+
+  return {
+    a: { platform: a.platform, username: a.username },
+    b: { platform: b.platform, username: b.username },
+    likelihood: Math.round(likelihood * 100) / 100,
+    verdict: verdictFor(likelihood, signals),
+    matched_signals: signals.filter(entry => entry.matched).map(entry => entry.signal),
+    signals
+  };
+}
+
+// Hashes every distinct avatar; failures are reported but do not abort the correlation
+async function hashAvatars(profiles) {
+  const hashes = new Map();
+  const errors = {};
+  const urls = Array.from(new Set(profiles.map(profile => profile.avatar_url).filter(Boolean)));
+  await Promise.all(urls.map(async url => {
+    try {
+      hashes.set(url, await hashImageUrl(url));
+    } catch (error) {
+      errors[url] = error.message;
+    }
+  }));
+  return { hashes, errors };
+}
+
+async function correlateProfiles(profiles, { avatars = true } = {}) {
+  const { hashes, errors } = avatars ? await hashAvatars(profiles) : { hashes: new Map(), errors: {} };
+
+  const pairs = [];
+  for (let i = 0; i < profiles.length; i++) {
+    for (let j = i + 1; j < profiles.length; j++) {
+      pairs.push(correlatePair(profiles[i], profiles[j], hashes));
+    }
+  }
+  pairs.sort((left, right) => right.likelihood - left.likelihood);
+
+  return {
+    profiles: profiles.map(profile => ({
+      platform: profile.platform,
+      username: profile.username,
+      avatar_hash: hashes.get(profile.avatar_url) || null
+    })),
+    pairs,
+    avatar_errors: errors
+  };
+}
+
+module.exports = {
+  WEIGHTS,
+  correlatePair,
+  correlateProfiles
+};
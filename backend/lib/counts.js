@@ -0,0 +1,81 @@
+// lib/counts.js - Parser for humanized counts ("1.2K", "3,4 mln", "12.5M", "1 234 567", "1.2万")
+
+// Multipliers by lowercased suffix, covering the abbreviations platforms render in common locales
+const SUFFIXES = {
+  k: 1e3, thousand: 1e3, thousands: 1e3, tsd: 1e3, tys: 1e3, 'тыс': 1e3, mil: 1e3, rb: 1e3,
+  m: 1e6, mn: 1e6, mln: 1e6, mio: 1e6, mi: 1e6, million: 1e6, millions: 1e6, millones: 1e6, milioni: 1e6, 'млн': 1e6, jt: 1e6,
+  b: 1e9, bn: 1e9, billion: 1e9, billions: 1e9, mrd: 1e9, mld: 1e9, md: 1e9, 'млрд': 1e9,
+  lakh: 1e5, crore: 1e7,
+  '万': 1e4, '萬': 1e4, '亿': 1e8, '億': 1e8, '천': 1e3, '만': 1e4, '억': 1e8
+};
+
+// Locales that write "1.234,5" rather than "1,234.5"
+const COMMA_DECIMAL_LOCALES = ['de', 'es', 'fr', 'it', 'nl', 'pt', 'pl', 'ru', 'tr', 'id', 'sv', 'da', 'nb', 'fi', 'cs'];
+
+const usesCommaDecimal = locale => Boolean(locale) && COMMA_DECIMAL_LOCALES.includes(String(locale).slice(0, 2).toLowerCase());
+
+// Spaces, no-break spaces, thin spaces and apostrophes are only ever grouping separators
+const GROUPING = /[\s   '’]/g;
+
+// Turns the numeric part into a JS number string, deciding which of ',' / '.' is the decimal mark
+function normalizeDigits(digits, { hasSuffix, locale }) {
+  const commas = (digits.match(/,/g) || []).length;
+  const dots = (digits.match(/\./g) || []).length;
+
+  if (commas && dots) {
+    // Whichever separator comes last is the decimal mark
+    return digits.lastIndexOf(',') > digits.lastIndexOf('.')
+      ? digits.replace(/\./g, '').replace(',', '.')
+      : digits.replace(/,/g, '');
+  }
+
+  const separator = commas ? ',' : (dots ? '.' : null);
+  if (!separator) {
+    return digits;
+  }
+
+  // Repeated separators can only be grouping ("1.234.567")
+  if (commas + dots > 1) {
+    return digits.split(separator).join('');
+  }
+
+  // A single separator followed by exactly three digits is grouping ("1,234", "1.234"), except
+  // in front of a suffix where it is the locale's decimal mark ("1.234M" vs "1,234K")
+  const fraction = digits.split(separator)[1];
+  if (fraction.length === 3) {
+    const decimalMark = usesCommaDecimal(locale) ? ',' : '.';
+    if (!hasSuffix || separator !== decimalMark) {
+      return digits.replace(separator, '');
+    }
+  }
+  return digits.replace(separator, '.');
+}
+
+// Parses a humanized count into an integer, or returns null when no number can be read.
+// Numbers pass through (rounded); `locale` is a hint for ambiguous separators.
+function parseCount(value, { locale } = {}) {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? Math.round(value) : null;
+  }
+  if (value === null || value === undefined) {
+    return null;
+  }
+
+  const text = String(value).trim().toLowerCase().replace(GROUPING, match => (match === ' ' ? ' ' : ''));
+  const match = text.match(/(\d[\d.,\s]*)\s*([^\d\s.,+][^\s\d]*)?/);
+  if (!match) {
+    return null;
+  }
+
+  const rawSuffix = (match[2] || '').replace(/[.+]+$/, '');
+  const multiplier = SUFFIXES[rawSuffix] || SUFFIXES[rawSuffix.replace(/\.$/, '')] || 1;
+  const hasSuffix = multiplier !== 1;
+  const digits = match[1].trim().replace(/\s+/g, '');
+
+  const number = parseFloat(normalizeDigits(digits, { hasSuffix, locale }));
+  return Number.isNaN(number) ? null : Math.round(number * multiplier);
+}
+
+module.exports = {
+  parseCount
+};
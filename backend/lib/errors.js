@@ -0,0 +1,41 @@
+// lib/errors.js - Error types and the shared Express error handler
+const { logger } = require('./logger');
+
+// Thrown when a handle does not satisfy a provider's rules (HTTP 400)
+class ValidationError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'ValidationError';
+    this.status = 400;
+    this.details = details;
+  }
+}
+
+// Authentication and authorization failures (401 missing/invalid key, 403 not allowed, 429 quota)
+class AccessError extends Error {
+  constructor(status, message, details = {}) {
+    super(message);
+    this.name = 'AccessError';
+    this.status = status;
+    this.details = details;
+  }
+}
+
+const errorHandler = (err, req, res, next) => {
+  if (res.headersSent) {
+    return next(err);
+  }
+
+  if (err instanceof ValidationError || err instanceof AccessError) {
+    return res.status(err.status).json({ error: err.message, ...err.details });
+  }
+
+  logger.error('Unhandled error', { error: err, method: req.method, path: req.originalUrl.split('?')[0] });
+  return res.status(err.status || 500).json({ error: err.expose ? err.message : 'Internal server error' });
+};
+
+module.exports = {
+  ValidationError,
+  AccessError,
+  errorHandler
+};
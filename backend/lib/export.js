@@ -0,0 +1,217 @@
+// lib/export.js - Lookup results as JSON, CSV, NDJSON or a standalone HTML report
+//
+// The format comes from ?format= (json, csv, ndjson, html) or, failing that, the Accept header.
+// Non-JSON formats work on rows: one { username, platform, result } per platform lookup.
+const { CORE_FIELDS } = require('./profile');
+const { ValidationError } = require('./errors');
+
+const FORMATS = {
+  json: 'application/json',
+  csv: 'text/csv',
+  ndjson: 'application/x-ndjson',
+  html: 'text/html'
+};
+
+const RESULT_COLUMNS = ['status', 'exists', 'confidence', 'reason', 'simulated', 'latency_ms'];
+const PROFILE_COLUMNS = Object.keys(CORE_FIELDS).filter(field => field !== 'username');
+const CSV_COLUMNS = ['username', 'platform', ...RESULT_COLUMNS, 'source', 'profile_username', ...PROFILE_COLUMNS];
+
+// Extra numbers worth showing on a card, when a platform reports them
+const EXTRA_STATS = ['karma', 'likes', 'popularity', 'monthly_listeners'];
+
+function resolveFormat(req) {
+  if (req.query.format !== undefined) {
+    const format = String(req.query.format).toLowerCase();
+    if (!FORMATS[format]) {
+      throw new ValidationError(`Unknown format '${req.query.format}'`, { available: Object.keys(FORMATS) });
+    }
+    return format;
+  }
+  const accepted = req.accepts(Object.values(FORMATS));
+  return Object.keys(FORMATS).find(format => FORMATS[format] === accepted) || 'json';
+}
+
+// Flat record with the normalized profile fields; extras are left out on purpose
+function flatten({ username, platform, result }) {
+  const profile = result.profile || {};
+  const row = { username, platform };
+  RESULT_COLUMNS.forEach(column => {
+    row[column] = result[column] === undefined ? null : result[column];
+  });
+  row.source = profile.source || null;
+  row.profile_username = profile.username || null;
+  PROFILE_COLUMNS.forEach(column => {
+    row[column] = profile[column] === undefined ? null : profile[column];
+  });
+  return row;
+}
+
+// RFC 4180 quoting; cells that a spreadsheet would run as a formula are prefixed with '
+function csvCell(value) {
+  if (value === null || value === undefined) {
+    return '';
+  }
+  let text = String(value);
+  if (/^[=+\-@\t\r]/.test(text)) {
+    text = `'${text}`;
+  }
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+const csvLine = values => `${values.map(csvCell).join(',')}\r\n`;
+
+const toCsv = rows => csvLine(CSV_COLUMNS) + rows.map(row => {
+  const flat = flatten(row);
+  return csvLine(CSV_COLUMNS.map(column => flat[column]));
+}).join('');
+
+const ndjsonLine = ({ username, platform, result }) => `${JSON.stringify({ username, platform, ...result })}\n`;
+
+const escapeHtml = value => String(value === null || value === undefined ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Only http(s) links end up in href/src attributes
+const safeUrl = value => (typeof value === 'string' && /^https?:\/\//i.test(value) ? escapeHtml(value) : null);
+
+const formatNumber = value => (typeof value === 'number' ? value.toLocaleString('en-US') : null);
+
+function sourceBadge(result) {
+  if (result.simulated) {
+    return { label: 'demo', tone: 'demo' };
+  }
+  if (result.status !== 'found') {
+    return { label: result.status === 'not_found' ? 'not found' : `unknown${result.reason ? `: ${result.reason}` : ''}`, tone: 'unknown' };
+  }
+  const source = (result.profile && result.profile.source) || 'unknown';
+  return { label: source, tone: source };
+}
+
+function recentItems(profile) {
+  const extras = (profile.extras && profile.extras[profile.platform]) || {};
+  if (Array.isArray(extras.recent_repos) && extras.recent_repos.length > 0) {
+    return {
+      title: 'Recent repositories',
+      items: extras.recent_repos.map(repo => {
+        const url = safeUrl(repo.url);
+        const name = escapeHtml(repo.name);
+        const meta = [repo.language, typeof repo.stars === 'number' ? `★ ${formatNumber(repo.stars)}` : null].filter(Boolean);
+        return `${url ? `<a href="${url}">${name}</a>` : name}${meta.length ? ` <span class="muted">${escapeHtml(meta.join(' · '))}</span>` : ''}`;
+      })
+    };
+  }
+  if (Array.isArray(extras.recent_tweets) && extras.recent_tweets.length > 0) {
+    return {
+      title: 'Recent tweets',
+      items: extras.recent_tweets.map(tweet => `${escapeHtml(tweet.text)}${tweet.date ? ` <span class="muted">${escapeHtml(tweet.date)}</span>` : ''}`)
+    };
+  }
+  return null;
+}
+
+function card({ username, platform, result }) {
+  const profile = result.profile;
+  const badge = sourceBadge(result);
+  const header = `<header><h2>${escapeHtml(platform)}</h2><span class="badge ${escapeHtml(badge.tone)}">${escapeHtml(badge.label)}</span></header>`;
+  if (!profile) {
+    return `<article class="card empty">${header}<p class="muted">No profile for <strong>${escapeHtml(username)}</strong>${result.error ? ` (${escapeHtml(result.error)})` : ''}.</p></article>`;
+  }
+
+  const extras = (profile.extras && profile.extras[profile.platform]) || {};
+  const stats = [
+    ['Followers', profile.followers],
+    ['Following', profile.following],
+    ['Posts', profile.posts],
+    ...EXTRA_STATS.map(field => [field.replace(/_/g, ' '), extras[field]])
+  ].filter(([, value]) => typeof value === 'number');
+
+  const avatar = safeUrl(profile.avatar_url);
+  const url = safeUrl(profile.url);
+  const recent = recentItems(profile);
+
+  return `<article class="card">
+${header}
+<div class="identity">
+${avatar ? `<img src="${avatar}" alt="" width="64" height="64">` : '<div class="avatar-placeholder"></div>'}
+<div><div class="name">${escapeHtml(profile.name || profile.username || username)}</div>
+<div class="muted">${url ? `<a href="${url}">@${escapeHtml(profile.username || username)}</a>` : `@${escapeHtml(profile.username || username)}`}${profile.verified ? ' ✔' : ''}</div></div>
+</div>
+${profile.bio ? `<p>${escapeHtml(profile.bio)}</p>` : ''}
+${profile.location ? `<p class="muted">${escapeHtml(profile.location)}</p>` : ''}
+${stats.length ? `<dl>${stats.map(([label, value]) => `<div><dt>${escapeHtml(label)}</dt><dd>${formatNumber(value)}</dd></div>`).join('')}</dl>` : ''}
+${recent ? `<h3>${recent.title}</h3><ul>${recent.items.map(item => `<li>${item}</li>`).join('')}</ul>` : ''}
+<footer class="muted">confidence ${escapeHtml(result.confidence)}</footer>
+</article>`;
+}
+
+const REPORT_STYLE = `body{font-family:system-ui,sans-serif;margin:2rem;background:#f5f5f7;color:#1d1d1f}
+h1{margin-bottom:.25rem}.muted{color:#6e6e73;font-size:.9em}
+section{display:grid;grid-template-columns:repeat(auto-fill,minmax(280px,1fr));gap:1rem;margin-bottom:2rem}
+.card{background:#fff;border-radius:12px;padding:1rem;box-shadow:0 1px 3px rgba(0,0,0,.1)}
+.card header{display:flex;justify-content:space-between;align-items:center}.card h2{margin:0;font-size:1.1rem;text-transform:capitalize}
+.badge{font-size:.75rem;padding:.15rem .5rem;border-radius:999px;background:#e5e5ea}
+.badge.api{background:#d1f2d8}.badge.scraped{background:#fff1c2}.badge.catalog{background:#dbe9ff}.badge.demo,.badge.unknown{background:#fde2e1}
+.identity{display:flex;gap:.75rem;align-items:center;margin:.75rem 0}.identity img,.avatar-placeholder{border-radius:50%;width:64px;height:64px;background:#e5e5ea;object-fit:cover}
+.name{font-weight:600}dl{display:flex;flex-wrap:wrap;gap:1rem;margin:.5rem 0}dt{font-size:.75rem;color:#6e6e73;text-transform:capitalize}dd{margin:0;font-weight:600}
+h3{font-size:.9rem;margin:.75rem 0 .25rem}ul{padding-left:1.1rem;margin:0}li{margin:.2rem 0}`;
+
+// One section per username, one card per platform
+function toHtml(rows, { title }) {
+  const byUsername = new Map();
+  rows.forEach(row => {
+    if (!byUsername.has(row.username)) {
+      byUsername.set(row.username, []);
+    }
+    byUsername.get(row.username).push(row);
+  });
+
+  const sections = Array.from(byUsername.entries()).map(([username, cards]) => `<h2>${escapeHtml(username)}</h2>
+<section>
+${cards.map(card).join('\n')}
+</section>`).join('\n');
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${REPORT_STYLE}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+<p class="muted">Generated ${escapeHtml(new Date().toISOString())}</p>
+${sections}
+</body>
+</html>
+`;
+}
+
+// Sends `json` as-is for JSON, the rows in any other format
+function sendResults(req, res, { rows, json, title, filename }) {
+  const format = resolveFormat(req);
+  res.vary('Accept');
+  if (format === 'json') {
+    return res.json(json);
+  }
+
+  res.type(FORMATS[format]);
+  if (format === 'csv') {
+    res.attachment(`${filename}.csv`);
+    return res.send(toCsv(rows));
+  }
+  if (format === 'ndjson') {
+    return res.send(rows.map(ndjsonLine).join(''));
+  }
+  return res.send(toHtml(rows, { title }));
+}
+
+module.exports = {
+  FORMATS,
+  resolveFormat,
+  ndjsonLine,
+  sendResults
+};
@@ -0,0 +1,127 @@
+// lib/fixtures.js - Record/replay of upstream HTTP traffic
+//
+// HTTP_MODE=record  performs live requests and saves every response (status, headers, body)
+// HTTP_MODE=replay  serves responses from fixtures only; a missing fixture is a hard error
+// HTTP_MODE=live    (default) talks to upstream directly
+//
+// Fixtures live in FIXTURES_DIR/<platform>/<username>.json, one entry per "METHOD url".
+// The platform/username pair comes from the lookup context set by the provider registry.
+const fs = require('fs');
+const path = require('path');
+const { AsyncLocalStorage } = require('async_hooks');
+const { AxiosError } = require('axios');
+
+const MODES = ['live', 'record', 'replay'];
+
+const lookupContext = new AsyncLocalStorage();
+
+// Thrown in replay mode when no fixture matches the outgoing request
+class FixtureMissingError extends Error {
+  constructor(file, key) {
+    super(`No recorded fixture for ${key} in ${file}`);
+    this.name = 'FixtureMissingError';
+    this.status = 500;
+    this.expose = true;
+    this.file = file;
+    this.key = key;
+  }
+}
+
+// Runs `fn` with the platform/username that outgoing requests should be filed under
+const withLookupContext = (platform, username, fn) => lookupContext.run({ platform, username }, fn);
+
+const currentLookup = () => lookupContext.getStore() || null;
+
+const fixtureFile = (dir, context) => {
+  const { platform, username } = context || { platform: '_shared', username: '_shared' };
+  return path.join(dir, platform, `${encodeURIComponent(String(username).toLowerCase())}.json`);
+};
+
+const requestKey = config => {
+  const url = new URL(config.url, config.baseURL || undefined);
+  Object.entries(config.params || {}).forEach(([name, value]) => url.searchParams.set(name, value));
+  return `${(config.method || 'get').toUpperCase()} ${url.toString()}`;
+};
+
+const readFixtures = file => {
+  try {
+    return JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (error) {
+    return {};
+  }
+};
+
+const writeFixture = (file, key, response) => {
+  const fixtures = readFixtures(file);
+  fixtures[key] = {
+    status: response.status,
+    statusText: response.statusText,
+    headers: { ...response.headers },
+    body: typeof response.data === 'string' ? response.data : JSON.stringify(response.data)
+  };
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, `${JSON.stringify(fixtures, null, 2)}\n`);
+};
+
+// Mirrors axios' settle(): resolve or reject depending on validateStatus
+const settle = (config, response) => {
+  if (!config.validateStatus || config.validateStatus(response.status)) {
+    return response;
+  }
+  throw new AxiosError(
+    `Request failed with status code ${response.status}`,
+    response.status >= 500 ? AxiosError.ERR_BAD_RESPONSE : AxiosError.ERR_BAD_REQUEST,
+    config,
+    null,
+    response
+  );
+};
+
+// Wraps an axios adapter so it records or replays according to `mode`
+function createFixtureAdapter(adapter, { mode, dir }) {
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown HTTP_MODE "${mode}", expected one of ${MODES.join(', ')}`);
+  }
+  if (mode === 'live') {
+    return adapter;
+  }
+
+  return async config => {
+    const file = fixtureFile(dir, lookupContext.getStore());
+    const key = requestKey(config);
+
+    if (mode === 'replay') {
+      const fixture = readFixtures(file)[key];
+      if (!fixture) {
+        throw new FixtureMissingError(file, key);
+      }
+      return settle(config, {
+        status: fixture.status,
+        statusText: fixture.statusText,
+        headers: fixture.headers,
+        data: fixture.body,
+        config,
+        request: null
+      });
+    }
+
+    try {
+      const response = await adapter(config);
+      writeFixture(file, key, response);
+      return response;
+    } catch (error) {
+      if (error.response) {
+        writeFixture(file, key, error.response);
+      }
+      throw error;
+    }
+  };
+}
+
+module.exports = {
+  FixtureMissingError,
+  withLookupContext,
+  currentLookup,
+  createFixtureAdapter,
+  settle
+};
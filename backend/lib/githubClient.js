@@ -0,0 +1,257 @@
+// lib/githubClient.js - GitHub REST/GraphQL client with ETag revalidation and rate-limit backoff
+const config = require('../config');
+const { http, isStatus, urlPath } = require('./http');
+const { MemoryStore } = require('./cache');
+const { FixtureMissingError } = require('./fixtures');
+const { logger } = require('./logger');
+const { REASONS, UnknownResultError, classifyError } = require('./results');
+
+const PER_PAGE = 100;
+const LANGUAGE_UNKNOWN = 'Other';
+// Retry-After for a rate limit whose reset time GitHub did not report
+const DEFAULT_RETRY_AFTER_SECONDS = 60;
+
+// Conditional requests: a 304 answer is free of quota, so every 200 is remembered with its ETag
+const etags = new MemoryStore({ maxEntries: config.github.etagEntries });
+
+// Latest quota numbers reported by GitHub (X-RateLimit-*)
+const rateLimit = { limit: null, remaining: null, resetAt: null };
+
+const authHeaders = () => (config.github.token
+  ? { 'Authorization': `token ${config.github.token}` }
+  : {});
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+function trackRateLimit(headers) {
+  if (headers && headers['x-ratelimit-remaining'] !== undefined) {
+    rateLimit.limit = parseInt(headers['x-ratelimit-limit'], 10);
+    rateLimit.remaining = parseInt(headers['x-ratelimit-remaining'], 10);
+    rateLimit.resetAt = parseInt(headers['x-ratelimit-reset'], 10) * 1000;
+  }
+}
+
+// Waits for the window to reset when the quota is nearly gone, or gives up if that takes too long
+async function backoff() {
+  if (rateLimit.remaining === null || rateLimit.remaining > config.github.rateLimitReserve) {
+    return;
+  }
+  const wait = rateLimit.resetAt - Date.now();
+  if (wait <= 0) {
+    return;
+  }
+  if (wait > config.github.maxBackoffMs) {
+    throw new UnknownResultError(
+      REASONS.RATE_LIMITED,
+      `GitHub rate limit nearly exhausted (${rateLimit.remaining} left), resets at ${new Date(rateLimit.resetAt).toISOString()}`
+    );
+  }
+  await sleep(wait);
+}
+
+// A 403/429 with an empty quota is rate limiting, not a block
+function rethrow(error) {
+  if (error.response) {
+    trackRateLimit(error.response.headers);
+    if ((isStatus(error, 403) || isStatus(error, 429)) && error.response.headers['x-ratelimit-remaining'] === '0') {
+      throw new UnknownResultError(REASONS.RATE_LIMITED, 'GitHub rate limit exceeded');
+    }
+  }
+  throw error;
+}
+
+// GET returning { data, headers }; served from the ETag cache when GitHub answers 304
+async function request(url) {
+  await backoff();
+  const cached = await etags.get(url);
+  let response;
+  try {
+    response = await http.get(url, {
+      headers: {
+        'Accept': 'application/vnd.github+json',
+        ...authHeaders(),
+        ...(cached ? { 'If-None-Match': cached.etag } : {})
+      },
+      validateStatus: status => (status >= 200 && status < 300) || status === 304
+    });
+  } catch (error) {
+    return rethrow(error);
+  }
+  trackRateLimit(response.headers);
+
+  if (response.status === 304 && cached) {
+    return { data: cached.data, headers: cached.headers };
+  }
+  if (response.headers.etag) {
+    await etags.set(url, { etag: response.headers.etag, data: response.data, headers: { link: response.headers.link } });
+  }
+  return { data: response.data, headers: response.headers };
+}
+
+const get = async path => (await request(`${config.upstreams.github}${path}`)).data;
+
+// Follows rel="next" links until `limit` items are collected
+async function paginate(path, limit) {
+  const items = [];
+  let url = `${config.upstreams.github}${path}${path.includes('?') ? '&' : '?'}per_page=${Math.min(limit, PER_PAGE)}`;
+  while (url && items.length < limit) {
+    const { data, headers } = await request(url);
+    items.push(...data);
+    const next = /<([^>]+)>;\s*rel="next"/.exec(headers.link || '');
+    url = next ? next[1] : null;
+  }
+  return items.slice(0, limit);
+}
+
+// Share of public (non-fork) repositories per primary language
+function languageBreakdown(repos) {
+  const own = repos.filter(repo => !repo.fork);
+  const counts = own.reduce((totals, repo) => {
+    const language = repo.language || LANGUAGE_UNKNOWN;
+    totals[language] = (totals[language] || 0) + 1;
+    return totals;
+  }, {});
+  return Object.entries(counts)
+    .sort((a, b) => b[1] - a[1])
+    .map(([language, count]) => ({
+      language,
+      repos: count,
+      share: Math.round((count / own.length) * 1000) / 1000
+    }));
+}
+
+// Pinned items only exist in the GraphQL API, which always requires a token
+async function pinnedRepos(username) {
+  if (!config.github.token) {
+    return null;
+  }
+  await backoff();
+  const query = `query($login: String!) {
+    user(login: $login) {
+      pinnedItems(first: 6, types: REPOSITORY) {
+        nodes { ... on Repository { name description url stargazerCount primaryLanguage { name } } }
+      }
+    }
+  }`;
+  let response;
+  try {
+    response = await http.post(`${config.upstreams.github}/graphql`, { query, variables: { login: username } }, {
+      headers: authHeaders()
+    });
+  } catch (error) {
+    return rethrow(error);
+  }
+  trackRateLimit(response.headers);
+  const user = response.data.data && response.data.data.user;
+  return user
+    ? user.pinnedItems.nodes.map(repo => ({
+      name: repo.name,
+      description: repo.description,
+      url: repo.url,
+      stars: repo.stargazerCount,
+      language: repo.primaryLanguage ? repo.primaryLanguage.name : null
+    }))
+    : [];
+}
+
+const repoSummary = repo => ({
+  name: repo.name,
+  description: repo.description,
+  url: repo.html_url,
+  stars: repo.stargazers_count,
+  forks: repo.forks_count,
+  language: repo.language,
+  fork: repo.fork,
+  updated_at: repo.updated_at
+});
+
+const SECTIONS = ['repos', 'languages', 'stars', 'orgs', 'pinned', 'events'];
+
+// Resolves with { value } or { error }, so one failing fetch leaves the other sections intact
+const settled = promise => Promise.resolve(promise).then(value => ({ value }), error => ({ error }));
+
+// Extra profile sections; repos are fetched once and shared by repos/languages/stars.
+// A section that could not be fetched is listed under `unavailable` with its reason. A 404 (the
+// account is gone) and rate limiting concern every section, so those are thrown instead.
+async function extendedProfile(username, { include, reposLimit, eventsLimit }) {
+  const wanted = new Set(include);
+  const needsRepos = ['repos', 'languages', 'stars'].some(section => wanted.has(section));
+
+  const [repos, orgs, pinned, events] = await Promise.all([
+    needsRepos ? paginate(`${urlPath`/users/${username}/repos`}?sort=updated`, reposLimit) : null,
+    wanted.has('orgs') ? get(urlPath`/users/${username}/orgs`) : null,
+    wanted.has('pinned') ? pinnedRepos(username) : null,
+    wanted.has('events') ? paginate(urlPath`/users/${username}/events/public`, eventsLimit) : null
+  ].map(settled));
+
+  const failures = [repos, orgs, pinned, events].filter(outcome => outcome.error).map(outcome => outcome.error);
+  const fatal = failures.find(error => error instanceof FixtureMissingError)
+    || failures.find(error => isStatus(error, 404))
+    || failures.find(error => classifyError(error) === REASONS.RATE_LIMITED);
+  if (fatal) {
+    throw fatal;
+  }
+
+  const sections = {};
+  const unavailable = {};
+  const build = (section, outcome, render) => {
+    if (!wanted.has(section)) {
+      return;
+    }
+    if (outcome.error) {
+      const reason = classifyError(outcome.error);
+      logger.warn('GitHub profile section unavailable', { username, section, reason, error: outcome.error.message });
+      unavailable[section] = { reason, error: outcome.error.message };
+      return;
+    }
+    render(outcome.value);
+  };
+
+  build('repos', repos, value => {
+    sections.repos = value.map(repoSummary);
+  });
+  build('languages', repos, value => {
+    sections.languages = languageBreakdown(value);
+  });
+  build('stars', repos, value => {
+    sections.total_stars = value.reduce((total, repo) => total + repo.stargazers_count, 0);
+    sections.repos_counted = value.length;
+  });
+  build('orgs', orgs, value => {
+    sections.orgs = value.map(org => ({ login: org.login, url: `https://github.com/${org.login}`, avatar_url: org.avatar_url }));
+  });
+  build('pinned', pinned, value => {
+    sections.pinned = value;
+  });
+  build('events', events, value => {
+    sections.events = value.map(event => ({
+      type: event.type,
+      repo: event.repo ? event.repo.name : null,
+      created_at: event.created_at
+    }));
+  });
+  if (Object.keys(unavailable).length > 0) {
+    sections.unavailable = unavailable;
+  }
+  return sections;
+}
+
+// Seconds until the rate-limit window resets, for a Retry-After header
+const retryAfterSeconds = () => (rateLimit.resetAt
+  ? Math.max(Math.ceil((rateLimit.resetAt - Date.now()) / 1000), 1)
+  : DEFAULT_RETRY_AFTER_SECONDS);
+
+const rateLimitStatus = () => ({
+  limit: rateLimit.limit,
+  remaining: rateLimit.remaining,
+  reset_at: rateLimit.resetAt ? new Date(rateLimit.resetAt).toISOString() : null,
+  authenticated: Boolean(config.github.token)
+});
+
+module.exports = {
+  SECTIONS,
+  get,
+  extendedProfile,
+  retryAfterSeconds,
+  rateLimitStatus
+};
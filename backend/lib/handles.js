@@ -0,0 +1,78 @@
+// lib/handles.js - Per-platform handle rules: pasted prefixes, length, characters, reserved names
+//
+// Providers describe their rules declaratively:
+//
+//   handle: {
+//     min, max        length bounds after prefixes are stripped
+//     pattern         RegExp the whole handle must match
+//     allowed         human readable version of `pattern`, used in error messages
+//     prefixes        forms users paste that are stripped first, e.g. ['@'] or ['/u/', 'u/']
+//     reserved        names the platform never hands out (compared case-insensitively)
+//     caseSensitive   whether 'Foo' and 'foo' are different accounts (affects cache and history keys)
+//   }
+const HANDLE_DEFAULTS = {
+  min: 1,
+  max: 100,
+  pattern: null,
+  allowed: null,
+  prefixes: [],
+  reserved: [],
+  caseSensitive: false
+};
+
+// Never valid anywhere: control characters cannot be part of a handle on any platform
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+const RULES = {
+  EMPTY: 'empty',
+  LENGTH: 'length',
+  CHARACTERS: 'characters',
+  RESERVED: 'reserved'
+};
+
+// Longest matching prefix first, so '/u/' wins over 'u/'
+function stripPrefixes(input, prefixes) {
+  const trimmed = input.trim();
+  const prefix = prefixes
+    .slice()
+    .sort((a, b) => b.length - a.length)
+    .find(candidate => trimmed.toLowerCase().startsWith(candidate.toLowerCase()));
+  return prefix ? trimmed.slice(prefix.length) : trimmed;
+}
+
+// Returns { handle } for acceptable input, or { problem } describing the rule it breaks
+function checkHandle(rules, label, input) {
+  const { min, max, pattern, allowed, prefixes, reserved } = { ...HANDLE_DEFAULTS, ...rules };
+  const handle = stripPrefixes(String(input), prefixes);
+  const fail = (rule, message, extra = {}) => ({ problem: { rule, message, input, ...extra } });
+
+  if (handle.length === 0) {
+    return fail(RULES.EMPTY, `${label} handle is empty`);
+  }
+  if (handle.length < min || handle.length > max) {
+    return fail(RULES.LENGTH, `${label} handles must be ${min === max ? min : `${min}-${max}`} characters long`, {
+      min,
+      max,
+      length: handle.length
+    });
+  }
+  if (CONTROL_CHARACTERS.test(handle) || (pattern && !pattern.test(handle))) {
+    return fail(RULES.CHARACTERS, `${label} handles may only contain ${allowed || 'printable characters'}`, {
+      allowed: allowed || 'printable characters'
+    });
+  }
+  if (reserved.some(name => name.toLowerCase() === handle.toLowerCase())) {
+    return fail(RULES.RESERVED, `'${handle}' is a reserved name on ${label}`);
+  }
+  return { handle };
+}
+
+// The spelling a checked handle is stored under: one per account, whatever case the caller typed
+const handleKey = (rules, handle) => (rules.caseSensitive ? handle : handle.toLowerCase());
+
+module.exports = {
+  HANDLE_DEFAULTS,
+  RULES,
+  checkHandle,
+  handleKey
+};
@@ -0,0 +1,88 @@
+// lib/health.js - Per-provider health from the success rate of recent upstream lookups
+//
+// A lookup counts as a success when the provider could answer (found or not_found); unknown and
+// error results count as failures. Demo fallbacks do not hide anything here: outcomes are recorded
+// before demo data is filled in. Cache hits are not recorded.
+const config = require('../config');
+
+const HEALTH = {
+  HEALTHY: 'healthy',
+  DEGRADED: 'degraded',
+  FAILING: 'failing',
+  // Too few recent lookups to judge
+  IDLE: 'idle'
+};
+
+// platform -> { samples: [{ at, outcome, reason }], last_success_at, last_failure_at, last_failure_reason }
+const providers = new Map();
+
+const entryFor = platform => {
+  if (!providers.has(platform)) {
+    providers.set(platform, { samples: [], last_success_at: null, last_failure_at: null, last_failure_reason: null });
+  }
+  return providers.get(platform);
+};
+
+const isSuccess = outcome => outcome === 'found' || outcome === 'not_found';
+
+const prune = (entry, now) => {
+  const oldest = now - config.health.windowMs;
+  while (entry.samples.length && (entry.samples[0].at < oldest || entry.samples.length > config.health.maxSamples)) {
+    entry.samples.shift();
+  }
+};
+
+function recordOutcome(platform, outcome, reason = null) {
+  const now = Date.now();
+  const entry = entryFor(platform);
+  entry.samples.push({ at: now, outcome });
+  if (isSuccess(outcome)) {
+    entry.last_success_at = now;
+  } else {
+    entry.last_failure_at = now;
+    entry.last_failure_reason = reason;
+  }
+  prune(entry, now);
+}
+
+const iso = time => (time ? new Date(time).toISOString() : null);
+
+function providerHealth(platform) {
+  const entry = entryFor(platform);
+  prune(entry, Date.now());
+  const outcomes = { found: 0, not_found: 0, unknown: 0, error: 0 };
+  entry.samples.forEach(sample => { outcomes[sample.outcome] += 1; });
+
+  const samples = entry.samples.length;
+  const successRate = samples ? (outcomes.found + outcomes.not_found) / samples : null;
+  let status = HEALTH.IDLE;
+  if (samples >= config.health.minSamples) {
+    if (successRate < config.health.failingBelow) {
+      status = HEALTH.FAILING;
+    } else if (successRate < config.health.degradedBelow) {
+      status = HEALTH.DEGRADED;
+    } else {
+      status = HEALTH.HEALTHY;
+    }
+  }
+
+  return {
+    status,
+    success_rate: successRate === null ? null : Math.round(successRate * 1000) / 1000,
+    samples,
+    window_seconds: Math.round(config.health.windowMs / 1000),
+    outcomes,
+    last_success_at: iso(entry.last_success_at),
+    last_failure_at: iso(entry.last_failure_at),
+    last_failure_reason: entry.last_failure_reason
+  };
+}
+
+const healthReport = platforms => Object.fromEntries(platforms.map(platform => [platform, providerHealth(platform)]));
+
+module.exports = {
+  HEALTH,
+  recordOutcome,
+  providerHealth,
+  healthReport
+};
@@ -0,0 +1,180 @@
+// lib/history.js - Timestamped profile snapshots in an embedded database (NeDB, one file)
+//
+// Every freshly resolved `found` result is stored; cache hits are not, so the series has one
+// point per actual upstream fetch. Usernames are stored like the cache keys: lowercased unless the
+// platform tells handles apart by case (lib/handles.js). Callers pass the registered provider.
+const Datastore = require('@seald-io/nedb');
+const config = require('../config');
+const { ValidationError } = require('./errors');
+const { handleKey } = require('./handles');
+const { logger } = require('./logger');
+
+// Text fields compared by the diff endpoint
+const TEXT_FIELDS = ['name', 'bio', 'avatar_url', 'location'];
+// Numeric fields tracked over time; karma and likes live in the platform extras
+const METRICS = ['followers', 'following', 'posts', 'karma', 'likes'];
+
+// Load state for /readyz; a datafile that fails to load is reported instead of crashing the process
+const store = { ready: !config.history.enabled, error: null };
+
+const db = new Datastore(config.history.enabled
+  ? {
+    filename: config.history.path,
+    autoload: true,
+    onload: error => {
+      store.ready = !error;
+      store.error = error ? error.message : null;
+      if (error) {
+        logger.error('Failed to load history', { path: config.history.path, error });
+      }
+    }
+  }
+  : { inMemoryOnly: true });
+db.ensureIndexAsync({ fieldName: 'key' }).catch(error => logger.error('Failed to index history', { error }));
+// NeDB appends to its file; compacting now and then keeps it from growing with rewrites.
+// The in-memory store has no file, and its interval would keep short-lived processes (tests) alive.
+if (config.history.enabled) {
+  db.setAutocompactionInterval(config.history.compactionMs);
+}
+
+const historyKey = (provider, username) => `${provider.name}:${handleKey(provider.handle, username)}`;
+
+function metricsOf(profile) {
+  const extras = (profile.extras && profile.extras[profile.platform]) || {};
+  return METRICS.reduce((metrics, field) => {
+    const value = profile[field] !== undefined ? profile[field] : extras[field];
+    metrics[field] = typeof value === 'number' ? value : null;
+    return metrics;
+  }, {});
+}
+
+// Fire-and-forget from the lookup path; a failing write must never fail the lookup
+function recordSnapshot(provider, username, profile) {
+  if (!config.history.enabled) {
+    return;
+  }
+  db.insertAsync({
+    key: historyKey(provider, username),
+    platform: provider.name,
+    username: handleKey(provider.handle, username),
+    taken_at: new Date(),
+    profile
+  }).catch(error => logger.error('Failed to store history snapshot', { platform: provider.name, username, error }));
+}
+
+const describe = snapshot => ({
+  id: snapshot._id,
+  taken_at: snapshot.taken_at.toISOString(),
+  ...metricsOf(snapshot.profile),
+  profile: snapshot.profile
+});
+
+function parseDate(value, field) {
+  if (value === undefined) {
+    return null;
+  }
+  // Epoch milliseconds or anything Date understands
+  const date = new Date(/^\d+$/.test(value) ? Number(value) : value);
+  if (Number.isNaN(date.getTime())) {
+    throw new ValidationError(`${field} must be an ISO date or timestamp`);
+  }
+  return date;
+}
+
+// Oldest first, optionally limited to a time range and the most recent `limit` points
+async function listSnapshots(provider, username, { from, to, limit } = {}) {
+  const query = { key: historyKey(provider, username) };
+  const range = {};
+  const since = parseDate(from, 'from');
+  const until = parseDate(to, 'to');
+  if (since) {
+    range.$gte = since;
+  }
+  if (until) {
+    range.$lte = until;
+  }
+  if (Object.keys(range).length > 0) {
+    query.taken_at = range;
+  }
+
+  const newestFirst = await db.findAsync(query).sort({ taken_at: -1 }).limit(limit || 0);
+  return newestFirst.reverse().map(describe);
+}
+
+// A snapshot id, or the snapshot closest before a timestamp
+async function findSnapshot(key, ref, field) {
+  const byId = await db.findOneAsync({ key, _id: ref });
+  if (byId) {
+    return byId;
+  }
+  const at = parseDate(ref, field);
+  const [closest] = await db.findAsync({ key, taken_at: { $lte: at } }).sort({ taken_at: -1 }).limit(1);
+  return closest || null;
+}
+
+function compare(before, after) {
+  const changes = {};
+  TEXT_FIELDS.forEach(field => {
+    const from = before.profile[field] === undefined ? null : before.profile[field];
+    const to = after.profile[field] === undefined ? null : after.profile[field];
+    if (from !== to) {
+      changes[field] = { from, to };
+    }
+  });
+
+  const beforeMetrics = metricsOf(before.profile);
+  const afterMetrics = metricsOf(after.profile);
+  const deltas = {};
+  METRICS.forEach(field => {
+    const from = beforeMetrics[field];
+    const to = afterMetrics[field];
+    if (from === null && to === null) {
+      return;
+    }
+    const delta = from !== null && to !== null ? to - from : null;
+    deltas[field] = {
+      from,
+      to,
+      delta,
+      percent: delta !== null && from !== 0 ? Math.round((delta / from) * 10000) / 100 : null
+    };
+  });
+
+  return { changes, deltas };
+}
+
+// Compares two snapshots (ids or timestamps); defaults to the two most recent ones
+async function diffSnapshots(provider, username, { from, to } = {}) {
+  const key = historyKey(provider, username);
+  let before;
+  let after;
+  if (from || to) {
+    [before, after] = await Promise.all([
+      from ? findSnapshot(key, from, 'from') : db.findOneAsync({ key }).sort({ taken_at: 1 }),
+      to ? findSnapshot(key, to, 'to') : db.findOneAsync({ key }).sort({ taken_at: -1 })
+    ]);
+  } else {
+    [after, before] = await db.findAsync({ key }).sort({ taken_at: -1 }).limit(2);
+  }
+  if (!before || !after) {
+    return null;
+  }
+
+  const elapsedMs = after.taken_at - before.taken_at;
+  return {
+    from: { id: before._id, taken_at: before.taken_at.toISOString() },
+    to: { id: after._id, taken_at: after.taken_at.toISOString() },
+    elapsed_seconds: Math.round(elapsedMs / 1000),
+    ...compare(before, after)
+  };
+}
+
+const historyStatus = () => ({ enabled: config.history.enabled, ready: store.ready, error: store.error });
+
+module.exports = {
+  METRICS,
+  historyStatus,
+  recordSnapshot,
+  listSnapshots,
+  diffSnapshots
+};
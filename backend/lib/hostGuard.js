@@ -0,0 +1,79 @@
+// lib/hostGuard.js - Keeps requests to user-supplied URLs away from loopback, link-local and private networks
+//
+// Webhook URLs, avatar URLs and fediverse instances come from callers (or from servers they control),
+// so the server must not be usable to reach its own network. Hosts are checked twice: up front with
+// assertPublicUrl(), and at connect time through `lookup` (a host may resolve differently the second
+// time). `maxRedirects: 0` stops a public host from bouncing the request to an internal one.
+const dns = require('dns');
+const net = require('net');
+
+const PRIVATE_ADDRESS = 'EPRIVATEADDRESS';
+
+const blockList = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16], ['172.16.0.0', 12],
+  ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.168.0.0', 16], ['198.18.0.0', 15], ['198.51.100.0', 24],
+  ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv4'));
+[
+  // Unspecified, loopback, NAT64, unique local, link-local and multicast (IPv4-mapped addresses
+  // are matched against the IPv4 ranges by BlockList itself)
+  ['::', 128], ['::1', 128], ['64:ff9b::', 96], ['fc00::', 7], ['fe80::', 10], ['ff00::', 8]
+].forEach(([address, prefix]) => blockList.addSubnet(address, prefix, 'ipv6'));
+
+class PrivateAddressError extends Error {
+  constructor(host, address) {
+    super(`${host} resolves to ${address}, which is not a public address`);
+    this.name = 'PrivateAddressError';
+    this.code = PRIVATE_ADDRESS;
+    this.host = host;
+    this.address = address;
+  }
+}
+
+// Anything that is not a plain public IP counts as private
+const isPrivateAddress = address => {
+  const family = net.isIP(address);
+  return family === 0 || blockList.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+// Drop-in for dns.lookup that refuses to hand out private addresses (axios `lookup` option)
+function publicLookup(hostname, options, callback) {
+  dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+    if (error) {
+      return callback(error);
+    }
+    const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+    if (blocked) {
+      return callback(new PrivateAddressError(hostname, blocked.address));
+    }
+    return options.all ? callback(null, addresses) : callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+// Resolves the URL's host and rejects when any of its addresses is private.
+// Decimal, octal and hex IPv4 forms are normalized by the URL parser or by the resolver.
+async function assertPublicUrl(url) {
+  const host = new URL(url).hostname.replace(/^\[|\]$/g, '');
+  const addresses = net.isIP(host)
+    ? [{ address: host }]
+    : await dns.promises.lookup(host, { all: true });
+  const blocked = addresses.find(({ address }) => isPrivateAddress(address));
+  if (blocked) {
+    throw new PrivateAddressError(host, blocked.address);
+  }
+}
+
+// axios options for requests to user-supplied URLs
+const publicOnly = { lookup: publicLookup, maxRedirects: 0 };
+
+const isPrivateAddressError = error => Boolean(error) && error.code === PRIVATE_ADDRESS;
+
+module.exports = {
+  PrivateAddressError,
+  isPrivateAddress,
+  isPrivateAddressError,
+  assertPublicUrl,
+  publicLookup,
+  publicOnly
+};
@@ -0,0 +1,19 @@
+// lib/html.js - Plain text from the HTML fragments platforms use for bios and posts
+const cheerio = require('cheerio');
+
+// Keeps paragraph and line breaks; entities are decoded, tags and links dropped
+const htmlToText = html => {
+  if (!html) {
+    return null;
+  }
+  const normalized = String(html)
+    .replace(/<br\s*\/?>/gi, '\n')
+    .replace(/<\/p>\s*<p[^>]*>/gi, '\n\n')
+    .replace(/<p>/gi, '\n\n');
+  const $ = cheerio.load(normalized, null, false);
+  return $.root().text().trim() || null;
+};
+
+module.exports = {
+  htmlToText
+};
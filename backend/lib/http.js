@@ -0,0 +1,57 @@
+// lib/http.js - Shared outbound HTTP client for all providers
+const axios = require('axios');
+const config = require('../config');
+const { createFixtureAdapter, currentLookup } = require('./fixtures');
+const { instrumentAdapter } = require('./metrics');
+const { createScheduledAdapter } = require('./outbound');
+
+const BROWSER_USER_AGENT = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36';
+
+// Hosts this server is configured to talk to. Any other host is named by a caller (fediverse
+// instances, Bluesky handles, avatar URLs) and shares the `other` metrics label.
+const knownHosts = new Set([
+  ...Object.values(config.upstreams),
+  ...config.nitter.instances,
+  ...config.fediverse.instances.map(domain => `${config.fediverse.scheme}://${domain}`),
+  config.spotify.accountsUrl,
+  config.spotify.apiUrl,
+  config.youtube.apiUrl,
+  config.twitch.authUrl,
+  config.twitch.apiUrl
+].map(url => new URL(url).host).concat(Object.keys(config.outbound.hosts)));
+const isKnownHost = host => knownHosts.has(host);
+
+// Live traffic is throttled per host; replayed fixtures bypass the scheduler.
+// Every attempt that reaches the network (retries included) is counted in the metrics.
+const scheduler = createScheduledAdapter(
+  instrumentAdapter(axios.getAdapter(axios.defaults.adapter), currentLookup, host => (isKnownHost(host) ? host : 'other')),
+  { ...config.outbound, isKnownHost }
+);
+
+const http = axios.create({
+  headers: {
+    'User-Agent': BROWSER_USER_AGENT
+  },
+  adapter: createFixtureAdapter(scheduler, {
+    mode: config.http.mode,
+    dir: config.http.fixturesDir
+  })
+});
+
+// Tagged template that percent-encodes every interpolated value as a single path segment:
+// urlPath`/users/${username}/repos` can never gain extra segments, a query string or a fragment
+const urlPath = (strings, ...values) => strings.reduce(
+  (url, part, index) => url + part + (index < values.length ? encodeURIComponent(values[index]) : ''),
+  ''
+);
+
+// True when the upstream answered with the given status code
+const isStatus = (error, status) => Boolean(error.response && error.response.status === status);
+
+module.exports = {
+  http,
+  isStatus,
+  urlPath,
+  outboundStatus: scheduler.status,
+  BROWSER_USER_AGENT
+};
@@ -0,0 +1,54 @@
+// lib/imageHash.js - Perceptual (difference) hashes of avatar images
+const { Jimp } = require('jimp');
+const config = require('../config');
+const { http } = require('./http');
+const { assertPublicUrl, publicOnly } = require('./hostGuard');
+
+const HASH_BITS = 64;
+
+// dHash: shrink to 9x8 greyscale and record whether each pixel is brighter than its right neighbour.
+// Resizing and recompression barely move the hash, so re-uploaded avatars stay close.
+async function differenceHash(buffer) {
+  const image = await Jimp.fromBuffer(buffer);
+  image.greyscale().resize({ w: 9, h: 8 });
+
+  let bits = '';
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      const left = image.getPixelColor(x, y) >>> 24;
+      const right = image.getPixelColor(x + 1, y) >>> 24;
+      bits += left > right ? '1' : '0';
+    }
+  }
+  return BigInt(`0b${bits}`).toString(16).padStart(HASH_BITS / 4, '0');
+}
+
+// Avatar URLs come from upstream profiles, so they get the same host checks as webhook URLs
+async function hashImageUrl(url) {
+  await assertPublicUrl(url);
+  const response = await http.get(url, {
+    ...publicOnly,
+    responseType: 'arraybuffer',
+    timeout: 5000,
+    maxContentLength: config.correlation.avatarMaxBytes,
+    maxBodyLength: config.correlation.avatarMaxBytes
+  });
+  return differenceHash(Buffer.from(response.data));
+}
+
+function hammingDistance(hashA, hashB) {
+  let diff = BigInt(`0x${hashA}`) ^ BigInt(`0x${hashB}`);
+  let distance = 0;
+  while (diff > 0n) {
+    distance += Number(diff & 1n);
+    diff >>= 1n;
+  }
+  return distance;
+}
+
+module.exports = {
+  HASH_BITS,
+  differenceHash,
+  hashImageUrl,
+  hammingDistance
+};
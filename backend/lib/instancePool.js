@@ -0,0 +1,83 @@
+// lib/instancePool.js - Health-ranked pool of interchangeable upstream instances (e.g. Nitter)
+
+const HISTORY_SIZE = 20;
+
+class InstancePool {
+  constructor(urls, { failureThreshold = 3, cooldownMs = 5 * 60 * 1000 } = {}) {
+    if (urls.length === 0) {
+      throw new Error('InstancePool needs at least one instance');
+    }
+    this.failureThreshold = failureThreshold;
+    this.cooldownMs = cooldownMs;
+    this.instances = urls.map((url, order) => ({
+      url,
+      order,
+      history: [],
+      consecutiveFailures: 0,
+      benchedUntil: 0,
+      lastError: null
+    }));
+  }
+
+  // Share of recent requests that succeeded; untried instances count as healthy
+  static successRate(instance) {
+    if (instance.history.length === 0) {
+      return 1;
+    }
+    return instance.history.filter(entry => entry.ok).length / instance.history.length;
+  }
+
+  // Instances in the order they should be tried: healthy ones first, best success rate first.
+  // When every instance is benched the least recently benched one is still offered.
+  candidates() {
+    const now = Date.now();
+    const available = this.instances.filter(instance => instance.benchedUntil <= now);
+    const pool = available.length > 0
+      ? available
+      : [this.instances.reduce((a, b) => (a.benchedUntil <= b.benchedUntil ? a : b))];
+
+    return pool
+      .slice()
+      .sort((a, b) => (InstancePool.successRate(b) - InstancePool.successRate(a)) || (a.order - b.order))
+      .map(instance => instance.url);
+  }
+
+  record(url, entry) {
+    const instance = this.instances.find(candidate => candidate.url === url);
+    instance.history.push(entry);
+    if (instance.history.length > HISTORY_SIZE) {
+      instance.history.shift();
+    }
+    return instance;
+  }
+
+  reportSuccess(url, latencyMs) {
+    const instance = this.record(url, { ok: true, latencyMs });
+    instance.consecutiveFailures = 0;
+    instance.benchedUntil = 0;
+  }
+
+  reportFailure(url, error) {
+    const instance = this.record(url, { ok: false });
+    instance.consecutiveFailures += 1;
+    instance.lastError = error ? error.message : null;
+    if (instance.consecutiveFailures >= this.failureThreshold) {
+      instance.benchedUntil = Date.now() + this.cooldownMs;
+    }
+  }
+
+  // Diagnostics for GET /api/platforms
+  status() {
+    const now = Date.now();
+    return this.instances.map(instance => ({
+      url: instance.url,
+      success_rate: Math.round(InstancePool.successRate(instance) * 100) / 100,
+      consecutive_failures: instance.consecutiveFailures,
+      in_rotation: instance.benchedUntil <= now,
+      benched_until: instance.benchedUntil > now ? new Date(instance.benchedUntil).toISOString() : null,
+      last_error: instance.lastError
+    }));
+  }
+}
+
+module.exports = InstancePool;
@@ -0,0 +1,44 @@
+// lib/jsonStore.js - Small JSON document store backed by a single file
+const fs = require('fs');
+const path = require('path');
+
+class JsonStore {
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.defaults = defaults;
+    this.data = null;
+    this.writing = Promise.resolve();
+  }
+
+  // Loaded lazily and kept in memory; the file is only read once
+  read() {
+    if (this.data === null) {
+      try {
+        this.data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          throw error;
+        }
+        this.data = JSON.parse(JSON.stringify(this.defaults));
+      }
+    }
+    return this.data;
+  }
+
+  // Applies `mutator` to the document and persists it; writes are serialized and atomic
+  update(mutator) {
+    const result = mutator(this.read());
+    const snapshot = `${JSON.stringify(this.data, null, 2)}\n`;
+    const next = this.writing.then(async () => {
+      await fs.promises.mkdir(path.dirname(this.file), { recursive: true });
+      const tmp = `${this.file}.${process.pid}.tmp`;
+      await fs.promises.writeFile(tmp, snapshot);
+      await fs.promises.rename(tmp, this.file);
+    });
+    // The failure is reported to this caller only; later writes must not inherit the rejection
+    this.writing = next.catch(() => {});
+    return next.then(() => result);
+  }
+}
+
+module.exports = JsonStore;
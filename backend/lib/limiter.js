@@ -0,0 +1,51 @@
+// lib/limiter.js - Promise limiter: bounded concurrency with an optional minimum gap between starts
+const { AsyncResource } = require('async_hooks');
+
+function createLimiter({ concurrency = Infinity, intervalMs = 0 } = {}) {
+  const queue = [];
+  let active = 0;
+  let lastStart = 0;
+  let timer = null;
+
+  const next = () => {
+    if (active >= concurrency || queue.length === 0 || timer) {
+      return;
+    }
+
+    const wait = lastStart + intervalMs - Date.now();
+    if (wait > 0) {
+      timer = setTimeout(() => {
+        timer = null;
+        next();
+      }, wait);
+      return;
+    }
+
+    const { task, resolve, reject } = queue.shift();
+    active += 1;
+    lastStart = Date.now();
+    Promise.resolve()
+      .then(task)
+      .then(resolve, reject)
+      .finally(() => {
+        active -= 1;
+        next();
+      });
+    next();
+  };
+
+  // Queued tasks are started from another task's completion or a timer, so each one is bound to
+  // its caller's async context (the API key in lib/apiKeys.js) when it is queued
+  const schedule = task => new Promise((resolve, reject) => {
+    queue.push({ task: AsyncResource.bind(task), resolve, reject });
+    next();
+  });
+
+  schedule.pending = () => queue.length;
+  schedule.active = () => active;
+  return schedule;
+}
+
+module.exports = {
+  createLimiter
+};
@@ -0,0 +1,105 @@
+// lib/logger.js - Structured logs: one JSON object per line, tagged with the current request id
+const { AsyncLocalStorage } = require('async_hooks');
+const { randomUUID } = require('crypto');
+const config = require('../config');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40, silent: Infinity };
+
+const requestContext = new AsyncLocalStorage();
+
+// Client supplied ids are kept (for tracing across services) when they look sane
+const REQUEST_ID = /^[\w.:-]{1,128}$/;
+
+const threshold = () => LEVELS[config.logging.level] || LEVELS.info;
+
+const serialize = value => {
+  if (!(value instanceof Error)) {
+    return value;
+  }
+  return {
+    name: value.name,
+    message: value.message,
+    ...(value.code ? { code: value.code } : {}),
+    ...(value.response ? { status: value.response.status } : {}),
+    stack: value.stack
+  };
+};
+
+function write(level, msg, fields = {}) {
+  if (LEVELS[level] < threshold()) {
+    return;
+  }
+  const context = requestContext.getStore();
+  const entry = { time: new Date().toISOString(), level, msg };
+  if (context) {
+    entry.request_id = context.id;
+  }
+  Object.entries(fields).forEach(([name, value]) => {
+    if (value !== undefined) {
+      entry[name] = serialize(value);
+    }
+  });
+  (LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout).write(`${JSON.stringify(entry)}\n`);
+}
+
+const logger = {
+  debug: (msg, fields) => write('debug', msg, fields),
+  info: (msg, fields) => write('info', msg, fields),
+  warn: (msg, fields) => write('warn', msg, fields),
+  error: (msg, fields) => write('error', msg, fields)
+};
+
+// Route template of the matched handler, e.g. /api/github/:username
+const routeOf = req => req.routeTemplate || null;
+
+// Express resets req.baseUrl when an error leaves a router, so the full template is taken when the route matches
+function trackRoute(req) {
+  let route;
+  Object.defineProperty(req, 'route', {
+    configurable: true,
+    enumerable: true,
+    get: () => route,
+    set: value => {
+      route = value;
+      req.routeTemplate = value ? `${req.baseUrl}${value.path}` : req.routeTemplate;
+    }
+  });
+}
+
+// Assigns the request id (X-Request-Id), runs the request in its context and logs it when finished
+function requestLogger(req, res, next) {
+  const incoming = req.get('X-Request-Id');
+  const id = incoming && REQUEST_ID.test(incoming) ? incoming : randomUUID();
+  const started = process.hrtime.bigint();
+  req.id = id;
+  res.set('X-Request-Id', id);
+  trackRoute(req);
+
+  res.on('finish', () => {
+    const level = res.statusCode >= 500 ? 'error' : 'info';
+    write(level, 'request', {
+      request_id: id,
+      method: req.method,
+      path: req.originalUrl.split('?')[0],
+      route: routeOf(req) || undefined,
+      status: res.statusCode,
+      duration_ms: Math.round(Number(process.hrtime.bigint() - started) / 1e4) / 100,
+      api_key: req.apiKey ? req.apiKey.id : undefined,
+      ip: req.ip
+    });
+  });
+
+  requestContext.run({ id }, next);
+}
+
+const currentRequestId = () => {
+  const context = requestContext.getStore();
+  return context ? context.id : null;
+};
+
+module.exports = {
+  logger,
+  requestLogger,
+  routeOf,
+  currentRequestId
+};
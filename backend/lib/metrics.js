@@ -0,0 +1,126 @@
+// lib/metrics.js - Prometheus metrics for inbound requests, provider lookups and upstream responses
+const client = require('prom-client');
+const { REASONS, STATUS } = require('./results');
+const { routeOf } = require('./logger');
+
+// `error` separates our own failures (bugs, broken parsers) from upstream trouble (`unknown`)
+const OUTCOMES = ['found', 'not_found', 'unknown', 'error'];
+
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry, prefix: 'mgn_' });
+
+const httpRequests = new client.Counter({
+  name: 'mgn_http_requests_total',
+  help: 'Inbound API requests by route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [registry]
+});
+
+const httpDuration = new client.Histogram({
+  name: 'mgn_http_request_duration_seconds',
+  help: 'Inbound API request latency',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry]
+});
+
+const providerLookups = new client.Counter({
+  name: 'mgn_provider_lookups_total',
+  help: 'Provider lookups resolved against the upstream (cache hits excluded) by outcome',
+  labelNames: ['platform', 'outcome'],
+  registers: [registry]
+});
+
+const providerUnknown = new client.Counter({
+  name: 'mgn_provider_unknown_total',
+  help: 'Unknown and error lookups by reason',
+  labelNames: ['platform', 'reason'],
+  registers: [registry]
+});
+
+const providerDuration = new client.Histogram({
+  name: 'mgn_provider_lookup_duration_seconds',
+  help: 'Upstream lookup latency per provider (fetch, parse and normalize)',
+  labelNames: ['platform', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2, 4, 8, 15, 30],
+  registers: [registry]
+});
+
+const cacheResults = new client.Counter({
+  name: 'mgn_provider_cache_total',
+  help: 'Provider lookups by response cache state',
+  labelNames: ['platform', 'state'],
+  registers: [registry]
+});
+
+const upstreamResponses = new client.Counter({
+  name: 'mgn_upstream_responses_total',
+  help: 'Upstream HTTP responses (every attempt, retries included) by status code or network error code',
+  labelNames: ['platform', 'host', 'status'],
+  registers: [registry]
+});
+
+const outcomeOf = result => {
+  if (result.status === STATUS.UNKNOWN && result.reason === REASONS.INTERNAL_ERROR) {
+    return 'error';
+  }
+  return result.status;
+};
+
+function observeLookup(platform, outcome, reason, seconds) {
+  providerLookups.inc({ platform, outcome });
+  providerDuration.observe({ platform, outcome }, seconds);
+  if (reason) {
+    providerUnknown.inc({ platform, reason });
+  }
+}
+
+const observeCache = (platform, state) => cacheResults.inc({ platform, state });
+
+const observeUpstream = (platform, host, status) => upstreamResponses.inc({ platform: platform || 'none', host, status: String(status) });
+
+// Wraps an axios adapter so that every upstream attempt is counted; `contextOf` names the platform.
+// `hostLabel` keeps caller-named hosts from becoming label values of their own.
+function instrumentAdapter(adapter, contextOf, hostLabel = host => host) {
+  return async config => {
+    const host = hostLabel(new URL(config.url, config.baseURL || undefined).host);
+    const platform = (contextOf() || {}).platform;
+    try {
+      const response = await adapter(config);
+      observeUpstream(platform, host, response.status);
+      return response;
+    } catch (error) {
+      observeUpstream(platform, host, error.response ? error.response.status : (error.code || 'network_error'));
+      throw error;
+    }
+  };
+}
+
+// Inbound request metrics; unmatched paths share one label so scanners can't blow up cardinality
+function httpMetrics(req, res, next) {
+  const stop = httpDuration.startTimer();
+  res.on('finish', () => {
+    const route = routeOf(req) || 'unmatched';
+    httpRequests.inc({ method: req.method, route, status: String(res.statusCode) });
+    stop({ method: req.method, route });
+  });
+  next();
+}
+
+async function metricsHandler(req, res, next) {
+  try {
+    res.type(registry.contentType).send(await registry.metrics());
+  } catch (error) {
+    next(error);
+  }
+}
+
+module.exports = {
+  OUTCOMES,
+  outcomeOf,
+  observeLookup,
+  observeCache,
+  instrumentAdapter,
+  httpMetrics,
+  metricsHandler
+};
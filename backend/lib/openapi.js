@@ -0,0 +1,1085 @@
+// lib/openapi.js - OpenAPI 3.1 description of the HTTP API, built from the provider registry
+//
+// Served at /api/openapi.json and used by lib/contract.js to validate responses. Schemas are
+// JSON Schema 2020-12 (OpenAPI 3.1), so `null` is spelled as a type rather than `nullable`.
+const { listProviders } = require('../providers');
+const { CORE_FIELDS, SOURCES } = require('./profile');
+const { REASONS, STATUS } = require('./results');
+const { CACHE_STATE } = require('./cache');
+const { FORMATS } = require('./export');
+const { SECTIONS: GITHUB_SECTIONS } = require('./githubClient');
+const { EVENTS: WATCHLIST_EVENTS } = require('./watchlists');
+const { HEALTH } = require('./health');
+const { OUTCOMES } = require('./metrics');
+const packageInfo = require('../package.json');
+
+const ref = name => ({ $ref: `#/components/schemas/${name}` });
+const orNull = schema => ({ anyOf: [schema, { type: 'null' }] });
+const nullableType = type => ({ type: [type, 'null'] });
+
+const json = (description, schema) => ({ description, content: { 'application/json': { schema } } });
+const error = description => json(description, ref('Error'));
+const noContent = description => ({ description });
+
+const pathParam = (name, description) => ({ name, in: 'path', required: true, description, schema: { type: 'string' } });
+const queryParam = (name, description, schema = { type: 'string' }) => ({ name, in: 'query', required: false, description, schema });
+const flagParam = (name, description) => queryParam(name, description, { type: 'string', enum: ['1', 'true', '0', 'false'] });
+const jsonBody = (schema, description) => ({ required: true, description, content: { 'application/json': { schema } } });
+
+const PARAMETERS = {
+  Demo: flagParam('demo', 'Fill unknown results with synthetic demo data (marked simulated)'),
+  Fresh: flagParam('fresh', 'Bypass the response cache; the new result is still cached'),
+  Platforms: queryParam('platforms', 'Comma separated platform names; all platforms when omitted'),
+  Format: queryParam('format', 'Export format; overrides the Accept header', { type: 'string', enum: Object.keys(FORMATS) }),
+  ApiKey: queryParam('api_key', 'API key, as an alternative to the X-API-Key header')
+};
+const param = name => ({ $ref: `#/components/parameters/${name}` });
+
+// JSON plus the export formats of lib/export.js
+const exportable = (description, schema) => ({
+  description,
+  content: {
+    'application/json': { schema },
+    [FORMATS.csv]: { schema: { type: 'string' } },
+    [FORMATS.ndjson]: { schema: { type: 'string' } },
+    [FORMATS.html]: { schema: { type: 'string' } }
+  }
+});
+
+const CORE_TYPES = {
+  created_at: { type: ['string', 'null'], format: 'date-time' },
+  verified: nullableType('boolean'),
+  followers: nullableType('integer'),
+  following: nullableType('integer'),
+  posts: nullableType('integer')
+};
+
+const profileSchema = {
+  type: 'object',
+  description: 'Normalized profile; platform specific fields live under extras[platform]',
+  required: ['platform', ...Object.keys(CORE_FIELDS), 'source', 'extras'],
+  properties: {
+    platform: { type: 'string' },
+    ...Object.fromEntries(Object.keys(CORE_FIELDS).map(field => [field, CORE_TYPES[field] || nullableType('string')])),
+    source: { enum: [...Object.values(SOURCES), null] },
+    extras: { type: 'object', additionalProperties: { type: 'object' } }
+  },
+  additionalProperties: false
+};
+
+const lookupResultSchema = {
+  type: 'object',
+  description: 'Tri-state lookup result. `found` always carries a profile; `unknown` explains why in `reason`.',
+  required: ['status', 'exists', 'confidence', 'profile'],
+  properties: {
+    status: { enum: Object.values(STATUS) },
+    exists: nullableType('boolean'),
+    confidence: { type: 'number', minimum: 0, maximum: 1 },
+    reason: { enum: Object.values(REASONS) },
+    error: nullableType('string'),
+    suggestions: { type: 'array', items: ref('SpotifyCandidate') },
+    profile: orNull(ref('Profile')),
+    simulated: { type: 'boolean', description: 'Demo data, only with ?demo=1' },
+    cache: ref('CacheInfo'),
+    latency_ms: { type: 'integer' }
+  },
+  allOf: [
+    {
+      if: { properties: { status: { const: STATUS.FOUND } } },
+      then: { properties: { exists: { const: true }, profile: ref('Profile') } }
+    },
+    {
+      if: { properties: { status: { const: STATUS.UNKNOWN } } },
+      then: { required: ['reason', 'error'] }
+    }
+  ],
+  unevaluatedProperties: false
+};
+
+const schemas = {
+  Error: {
+    type: 'object',
+    required: ['error'],
+    properties: {
+      error: { type: 'string' },
+      platform: { type: 'string' },
+      rule: { type: 'string', description: 'Broken handle rule: empty, length, characters, reserved or custom' },
+      details: { type: 'array', items: { type: 'string' } },
+      available: { type: 'array', items: { type: 'string' } },
+      index: { type: 'integer', description: 'Position of the offending entry in a request array' }
+    }
+  },
+  Profile: profileSchema,
+  CacheInfo: {
+    type: 'object',
+    required: ['state', 'age', 'ttl', 'stale_while_revalidate'],
+    properties: {
+      state: { enum: Object.values(CACHE_STATE) },
+      age: { type: 'integer' },
+      ttl: { type: 'integer' },
+      stale_while_revalidate: { type: 'integer' }
+    },
+    additionalProperties: false
+  },
+  LookupResult: lookupResultSchema,
+  // LookupResult's own unevaluatedProperties would reject `details` behind a $ref, so it is extended in place
+  GithubLookupResult: {
+    ...lookupResultSchema,
+    properties: {
+      ...lookupResultSchema.properties,
+      details: {
+        type: 'object',
+        description: 'Sections selected with ?include=',
+        properties: {
+          repos: { type: 'array', items: { type: 'object' } },
+          languages: {
+            type: 'array',
+            items: {
+              type: 'object',
+              required: ['language', 'repos', 'share'],
+              properties: { language: { type: 'string' }, repos: { type: 'integer' }, share: { type: 'number' } }
+            }
+          },
+          total_stars: { type: 'integer' },
+          repos_counted: { type: 'integer' },
+          orgs: { type: 'array', items: { type: 'object' } },
+          pinned: orNull({ type: 'array', items: { type: 'object' } }),
+          events: { type: 'array', items: { type: 'object' } },
+          unavailable: {
+            type: 'object',
+            description: 'Requested sections that could not be fetched, by section name',
+            additionalProperties: {
+              type: 'object',
+              required: ['reason', 'error'],
+              properties: { reason: { enum: Object.values(REASONS) }, error: { type: 'string' } }
+            }
+          }
+        }
+      }
+    }
+  },
+  CombinedLookup: {
+    type: 'object',
+    required: ['username', 'latency_ms', 'platforms'],
+    properties: {
+      username: { type: 'string' },
+      latency_ms: { type: 'integer' },
+      platforms: { type: 'object', additionalProperties: ref('LookupResult') }
+    },
+    additionalProperties: false
+  },
+  Platform: {
+    type: 'object',
+    required: ['name', 'label', 'description', 'timeout_ms', 'cache_ttl', 'route', 'upstream'],
+    properties: {
+      name: { type: 'string' },
+      label: { type: 'string' },
+      description: { type: 'string' },
+      timeout_ms: { type: 'integer' },
+      cache_ttl: {
+        type: 'object',
+        required: ['positive', 'negative'],
+        properties: { positive: { type: 'integer' }, negative: { type: 'integer' } }
+      },
+      route: { type: 'string' },
+      upstream: orNull({ type: 'object' })
+    }
+  },
+  UpstreamHost: {
+    type: 'object',
+    required: ['host', 'circuit', 'consecutive_failures', 'active', 'queued', 'tokens', 'paused_until'],
+    properties: {
+      host: { type: 'string' },
+      circuit: { enum: ['closed', 'open', 'half_open'] },
+      consecutive_failures: { type: 'integer' },
+      active: { type: 'integer' },
+      queued: { type: 'integer' },
+      tokens: { type: 'number' },
+      paused_until: { type: ['string', 'null'], format: 'date-time' }
+    }
+  },
+  BatchRequest: {
+    type: 'object',
+    required: ['usernames'],
+    properties: {
+      usernames: { type: 'array', items: { type: 'string' }, minItems: 1 },
+      platforms: { type: 'array', items: { type: 'string' } },
+      concurrency: { type: 'integer', minimum: 1 },
+      demo: { type: 'boolean' },
+      fresh: { type: 'boolean' }
+    }
+  },
+  BatchSummary: {
+    type: 'object',
+    required: ['id', 'status', 'platforms', 'created_at', 'finished_at', 'progress'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      status: { enum: ['running', 'completed', 'cancelled'] },
+      platforms: { type: 'array', items: { type: 'string' } },
+      created_at: { type: 'string', format: 'date-time' },
+      finished_at: { type: ['string', 'null'], format: 'date-time' },
+      progress: {
+        type: 'object',
+        required: ['total', 'completed', 'percent'],
+        properties: { total: { type: 'integer' }, completed: { type: 'integer' }, percent: { type: 'integer' } }
+      },
+      status_url: { type: 'string' },
+      events_url: { type: 'string' }
+    }
+  },
+  BatchJob: {
+    allOf: [{ $ref: '#/components/schemas/BatchSummary' }],
+    required: ['results'],
+    properties: {
+      results: {
+        type: 'object',
+        description: 'username -> platform -> result',
+        additionalProperties: { type: 'object', additionalProperties: ref('LookupResult') }
+      }
+    }
+  },
+  AvailabilityVariant: {
+    type: 'object',
+    required: ['rank', 'handle', 'free_count', 'available_on', 'taken_on', 'unknown_on', 'invalid_on', 'matrix'],
+    properties: {
+      rank: { type: 'integer' },
+      handle: { type: 'string' },
+      free_count: { type: 'integer' },
+      available_on: { type: 'array', items: { type: 'string' } },
+      taken_on: { type: 'array', items: { type: 'string' } },
+      unknown_on: { type: 'array', items: { type: 'string' } },
+      invalid_on: { type: 'array', items: { type: 'string' } },
+      matrix: { type: 'object', additionalProperties: { enum: ['available', 'taken', 'unknown', 'invalid'] } }
+    }
+  },
+  Availability: {
+    type: 'object',
+    required: ['handle', 'platforms', 'fully_available', 'variants'],
+    properties: {
+      handle: { type: 'string' },
+      platforms: { type: 'array', items: { type: 'string' } },
+      fully_available: { type: 'array', items: { type: 'string' } },
+      variants: { type: 'array', items: ref('AvailabilityVariant') }
+    }
+  },
+  Correlation: {
+    type: 'object',
+    required: ['profiles', 'pairs', 'avatar_errors', 'skipped'],
+    properties: {
+      profiles: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['platform', 'username', 'avatar_hash'],
+          properties: { platform: { type: 'string' }, username: nullableType('string'), avatar_hash: nullableType('string') }
+        }
+      },
+      pairs: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['a', 'b', 'likelihood', 'verdict', 'matched_signals', 'signals'],
+          properties: {
+            a: { type: 'object' },
+            b: { type: 'object' },
+            likelihood: { type: 'number', minimum: 0, maximum: 1 },
+            verdict: { enum: ['likely_same', 'possibly_same', 'likely_different', 'insufficient_data'] },
+            matched_signals: { type: 'array', items: { type: 'string' } },
+            signals: {
+              type: 'array',
+              items: {
+                type: 'object',
+                required: ['signal', 'weight', 'score', 'matched', 'detail'],
+                properties: {
+                  signal: { type: 'string' },
+                  weight: { type: 'number' },
+                  score: { type: 'number' },
+                  matched: { type: 'boolean' },
+                  detail: { type: 'string' }
+                }
+              }
+            }
+          }
+        }
+      },
+      avatar_errors: { type: 'object', additionalProperties: { type: 'string' } },
+      skipped: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['platform', 'username', 'status'],
+          properties: { platform: { type: 'string' }, username: { type: 'string' }, status: { type: 'string' } }
+        }
+      }
+    }
+  },
+  SpotifyCandidate: {
+    type: 'object',
+    required: ['id', 'name', 'type', 'score', 'matched_on'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      type: { enum: ['artist', 'account'] },
+      score: { type: 'number' },
+      matched_on: { enum: ['id', 'name', 'alias'] }
+    }
+  },
+  SpotifySearch: {
+    type: 'object',
+    required: ['query', 'exact_match', 'candidates'],
+    properties: {
+      query: { type: 'string' },
+      exact_match: nullableType('string'),
+      candidates: { type: 'array', items: ref('SpotifyCandidate') }
+    }
+  },
+  CatalogEntry: {
+    type: 'object',
+    description: 'Curated Spotify profile (see lib/spotifyCatalog.js for the full validation rules); `id` is required on creation',
+    required: ['name', 'type', 'followers'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      type: { enum: ['artist', 'account'] },
+      followers: { type: 'integer', minimum: 0 },
+      popularity: { type: 'integer', minimum: 0, maximum: 100 },
+      monthly_listeners: { type: 'integer', minimum: 0 },
+      image_url: { type: 'string' },
+      verified: { type: 'boolean' },
+      genres: { type: 'array', items: { type: 'string' } },
+      top_tracks: { type: 'array', items: { type: 'object' } },
+      albums: { type: 'array', items: { type: 'object' } },
+      playlists: { type: 'array', items: { type: 'object' } }
+    }
+  },
+  Snapshot: {
+    type: 'object',
+    required: ['id', 'taken_at', 'followers', 'following', 'posts', 'karma', 'likes', 'profile'],
+    properties: {
+      id: { type: 'string' },
+      taken_at: { type: 'string', format: 'date-time' },
+      followers: nullableType('number'),
+      following: nullableType('number'),
+      posts: nullableType('number'),
+      karma: nullableType('number'),
+      likes: nullableType('number'),
+      profile: ref('Profile')
+    }
+  },
+  History: {
+    type: 'object',
+    required: ['platform', 'username', 'count', 'snapshots'],
+    properties: {
+      platform: { type: 'string' },
+      username: { type: 'string' },
+      count: { type: 'integer' },
+      snapshots: { type: 'array', items: ref('Snapshot') }
+    }
+  },
+  HistoryDiff: {
+    type: 'object',
+    required: ['platform', 'username', 'from', 'to', 'elapsed_seconds', 'changes', 'deltas'],
+    properties: {
+      platform: { type: 'string' },
+      username: { type: 'string' },
+      from: { type: 'object', required: ['id', 'taken_at'] },
+      to: { type: 'object', required: ['id', 'taken_at'] },
+      elapsed_seconds: { type: 'integer' },
+      changes: {
+        type: 'object',
+        additionalProperties: { type: 'object', required: ['from', 'to'] }
+      },
+      deltas: {
+        type: 'object',
+        additionalProperties: {
+          type: 'object',
+          required: ['from', 'to', 'delta', 'percent'],
+          properties: {
+            from: nullableType('number'),
+            to: nullableType('number'),
+            delta: nullableType('number'),
+            percent: nullableType('number')
+          }
+        }
+      }
+    }
+  },
+  ApiKey: {
+    type: 'object',
+    required: ['id', 'name', 'prefix', 'rate_limit', 'daily_quota', 'allowed_platforms', 'cors_origins', 'disabled', 'created_at'],
+    properties: {
+      id: { type: 'string' },
+      name: { type: 'string' },
+      prefix: { type: 'string' },
+      rate_limit: { type: 'integer' },
+      daily_quota: nullableType('integer'),
+      allowed_platforms: { type: 'array', items: { type: 'string' } },
+      cors_origins: { type: 'array', items: { type: 'string' } },
+      disabled: { type: 'boolean' },
+      created_at: { type: 'string', format: 'date-time' },
+      key: { type: 'string', description: 'Only returned when the key is created' }
+    },
+    additionalProperties: false
+  },
+  ApiKeySettings: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      rate_limit: { type: 'integer', minimum: 1 },
+      daily_quota: { ...nullableType('integer'), description: 'Provider lookups per UTC day, null for unlimited' },
+      allowed_platforms: { type: 'array', items: { type: 'string' } },
+      cors_origins: { type: 'array', items: { type: 'string' } },
+      disabled: { type: 'boolean' }
+    }
+  },
+  UsageRow: {
+    type: 'object',
+    required: ['day', 'key', 'requests', 'platforms'],
+    properties: {
+      day: { type: 'string', format: 'date' },
+      key: { type: 'string' },
+      requests: { type: 'integer' },
+      platforms: { type: 'object', additionalProperties: { type: 'integer' } }
+    }
+  },
+  Watchlist: {
+    type: 'object',
+    required: ['id', 'name', 'accounts', 'interval_seconds', 'conditions', 'created_at', 'last_run_at', 'state', 'webhook'],
+    properties: {
+      id: { type: 'string', format: 'uuid' },
+      name: nullableType('string'),
+      accounts: { type: 'array', items: ref('WatchedAccount') },
+      interval_seconds: { type: 'integer' },
+      conditions: ref('WatchConditions'),
+      created_at: { type: 'string', format: 'date-time' },
+      last_run_at: { type: ['string', 'null'], format: 'date-time' },
+      state: { type: 'object', additionalProperties: { type: 'object' } },
+      webhook: orNull({
+        type: 'object',
+        required: ['url'],
+        properties: { url: { type: 'string' }, secret: { type: 'string', description: 'Only returned on creation' } }
+      })
+    }
+  },
+  WatchedAccount: {
+    type: 'object',
+    required: ['platform', 'username'],
+    properties: { platform: { type: 'string' }, username: { type: 'string' } }
+  },
+  WatchConditions: {
+    type: 'object',
+    properties: {
+      appear: { type: 'boolean' },
+      disappear: { type: 'boolean' },
+      bio_change: { type: 'boolean' },
+      follower_threshold: nullableType('integer'),
+      follower_change_percent: nullableType('number')
+    }
+  },
+  WatchlistInput: {
+    type: 'object',
+    properties: {
+      name: { type: 'string' },
+      accounts: { type: 'array', items: ref('WatchedAccount') },
+      interval_seconds: { type: 'integer' },
+      conditions: ref('WatchConditions'),
+      webhook: orNull({
+        type: 'object',
+        required: ['url'],
+        properties: { url: { type: 'string' }, secret: { type: 'string', minLength: 16 } }
+      })
+    }
+  },
+  WatchlistRun: {
+    type: 'object',
+    required: ['checked_at', 'accounts'],
+    properties: {
+      checked_at: { type: 'string', format: 'date-time' },
+      accounts: {
+        type: 'array',
+        items: {
+          type: 'object',
+          required: ['platform', 'username', 'status', 'changes'],
+          properties: {
+            platform: { type: 'string' },
+            username: { type: 'string' },
+            status: { enum: Object.values(STATUS) },
+            reason: { enum: Object.values(REASONS) },
+            changes: {
+              type: 'array',
+              items: { type: 'object', required: ['type'], properties: { type: { enum: Object.values(WATCHLIST_EVENTS) } } }
+            }
+          }
+        }
+      }
+    }
+  },
+  ProviderHealth: {
+    type: 'object',
+    required: ['status', 'success_rate', 'samples', 'window_seconds', 'outcomes', 'last_success_at', 'last_failure_at', 'last_failure_reason'],
+    properties: {
+      status: { enum: Object.values(HEALTH) },
+      success_rate: { type: ['number', 'null'], minimum: 0, maximum: 1 },
+      samples: { type: 'integer' },
+      window_seconds: { type: 'integer' },
+      outcomes: {
+        type: 'object',
+        required: OUTCOMES,
+        properties: Object.fromEntries(OUTCOMES.map(outcome => [outcome, { type: 'integer' }]))
+      },
+      last_success_at: { type: ['string', 'null'], format: 'date-time' },
+      last_failure_at: { type: ['string', 'null'], format: 'date-time' },
+      last_failure_reason: orNull({ enum: Object.values(REASONS) })
+    }
+  },
+  Readiness: {
+    type: 'object',
+    required: ['status', 'checks', 'open_circuits', 'providers'],
+    properties: {
+      status: { enum: ['ready', 'not_ready'] },
+      checks: {
+        type: 'object',
+        required: ['history', 'providers'],
+        properties: {
+          history: {
+            type: 'object',
+            required: ['ok', 'enabled', 'ready', 'error'],
+            properties: { ok: { type: 'boolean' }, enabled: { type: 'boolean' }, ready: { type: 'boolean' }, error: nullableType('string') }
+          },
+          providers: {
+            type: 'object',
+            required: ['ok', 'failing', 'degraded'],
+            properties: {
+              ok: { type: 'boolean' },
+              failing: { type: 'array', items: { type: 'string' } },
+              degraded: { type: 'array', items: { type: 'string' } }
+            }
+          }
+        }
+      },
+      open_circuits: { type: 'array', items: { type: 'string' } },
+      providers: { type: 'object', additionalProperties: ref('ProviderHealth') }
+    }
+  },
+  WebhookDelivery: {
+    type: 'object',
+    required: ['delivery_id', 'attempt', 'url', 'event', 'attempted_at', 'ok', 'status', 'error'],
+    properties: {
+      delivery_id: { type: 'string' },
+      attempt: { type: 'integer' },
+      url: { type: 'string' },
+      event: { type: 'string' },
+      attempted_at: { type: 'string', format: 'date-time' },
+      ok: { type: 'boolean' },
+      status: nullableType('integer'),
+      error: nullableType('string')
+    }
+  }
+};
+
+const lookupParameters = [param('Demo'), param('Fresh'), param('Format')];
+// API keys with a daily_quota are charged one unit per provider lookup
+const quotaExhausted = error('Daily lookup quota of the API key exhausted');
+
+// One operation per provider, mirroring routes/providers.js
+function providerPaths() {
+  return Object.fromEntries(listProviders().map(provider => {
+    const operation = {
+      tags: ['Profiles'],
+      operationId: `lookup_${provider.name}`,
+      summary: `${provider.label} profile`,
+      description: provider.description,
+      parameters: [pathParam('username', `${provider.label} handle`), ...lookupParameters],
+      responses: {
+        200: exportable('Lookup result', ref('LookupResult')),
+        400: error('Handle breaks a platform rule'),
+        403: error('Platform not allowed for this API key'),
+        429: quotaExhausted
+      }
+    };
+    if (provider.name === 'github') {
+      operation.parameters.push(
+        queryParam('include', `Extra sections: ${GITHUB_SECTIONS.join(', ')} or all`),
+        queryParam('repos_limit', 'Repositories to page through for repos/languages/stars', { type: 'integer' }),
+        queryParam('events_limit', 'Recent public events to return', { type: 'integer' })
+      );
+      operation.responses[200] = exportable('Lookup result, with `details` when ?include= is given', ref('GithubLookupResult'));
+      operation.responses[404] = error('The account was not found while fetching ?include= sections');
+      operation.responses[429] = error('Daily lookup quota exhausted, or GitHub rate limit hit while fetching ?include= sections (see Retry-After)');
+    }
+    return [`/api/${provider.name}/{username}`, { get: operation }];
+  }));
+}
+
+const ADMIN = { tags: ['Admin'], security: [{ adminToken: [] }] };
+const adminErrors = {
+  401: error('Missing or wrong admin token'),
+  503: error('Admin API disabled (ADMIN_TOKEN not set)')
+};
+
+function buildSpec() {
+  return {
+    openapi: '3.1.0',
+    info: {
+      title: 'MG Nexus API',
+      version: packageInfo.version,
+      description: packageInfo.description
+    },
+    servers: [{ url: '/' }],
+    security: [{}, { apiKeyHeader: [] }, { apiKeyQuery: [] }],
+    tags: [
+      { name: 'Profiles' }, { name: 'Lookup' }, { name: 'Batch' }, { name: 'Analysis' },
+      { name: 'History' }, { name: 'Watchlists' }, { name: 'Meta' }, { name: 'Admin' }
+    ],
+    paths: {
+      '/api/platforms': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'listPlatforms',
+          summary: 'Registered platforms',
+          responses: { 200: json('Platforms', { type: 'object', required: ['platforms'], properties: { platforms: { type: 'array', items: ref('Platform') } } }) }
+        }
+      },
+      '/api/upstreams': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'listUpstreams',
+          summary: 'Outbound scheduler and circuit breaker state per upstream host',
+          responses: { 200: json('Hosts', { type: 'object', required: ['hosts'], properties: { hosts: { type: 'array', items: ref('UpstreamHost') } } }) }
+        }
+      },
+      '/api/lookup/{username}': {
+        get: {
+          tags: ['Lookup'],
+          operationId: 'lookupAll',
+          summary: 'Look a handle up on every (or the selected) platform',
+          parameters: [pathParam('username', 'Handle to look up'), param('Platforms'), ...lookupParameters],
+          responses: {
+            200: exportable('Results per platform', ref('CombinedLookup')),
+            400: error('Unknown platform or export format'),
+            403: error('Platform not allowed for this API key'),
+            429: quotaExhausted
+          }
+        }
+      },
+      ...providerPaths(),
+      '/api/batch': {
+        post: {
+          tags: ['Batch'],
+          operationId: 'createBatch',
+          summary: 'Start a batch lookup job',
+          requestBody: jsonBody(ref('BatchRequest')),
+          responses: { 202: json('Job accepted', ref('BatchSummary')), 400: error('Invalid batch') }
+        }
+      },
+      '/api/batch/{id}': {
+        get: {
+          tags: ['Batch'],
+          operationId: 'getBatch',
+          summary: 'Job status and results so far; NDJSON streams until the job finishes',
+          parameters: [pathParam('id', 'Job id'), param('Format')],
+          responses: { 200: exportable('Job', ref('BatchJob')), 404: error('Unknown job') }
+        },
+        delete: {
+          tags: ['Batch'],
+          operationId: 'cancelBatch',
+          summary: 'Cancel a job',
+          parameters: [pathParam('id', 'Job id')],
+          responses: { 200: json('Cancelled job', ref('BatchSummary')), 404: error('Unknown job') }
+        }
+      },
+      '/api/batch/{id}/events': {
+        get: {
+          tags: ['Batch'],
+          operationId: 'streamBatch',
+          summary: 'Server-Sent Events: result, progress and done',
+          parameters: [pathParam('id', 'Job id')],
+          responses: {
+            200: { description: 'Event stream', content: { 'text/event-stream': { schema: { type: 'string' } } } },
+            404: error('Unknown job')
+          }
+        }
+      },
+      '/api/availability/{handle}': {
+        get: {
+          tags: ['Analysis'],
+          operationId: 'availability',
+          summary: 'Availability of a handle and generated variants across platforms',
+          parameters: [
+            pathParam('handle', 'Desired handle'),
+            param('Platforms'),
+            queryParam('limit', 'Maximum number of variants; capped at the configured maximum', { type: 'integer', minimum: 1 }),
+            param('Fresh')
+          ],
+          responses: { 200: json('Ranked variants', ref('Availability')), 400: error('Invalid handle or platform'), 429: quotaExhausted }
+        }
+      },
+      '/api/correlate/{username}': {
+        get: {
+          tags: ['Analysis'],
+          operationId: 'correlateHandle',
+          summary: 'How likely the same handle belongs to one person across platforms',
+          parameters: [
+            pathParam('username', 'Handle'),
+            param('Platforms'),
+            param('Fresh'),
+            flagParam('avatars', 'Set to 0 to skip avatar hashing')
+          ],
+          responses: { 200: json('Pairwise correlation', ref('Correlation')), 400: error('Unknown platform'), 429: quotaExhausted }
+        }
+      },
+      '/api/correlate': {
+        post: {
+          tags: ['Analysis'],
+          operationId: 'correlateAccounts',
+          summary: 'Correlate explicit platform/username pairs',
+          parameters: [param('Fresh'), flagParam('avatars', 'Set to 0 to skip avatar hashing')],
+          requestBody: jsonBody({
+            type: 'object',
+            required: ['accounts'],
+            properties: { accounts: { type: 'array', minItems: 2, items: ref('WatchedAccount') } }
+          }),
+          responses: {
+            200: json('Pairwise correlation', ref('Correlation')),
+            400: error('Invalid accounts, or more than the configured maximum'),
+            429: quotaExhausted
+          }
+        }
+      },
+      '/api/spotify/search': {
+        get: {
+          tags: ['Profiles'],
+          operationId: 'searchSpotifyCatalog',
+          summary: '"Did you mean" candidates from the curated Spotify catalog',
+          parameters: [
+            { ...queryParam('q', 'Name to search for'), required: true },
+            queryParam('limit', 'Maximum candidates (1-20)', { type: 'integer' })
+          ],
+          responses: { 200: json('Ranked candidates', ref('SpotifySearch')), 400: error('Missing query') }
+        }
+      },
+      '/api/history/{platform}/{username}': {
+        get: {
+          tags: ['History'],
+          operationId: 'history',
+          summary: 'Snapshot series of an account, oldest first',
+          parameters: [
+            pathParam('platform', 'Platform name'),
+            pathParam('username', 'Handle'),
+            queryParam('from', 'ISO date or epoch ms'),
+            queryParam('to', 'ISO date or epoch ms'),
+            queryParam('limit', 'Most recent N snapshots', { type: 'integer' })
+          ],
+          responses: { 200: json('Snapshots', ref('History')), 400: error('Unknown platform, invalid handle or bad date') }
+        }
+      },
+      '/api/history/{platform}/{username}/diff': {
+        get: {
+          tags: ['History'],
+          operationId: 'historyDiff',
+          summary: 'Changed fields and metric deltas between two snapshots (default: the latest two)',
+          parameters: [
+            pathParam('platform', 'Platform name'),
+            pathParam('username', 'Handle'),
+            queryParam('from', 'Snapshot id, ISO date or epoch ms'),
+            queryParam('to', 'Snapshot id, ISO date or epoch ms')
+          ],
+          responses: {
+            200: json('Diff', ref('HistoryDiff')),
+            400: error('Unknown platform, invalid handle or bad date'),
+            404: error('Fewer than two snapshots')
+          }
+        }
+      },
+      '/api/watchlists': {
+        get: {
+          tags: ['Watchlists'],
+          operationId: 'listWatchlists',
+          summary: 'Watchlists of the calling API key',
+          responses: {
+            200: json('Watchlists', { type: 'object', required: ['watchlists'], properties: { watchlists: { type: 'array', items: ref('Watchlist') } } }),
+            401: error('No API key')
+          }
+        },
+        post: {
+          tags: ['Watchlists'],
+          operationId: 'createWatchlist',
+          summary: 'Create a watchlist; the response shows the webhook secret once',
+          requestBody: jsonBody(ref('WatchlistInput')),
+          responses: {
+            201: json('Created', ref('Watchlist')),
+            400: error('Invalid watchlist'),
+            401: error('No API key'),
+            403: error('Platform not allowed for this API key')
+          }
+        }
+      },
+      '/api/watchlists/{id}': {
+        get: {
+          tags: ['Watchlists'],
+          operationId: 'getWatchlist',
+          summary: 'One watchlist with the last known state of its accounts',
+          parameters: [pathParam('id', 'Watchlist id')],
+          responses: { 200: json('Watchlist', ref('Watchlist')), 401: error('No API key'), 404: error('Unknown watchlist') }
+        },
+        patch: {
+          tags: ['Watchlists'],
+          operationId: 'updateWatchlist',
+          summary: 'Partial update',
+          parameters: [pathParam('id', 'Watchlist id')],
+          requestBody: jsonBody(ref('WatchlistInput')),
+          responses: {
+            200: json('Watchlist', ref('Watchlist')),
+            400: error('Invalid watchlist'),
+            401: error('No API key'),
+            403: error('Platform not allowed for this API key'),
+            404: error('Unknown watchlist')
+          }
+        },
+        delete: {
+          tags: ['Watchlists'],
+          operationId: 'deleteWatchlist',
+          summary: 'Delete a watchlist',
+          parameters: [pathParam('id', 'Watchlist id')],
+          responses: { 204: noContent('Deleted'), 401: error('No API key'), 404: error('Unknown watchlist') }
+        }
+      },
+      '/api/watchlists/{id}/run': {
+        post: {
+          tags: ['Watchlists'],
+          operationId: 'runWatchlist',
+          summary: 'Recheck now',
+          parameters: [pathParam('id', 'Watchlist id')],
+          responses: {
+            200: json('Recheck outcome', ref('WatchlistRun')),
+            401: error('No API key'),
+            404: error('Unknown watchlist'),
+            409: error('A recheck is already running')
+          }
+        }
+      },
+      '/api/watchlists/{id}/deliveries': {
+        get: {
+          tags: ['Watchlists'],
+          operationId: 'watchlistDeliveries',
+          summary: 'Most recent webhook delivery attempts',
+          parameters: [pathParam('id', 'Watchlist id')],
+          responses: {
+            200: json('Delivery log', { type: 'object', required: ['deliveries'], properties: { deliveries: { type: 'array', items: ref('WebhookDelivery') } } }),
+            401: error('No API key'),
+            404: error('Unknown watchlist')
+          }
+        }
+      },
+      '/api/usage': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'ownUsage',
+          summary: 'Usage of the calling API key',
+          parameters: [queryParam('platform', 'Only this platform'), queryParam('from', 'YYYY-MM-DD'), queryParam('to', 'YYYY-MM-DD')],
+          responses: {
+            200: json('Usage', {
+              type: 'object',
+              required: ['key', 'usage'],
+              properties: { key: { type: 'object' }, usage: { type: 'array', items: ref('UsageRow') } }
+            }),
+            401: error('No API key')
+          }
+        }
+      },
+      '/api/admin/spotify/catalog': {
+        get: {
+          ...ADMIN,
+          operationId: 'listCatalog',
+          summary: 'Curated Spotify catalog and alias table',
+          responses: {
+            200: json('Catalog', {
+              type: 'object',
+              required: ['profiles', 'aliases'],
+              properties: {
+                profiles: { type: 'object', additionalProperties: ref('CatalogEntry') },
+                aliases: { type: 'object', additionalProperties: { type: 'string' } }
+              }
+            }),
+            ...adminErrors
+          }
+        },
+        post: {
+          ...ADMIN,
+          operationId: 'createCatalogEntry',
+          summary: 'Add a catalog entry',
+          requestBody: jsonBody(ref('CatalogEntry')),
+          responses: { 201: json('Created', ref('CatalogEntry')), 400: error('Invalid entry'), 409: error('Id taken'), ...adminErrors }
+        }
+      },
+      '/api/admin/spotify/catalog/{id}': {
+        get: {
+          ...ADMIN,
+          operationId: 'getCatalogEntry',
+          summary: 'One catalog entry',
+          parameters: [pathParam('id', 'Catalog id')],
+          responses: { 200: json('Entry', ref('CatalogEntry')), 404: error('Unknown entry'), ...adminErrors }
+        },
+        put: {
+          ...ADMIN,
+          operationId: 'replaceCatalogEntry',
+          summary: 'Replace a catalog entry',
+          parameters: [pathParam('id', 'Catalog id')],
+          requestBody: jsonBody(ref('CatalogEntry')),
+          responses: { 200: json('Entry', ref('CatalogEntry')), 400: error('Invalid entry'), 404: error('Unknown entry'), ...adminErrors }
+        },
+        delete: {
+          ...ADMIN,
+          operationId: 'deleteCatalogEntry',
+          summary: 'Delete a catalog entry and its aliases',
+          parameters: [pathParam('id', 'Catalog id')],
+          responses: { 204: noContent('Deleted'), 404: error('Unknown entry'), ...adminErrors }
+        }
+      },
+      '/api/admin/spotify/aliases/{alias}': {
+        put: {
+          ...ADMIN,
+          operationId: 'putCatalogAlias',
+          summary: 'Point an alias at a catalog entry',
+          parameters: [pathParam('alias', 'Alias')],
+          requestBody: jsonBody({ type: 'object', required: ['target'], properties: { target: { type: 'string' } } }),
+          responses: {
+            200: json('Alias', { type: 'object', required: ['alias', 'target'], properties: { alias: { type: 'string' }, target: { type: 'string' } } }),
+            400: error('Invalid alias'),
+            404: error('Unknown target'),
+            409: error('Alias is a catalog id'),
+            ...adminErrors
+          }
+        },
+        delete: {
+          ...ADMIN,
+          operationId: 'deleteCatalogAlias',
+          summary: 'Remove an alias',
+          parameters: [pathParam('alias', 'Alias')],
+          responses: { 204: noContent('Deleted'), 404: error('Unknown alias'), ...adminErrors }
+        }
+      },
+      '/api/admin/keys': {
+        get: {
+          ...ADMIN,
+          operationId: 'listApiKeys',
+          summary: 'All API keys (without the secret)',
+          responses: { 200: json('Keys', { type: 'object', required: ['keys'], properties: { keys: { type: 'array', items: ref('ApiKey') } } }), ...adminErrors }
+        },
+        post: {
+          ...ADMIN,
+          operationId: 'createApiKey',
+          summary: 'Create an API key; the plain key is only returned here',
+          requestBody: jsonBody(ref('ApiKeySettings')),
+          responses: { 201: json('Created key', ref('ApiKey')), 400: error('Invalid settings'), ...adminErrors }
+        }
+      },
+      '/api/admin/keys/{id}': {
+        get: {
+          ...ADMIN,
+          operationId: 'getApiKey',
+          summary: 'One API key',
+          parameters: [pathParam('id', 'Key id')],
+          responses: { 200: json('Key', ref('ApiKey')), 404: error('Unknown key'), ...adminErrors }
+        },
+        patch: {
+          ...ADMIN,
+          operationId: 'updateApiKey',
+          summary: 'Change limits, allowlists or disable a key',
+          parameters: [pathParam('id', 'Key id')],
+          requestBody: jsonBody(ref('ApiKeySettings')),
+          responses: { 200: json('Key', ref('ApiKey')), 400: error('Invalid settings'), 404: error('Unknown key'), ...adminErrors }
+        },
+        delete: {
+          ...ADMIN,
+          operationId: 'deleteApiKey',
+          summary: 'Revoke a key',
+          parameters: [pathParam('id', 'Key id')],
+          responses: { 204: noContent('Deleted'), 404: error('Unknown key'), ...adminErrors }
+        }
+      },
+      '/api/admin/usage': {
+        get: {
+          ...ADMIN,
+          operationId: 'usageReport',
+          summary: 'Request counts per key, platform and day',
+          parameters: [
+            queryParam('key', 'Key id (or "anonymous")'),
+            queryParam('platform', 'Only this platform'),
+            queryParam('from', 'YYYY-MM-DD'),
+            queryParam('to', 'YYYY-MM-DD')
+          ],
+          responses: { 200: json('Usage', { type: 'object', required: ['usage'], properties: { usage: { type: 'array', items: ref('UsageRow') } } }), ...adminErrors }
+        }
+      },
+      '/healthz': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'healthz',
+          summary: 'Liveness, with per-provider health from recent success rates',
+          security: [],
+          responses: {
+            200: json('Alive', {
+              type: 'object',
+              required: ['status', 'uptime_seconds', 'providers'],
+              properties: {
+                status: { const: 'ok' },
+                uptime_seconds: { type: 'integer' },
+                providers: { type: 'object', additionalProperties: ref('ProviderHealth') }
+              }
+            })
+          }
+        }
+      },
+      '/readyz': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'readyz',
+          summary: 'Readiness: storage loaded and not every active provider failing',
+          security: [],
+          responses: { 200: json('Ready', ref('Readiness')), 503: json('Not ready', ref('Readiness')) }
+        }
+      },
+      '/metrics': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'metrics',
+          summary: 'Prometheus metrics',
+          security: [],
+          responses: { 200: { description: 'Prometheus text format', content: { 'text/plain': { schema: { type: 'string' } } } } }
+        }
+      },
+      '/api/openapi.json': {
+        get: {
+          tags: ['Meta'],
+          operationId: 'openapi',
+          summary: 'This document',
+          responses: { 200: json('OpenAPI document', { type: 'object' }) }
+        }
+      }
+    },
+    components: {
+      schemas,
+      parameters: PARAMETERS,
+      securitySchemes: {
+        apiKeyHeader: { type: 'apiKey', in: 'header', name: 'X-API-Key' },
+        apiKeyQuery: { type: 'apiKey', in: 'query', name: 'api_key' },
+        adminToken: { type: 'http', scheme: 'bearer' }
+      }
+    }
+  };
+}
+
+let spec = null;
+
+// Built lazily: the provider registry must be complete first
+const getSpec = () => {
+  if (!spec) {
+    spec = buildSpec();
+  }
+  return spec;
+};
+
+module.exports = {
+  getSpec
+};
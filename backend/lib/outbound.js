@@ -0,0 +1,235 @@
+// lib/outbound.js - Per-host outbound scheduling: token bucket, concurrency cap, retries and circuit breaker
+//
+// Every upstream host gets its own HostScheduler. A request waits for a free slot (concurrency cap),
+// a token (rate) and the end of any Retry-After pause, then runs. Idempotent requests that fail
+// with a network error, 429 or a gateway error are retried with exponential backoff and jitter.
+// Repeated failures open the host's circuit: further requests fail fast as temporarily unavailable
+// until the cooldown has passed and a single trial request succeeds.
+//
+// Hosts named by callers (fediverse instances, Bluesky handles, avatar URLs) are not known in
+// advance; their schedulers are dropped once they have been idle for a while.
+const { REASONS, UnknownResultError } = require('./results');
+const { settle } = require('./fixtures');
+
+const BREAKER = {
+  CLOSED: 'closed',
+  OPEN: 'open',
+  HALF_OPEN: 'half_open'
+};
+
+const IDEMPOTENT_METHODS = ['get', 'head', 'options', 'put', 'delete'];
+const RETRYABLE_STATUSES = [429, 502, 503, 504];
+// Answers that mean the upstream is refusing or failing us (999 is LinkedIn's bot wall)
+const FAILURE_STATUSES = [403, 429, 999];
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+// Retry-After is either delay-seconds or an HTTP date
+function retryAfterMs(headers) {
+  const value = headers && headers['retry-after'];
+  if (!value) {
+    return null;
+  }
+  const seconds = Number(value);
+  if (!Number.isNaN(seconds)) {
+    return seconds * 1000;
+  }
+  const date = Date.parse(value);
+  return Number.isNaN(date) ? null : Math.max(date - Date.now(), 0);
+}
+
+const isFailure = ({ response, error }) => Boolean(error)
+  || response.status >= 500
+  || FAILURE_STATUSES.includes(response.status);
+
+// Cancelled requests, refused private hosts (lib/hostGuard.js) and oversized responses would fail the same way again
+const FINAL_ERROR_CODES = ['ERR_CANCELED', 'EPRIVATEADDRESS', 'ERR_BAD_RESPONSE'];
+
+const isRetryable = ({ response, error }) => (error
+  ? !error.response && !FINAL_ERROR_CODES.includes(error.code)
+  : RETRYABLE_STATUSES.includes(response.status));
+
+class HostScheduler {
+  constructor(host, options) {
+    this.host = host;
+    this.options = options;
+    this.tokens = options.burst;
+    this.refilledAt = Date.now();
+    this.active = 0;
+    this.queue = [];
+    this.timer = null;
+    this.pausedUntil = 0;
+    this.breaker = { state: BREAKER.CLOSED, failures: 0, openedAt: 0, trialRunning: false };
+    this.lastUsed = Date.now();
+  }
+
+  isIdleSince(time) {
+    return this.lastUsed < time && this.active === 0 && this.queue.length === 0 && !this.timer;
+  }
+
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.options.burst, this.tokens + ((now - this.refilledAt) / 1000) * this.options.ratePerSec);
+    this.refilledAt = now;
+  }
+
+  // Resolves when the request may start; the caller must call release() afterwards
+  acquire() {
+    this.lastUsed = Date.now();
+    return new Promise(resolve => {
+      this.queue.push(resolve);
+      this.drain();
+    });
+  }
+
+  release() {
+    this.lastUsed = Date.now();
+    this.active -= 1;
+    this.drain();
+  }
+
+  drain() {
+    if (this.timer || this.queue.length === 0 || this.active >= this.options.concurrency) {
+      return;
+    }
+    this.refill();
+    const wait = Math.max(
+      this.pausedUntil - Date.now(),
+      this.tokens >= 1 ? 0 : ((1 - this.tokens) / this.options.ratePerSec) * 1000
+    );
+    if (wait > 0) {
+      this.timer = setTimeout(() => {
+        this.timer = null;
+        this.drain();
+      }, wait);
+      return;
+    }
+    this.tokens -= 1;
+    this.active += 1;
+    this.queue.shift()();
+    this.drain();
+  }
+
+  // Throws when the circuit is open; lets exactly one trial request through once the cooldown is over
+  checkBreaker() {
+    const { breaker } = this;
+    if (breaker.state === BREAKER.OPEN && Date.now() - breaker.openedAt >= this.options.cooldownMs) {
+      breaker.state = BREAKER.HALF_OPEN;
+    }
+    if (breaker.state === BREAKER.OPEN || (breaker.state === BREAKER.HALF_OPEN && breaker.trialRunning)) {
+      const retryIn = Math.ceil((breaker.openedAt + this.options.cooldownMs - Date.now()) / 1000);
+      throw new UnknownResultError(
+        REASONS.TEMPORARILY_UNAVAILABLE,
+        `${this.host} is temporarily unavailable after repeated failures${retryIn > 0 ? `, retrying in ${retryIn}s` : ''}`
+      );
+    }
+    if (breaker.state === BREAKER.HALF_OPEN) {
+      breaker.trialRunning = true;
+    }
+  }
+
+  recordOutcome(failed) {
+    const { breaker } = this;
+    breaker.trialRunning = false;
+    if (!failed) {
+      breaker.state = BREAKER.CLOSED;
+      breaker.failures = 0;
+      return;
+    }
+    breaker.failures += 1;
+    if (breaker.state === BREAKER.HALF_OPEN || breaker.failures >= this.options.failureThreshold) {
+      breaker.state = BREAKER.OPEN;
+      breaker.openedAt = Date.now();
+    }
+  }
+
+  // Pauses the whole host, e.g. for a Retry-After header
+  pause(ms) {
+    this.pausedUntil = Math.max(this.pausedUntil, Date.now() + ms);
+  }
+
+  status() {
+    this.refill();
+    return {
+      host: this.host,
+      circuit: this.breaker.state,
+      consecutive_failures: this.breaker.failures,
+      active: this.active,
+      queued: this.queue.length,
+      tokens: Math.floor(this.tokens * 100) / 100,
+      paused_until: this.pausedUntil > Date.now() ? new Date(this.pausedUntil).toISOString() : null
+    };
+  }
+}
+
+// Wraps an axios adapter so every request goes through its host's scheduler
+// `isKnownHost` tells configured upstreams apart from hosts that callers name
+function createScheduledAdapter(adapter, { defaults, hosts, idleSchedulerMs, isKnownHost = () => true }) {
+  const schedulers = new Map();
+
+  const evictIdle = () => {
+    const cutoff = Date.now() - idleSchedulerMs;
+    schedulers.forEach((scheduler, host) => {
+      if (!isKnownHost(host) && scheduler.isIdleSince(cutoff)) {
+        schedulers.delete(host);
+      }
+    });
+  };
+
+  const schedulerFor = host => {
+    if (!schedulers.has(host)) {
+      evictIdle();
+      schedulers.set(host, new HostScheduler(host, { ...defaults, ...hosts[host] }));
+    }
+    return schedulers.get(host);
+  };
+
+  // One attempt; resolves with { response } or { error } instead of throwing
+  const attempt = async (scheduler, config) => {
+    await scheduler.acquire();
+    try {
+      // validateStatus is applied afterwards, so 429s and 5xx are visible here
+      return { response: await adapter({ ...config, validateStatus: null }) };
+    } catch (error) {
+      return { error };
+    } finally {
+      scheduler.release();
+    }
+  };
+
+  const scheduled = async config => {
+    const url = new URL(config.url, config.baseURL || undefined);
+    const scheduler = schedulerFor(url.host);
+    const { maxRetries, retryBaseMs, maxRetryDelayMs } = scheduler.options;
+    const idempotent = IDEMPOTENT_METHODS.includes((config.method || 'get').toLowerCase());
+
+    for (let retry = 0; ; retry += 1) {
+      scheduler.checkBreaker();
+      const outcome = await attempt(scheduler, config);
+      scheduler.recordOutcome(isFailure(outcome));
+
+      const retryAfter = outcome.response ? retryAfterMs(outcome.response.headers) : null;
+      if (retryAfter !== null && [429, 503].includes(outcome.response.status)) {
+        scheduler.pause(retryAfter);
+      }
+
+      // Full jitter: a random delay up to the exponential bound, but never shorter than Retry-After
+      const delay = Math.max(retryAfter || 0, Math.random() * retryBaseMs * 2 ** retry);
+      if (!idempotent || !isRetryable(outcome) || retry >= maxRetries || delay > maxRetryDelayMs) {
+        if (outcome.error) {
+          throw outcome.error;
+        }
+        return settle(config, outcome.response);
+      }
+      await sleep(delay);
+    }
+  };
+
+  scheduled.status = () => Array.from(schedulers.values()).map(scheduler => scheduler.status());
+  return scheduled;
+}
+
+module.exports = {
+  BREAKER,
+  createScheduledAdapter
+};
@@ -0,0 +1,87 @@
+// lib/profile.js - Normalized profile schema shared by every provider
+//
+// Every `profile` returned by the API has the same core fields, so clients can render any
+// platform the same way. Missing values are null, never guessed.
+//
+//   platform      registry name of the provider, e.g. 'github'
+//   username      handle as the platform reports it
+//   name          display name
+//   bio           profile description, plain text
+//   avatar_url    profile picture
+//   url           public profile URL
+//   location      free-form location
+//   created_at    account creation date, ISO 8601
+//   verified      platform verification badge
+//   followers     follower / subscriber count
+//   following     accounts followed
+//   posts         tweets, posts, public repos, videos... whatever the platform counts
+//   source        where the data came from: 'api', 'scraped', 'catalog' or 'demo'
+//   extras        platform-specific fields, namespaced by platform: { github: { recent_repos } }
+const { parseCount } = require('./counts');
+
+const SOURCES = {
+  API: 'api',
+  SCRAPED: 'scraped',
+  CATALOG: 'catalog',
+  DEMO: 'demo'
+};
+
+const text = value => {
+  if (value === null || value === undefined) {
+    return null;
+  }
+  const trimmed = String(value).trim();
+  return trimmed === '' ? null : trimmed;
+};
+
+const count = value => parseCount(value);
+
+const date = value => {
+  if (value === null || value === undefined || value === '') {
+    return null;
+  }
+  const parsed = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(parsed.getTime()) ? null : parsed.toISOString();
+};
+
+const bool = value => (value === null || value === undefined ? null : Boolean(value));
+
+// Core fields and how each is coerced
+const CORE_FIELDS = {
+  username: text,
+  name: text,
+  bio: text,
+  avatar_url: text,
+  url: text,
+  location: text,
+  created_at: date,
+  verified: bool,
+  followers: count,
+  following: count,
+  posts: count
+};
+
+// Builds a schema-conformant profile from a flat object: core fields are coerced,
+// everything else is moved under extras[platform].
+function createProfile(platform, fields, source) {
+  const profile = { platform };
+  Object.entries(CORE_FIELDS).forEach(([key, coerce]) => {
+    profile[key] = coerce(fields[key]);
+  });
+  profile.source = source || null;
+
+  const extras = {};
+  Object.entries(fields).forEach(([key, value]) => {
+    if (!(key in CORE_FIELDS) && value !== undefined) {
+      extras[key] = value;
+    }
+  });
+  profile.extras = { [platform]: extras };
+  return profile;
+}
+
+module.exports = {
+  SOURCES,
+  CORE_FIELDS,
+  createProfile
+};
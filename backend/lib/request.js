@@ -0,0 +1,15 @@
+// lib/request.js - Helpers for reading lookup options from the query string
+
+// True for ?name=1 / ?name=true
+const queryFlag = (query, name) => ['1', 'true'].includes(String(query[name]));
+
+// ?demo=1 opts into synthetic data for unknown results, ?fresh=1 bypasses the response cache
+const lookupOptions = query => ({
+  demo: queryFlag(query, 'demo'),
+  fresh: queryFlag(query, 'fresh')
+});
+
+module.exports = {
+  queryFlag,
+  lookupOptions
+};
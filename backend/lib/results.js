@@ -0,0 +1,100 @@
+// lib/results.js - Tri-state lookup results (found / not_found / unknown)
+
+const STATUS = {
+  FOUND: 'found',
+  NOT_FOUND: 'not_found',
+  UNKNOWN: 'unknown'
+};
+
+// Machine-readable reasons attached to `unknown` results
+const REASONS = {
+  BLOCKED: 'blocked',
+  TIMEOUT: 'timeout',
+  MARKUP_CHANGED: 'markup_changed',
+  RATE_LIMITED: 'rate_limited',
+  TEMPORARILY_UNAVAILABLE: 'temporarily_unavailable',
+  UPSTREAM_ERROR: 'upstream_error',
+  NETWORK_ERROR: 'network_error',
+  INVALID_HANDLE: 'invalid_handle',
+  NO_DATA_SOURCE: 'no_data_source',
+  INTERNAL_ERROR: 'internal_error'
+};
+
+// Thrown from a provider's fetch/parse when the answer cannot be determined
+class UnknownResultError extends Error {
+  // `details` are extra fields merged into the unknown result (e.g. suggestions)
+  constructor(reason, message, details = null) {
+    super(message);
+    this.name = 'UnknownResultError';
+    this.reason = reason;
+    this.details = details;
+  }
+}
+
+const found = (profile, confidence = 1) => ({
+  status: STATUS.FOUND,
+  exists: true,
+  confidence,
+  profile
+});
+
+const notFound = (confidence = 1) => ({
+  status: STATUS.NOT_FOUND,
+  exists: false,
+  confidence,
+  profile: null
+});
+
+const unknown = (reason, error, details) => ({
+  status: STATUS.UNKNOWN,
+  exists: null,
+  confidence: 0,
+  reason,
+  error: error || null,
+  ...details,
+  profile: null
+});
+
+// Maps a thrown error (axios, timeout or UnknownResultError) to an unknown reason
+function classifyError(error) {
+  if (error.reason) {
+    return error.reason;
+  }
+
+  // Refused by lib/hostGuard.js: the host resolves to a private address
+  if (error.code === 'EPRIVATEADDRESS') {
+    return REASONS.BLOCKED;
+  }
+
+  if (error.code === 'ETIMEDOUT' || error.code === 'ECONNABORTED') {
+    return REASONS.TIMEOUT;
+  }
+
+  if (error.response) {
+    const { status } = error.response;
+    if (status === 429) {
+      return REASONS.RATE_LIMITED;
+    }
+    // LinkedIn answers automated requests with a non-standard 999
+    if (status === 401 || status === 403 || status === 999) {
+      return REASONS.BLOCKED;
+    }
+    return REASONS.UPSTREAM_ERROR;
+  }
+
+  if (error.isAxiosError || error.code) {
+    return REASONS.NETWORK_ERROR;
+  }
+
+  return REASONS.INTERNAL_ERROR;
+}
+
+module.exports = {
+  STATUS,
+  REASONS,
+  UnknownResultError,
+  found,
+  notFound,
+  unknown,
+  classifyError
+};
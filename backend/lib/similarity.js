@@ -0,0 +1,69 @@
+// lib/similarity.js - String similarity helpers shared by search and identity correlation
+
+// Levenshtein distance implementatie (two-row dynamic programming)
+function levenshtein(s1, s2) {
+  if (s1.length < s2.length) return levenshtein(s2, s1);
+  if (s2.length === 0) return s1.length;
+
+  let previousRow = Array.from({ length: s2.length + 1 }, (_, i) => i);
+  for (let i = 0; i < s1.length; i++) {
+    const currentRow = [i + 1];
+    for (let j = 0; j < s2.length; j++) {
+      const insertions = previousRow[j + 1] + 1;
+      const deletions = currentRow[j] + 1;
+      const substitutions = previousRow[j] + (s1[i] !== s2[j] ? 1 : 0);
+      currentRow.push(Math.min(insertions, deletions, substitutions));
+    }
+    previousRow = currentRow;
+  }
+  return previousRow[s2.length];
+}
+
+// Lowercase, strip accents and everything that is not a letter or digit
+const simplify = value => String(value || '')
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .replace(/[^\p{L}\p{N}]+/gu, '');
+
+// 1 for identical strings, 0 for completely different ones
+function stringSimilarity(a, b) {
+  const left = simplify(a);
+  const right = simplify(b);
+  if (!left || !right) {
+    return 0;
+  }
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'the', 'of', 'in', 'on', 'at', 'to', 'for', 'with', 'by', 'from', 'is', 'are',
+  'i', 'im', 'my', 'me', 'we', 'our', 'you', 'your', 'it', 'its', 'this', 'that', 'de', 'het', 'een', 'en'
+]);
+
+// Distinct lowercase word tokens (accents stripped, stopwords and one-letter tokens dropped)
+const tokenize = value => new Set(String(value || '')
+  .normalize('NFKD')
+  .replace(/[̀-ͯ]/g, '')
+  .toLowerCase()
+  .split(/[^\p{L}\p{N}]+/u)
+  .filter(token => token.length > 1 && !STOPWORDS.has(token)));
+
+// Jaccard overlap of the token sets; `shared` lists the common tokens
+function tokenOverlap(a, b) {
+  const left = tokenize(a);
+  const right = tokenize(b);
+  if (left.size === 0 || right.size === 0) {
+    return { score: 0, shared: [] };
+  }
+  const shared = Array.from(left).filter(token => right.has(token));
+  return { score: shared.length / new Set([...left, ...right]).size, shared };
+}
+
+module.exports = {
+  levenshtein,
+  simplify,
+  stringSimilarity,
+  tokenize,
+  tokenOverlap
+};
@@ -0,0 +1,158 @@
+// lib/spotifyApi.js - Spotify Web API client (client-credentials flow)
+const config = require('../config');
+const { http, isStatus, urlPath } = require('./http');
+const { simplify } = require('./similarity');
+
+// Refresh this long before the token actually expires, so in-flight requests don't race it
+const EXPIRY_MARGIN_MS = 60 * 1000;
+const SPOTIFY_ID = /^[0-9A-Za-z]{22}$/;
+const TOP_TRACKS = 5;
+const ALBUMS = 10;
+const PLAYLISTS = 10;
+
+let token = null;
+let pendingToken = null;
+
+const isConfigured = () => Boolean(config.spotify.clientId && config.spotify.clientSecret);
+
+async function requestToken() {
+  const credentials = Buffer.from(`${config.spotify.clientId}:${config.spotify.clientSecret}`).toString('base64');
+  const response = await http.post(`${config.spotify.accountsUrl}/api/token`, 'grant_type=client_credentials', {
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    }
+  });
+  return {
+    value: response.data.access_token,
+    expiresAt: Date.now() + response.data.expires_in * 1000 - EXPIRY_MARGIN_MS
+  };
+}
+
+// Cached access token; concurrent callers share a single refresh
+async function accessToken() {
+  if (token && token.expiresAt > Date.now()) {
+    return token.value;
+  }
+  if (!pendingToken) {
+    pendingToken = requestToken()
+      .then(fresh => {
+        token = fresh;
+        return fresh.value;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
+
+// GET against the Web API; a 401 means the token was revoked early, so it is refreshed once
+async function get(path, params, retried = false) {
+  try {
+    const response = await http.get(`${config.spotify.apiUrl}${path}`, {
+      params,
+      headers: { 'Authorization': `Bearer ${await accessToken()}` }
+    });
+    return response.data;
+  } catch (error) {
+    if (isStatus(error, 401) && !retried) {
+      token = null;
+      return get(path, params, true);
+    }
+    throw error;
+  }
+}
+
+// Same resource, but a 404 means "does not exist" rather than an error
+async function getOptional(path, params) {
+  try {
+    return await get(path, params);
+  } catch (error) {
+    if (isStatus(error, 404)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const largestImage = images => (images && images.length > 0 ? images[0].url : null);
+
+// Artist id directly, otherwise a search hit whose name matches exactly (no closest-match guessing)
+async function findArtist(name) {
+  if (SPOTIFY_ID.test(name)) {
+    const artist = await getOptional(urlPath`/artists/${name}`);
+    if (artist) {
+      return artist;
+    }
+  }
+  const results = await get('/search', { q: name, type: 'artist', limit: 10 });
+  const wanted = simplify(name);
+  return results.artists.items.find(artist => simplify(artist.name) === wanted) || null;
+}
+
+async function artistProfile(artist) {
+  const [topTracks, albums] = await Promise.all([
+    get(urlPath`/artists/${artist.id}/top-tracks`, { market: config.spotify.market }),
+    get(urlPath`/artists/${artist.id}/albums`, { include_groups: 'album', limit: ALBUMS, market: config.spotify.market })
+  ]);
+
+  return {
+    username: artist.id,
+    name: artist.name,
+    followers: artist.followers.total,
+    popularity: artist.popularity,
+    image_url: largestImage(artist.images),
+    type: 'artist',
+    genres: artist.genres,
+    top_tracks: topTracks.tracks.slice(0, TOP_TRACKS).map(track => ({
+      name: track.name,
+      popularity: track.popularity,
+      album: track.album.name,
+      release_date: track.album.release_date,
+      duration_ms: track.duration_ms
+    })),
+    albums: albums.items.map(album => ({
+      name: album.name,
+      release_date: album.release_date,
+      total_tracks: album.total_tracks,
+      image_url: largestImage(album.images)
+    })),
+    external_url: artist.external_urls.spotify
+  };
+}
+
+async function userProfile(user) {
+  const playlists = await get(urlPath`/users/${user.id}/playlists`, { limit: PLAYLISTS });
+
+  return {
+    username: user.id,
+    name: user.display_name || user.id,
+    followers: user.followers.total,
+    image_url: largestImage(user.images),
+    type: 'account',
+    playlists: playlists.items
+      .filter(playlist => playlist.public !== false)
+      .map(playlist => ({
+        name: playlist.name,
+        total_tracks: playlist.tracks.total,
+        image_url: largestImage(playlist.images)
+      })),
+    external_url: user.external_urls.spotify
+  };
+}
+
+// Resolves a name or id to an artist, then to a user account; null when neither exists
+async function findProfile(name) {
+  const artist = await findArtist(name);
+  if (artist) {
+    return artistProfile(artist);
+  }
+  const user = await getOptional(urlPath`/users/${name}`);
+  return user ? userProfile(user) : null;
+}
+
+module.exports = {
+  isConfigured,
+  findProfile
+};
@@ -0,0 +1,165 @@
+// lib/spotifyCatalog.js - Curated Spotify catalog: editable profiles, alias table and ranked search
+const config = require('../config');
+const JsonStore = require('./jsonStore');
+const { simplify, stringSimilarity } = require('./similarity');
+
+const store = new JsonStore(config.spotify.catalogPath, { profiles: {}, aliases: {} });
+
+const PROFILE_TYPES = ['artist', 'account'];
+const DATE_PATTERN = /^\d{4}(-\d{2}(-\d{2})?)?$/;
+
+// Catalog ids and aliases are compared in simplified form: 'The Weeknd' -> 'theweeknd'
+const toId = value => simplify(value);
+
+// Field validators return an error message or null
+const isInt = (value, min = 0, max = Infinity) => Number.isInteger(value) && value >= min && value <= max;
+const isUrl = value => typeof value === 'string' && /^https?:\/\/\S+$/.test(value);
+const isText = value => typeof value === 'string' && value.trim().length > 0;
+
+const check = (errors, condition, message) => {
+  if (!condition) {
+    errors.push(message);
+  }
+};
+
+function validateList(errors, list, field, validateItem) {
+  if (list === undefined) {
+    return;
+  }
+  if (!Array.isArray(list)) {
+    errors.push(`${field} must be an array`);
+    return;
+  }
+  list.forEach((item, index) => validateItem(item || {}, `${field}[${index}]`));
+}
+
+// Returns the list of schema violations for a catalog entry (empty when valid)
+function validateEntry(entry) {
+  const errors = [];
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return ['entry must be an object'];
+  }
+
+  check(errors, isText(entry.name), 'name is required');
+  check(errors, PROFILE_TYPES.includes(entry.type), `type must be one of ${PROFILE_TYPES.join(', ')}`);
+  check(errors, isInt(entry.followers), 'followers must be a non-negative integer');
+  check(errors, entry.popularity === undefined || isInt(entry.popularity, 0, 100), 'popularity must be an integer between 0 and 100');
+  check(errors, entry.monthly_listeners === undefined || isInt(entry.monthly_listeners), 'monthly_listeners must be a non-negative integer');
+  check(errors, entry.image_url === undefined || isUrl(entry.image_url), 'image_url must be an http(s) URL');
+  check(errors, entry.verified === undefined || typeof entry.verified === 'boolean', 'verified must be a boolean');
+
+  validateList(errors, entry.genres, 'genres', (genre, field) => check(errors, isText(genre), `${field} must be a non-empty string`));
+  validateList(errors, entry.top_tracks, 'top_tracks', (track, field) => {
+    check(errors, isText(track.name), `${field}.name is required`);
+    check(errors, track.popularity === undefined || isInt(track.popularity, 0, 100), `${field}.popularity must be an integer between 0 and 100`);
+    check(errors, track.release_date === undefined || DATE_PATTERN.test(track.release_date), `${field}.release_date must be YYYY-MM-DD`);
+    check(errors, track.duration_ms === undefined || isInt(track.duration_ms), `${field}.duration_ms must be a non-negative integer`);
+  });
+  validateList(errors, entry.albums, 'albums', (album, field) => {
+    check(errors, isText(album.name), `${field}.name is required`);
+    check(errors, album.release_date === undefined || DATE_PATTERN.test(album.release_date), `${field}.release_date must be YYYY-MM-DD`);
+    check(errors, album.total_tracks === undefined || isInt(album.total_tracks, 1), `${field}.total_tracks must be a positive integer`);
+    check(errors, album.image_url === undefined || isUrl(album.image_url), `${field}.image_url must be an http(s) URL`);
+  });
+  validateList(errors, entry.playlists, 'playlists', (playlist, field) => {
+    check(errors, isText(playlist.name), `${field}.name is required`);
+    check(errors, playlist.followers === undefined || isInt(playlist.followers), `${field}.followers must be a non-negative integer`);
+    check(errors, playlist.total_tracks === undefined || isInt(playlist.total_tracks), `${field}.total_tracks must be a non-negative integer`);
+    check(errors, playlist.image_url === undefined || isUrl(playlist.image_url), `${field}.image_url must be an http(s) URL`);
+  });
+
+  return errors;
+}
+
+const listProfiles = () => store.read().profiles;
+const listAliases = () => store.read().aliases;
+
+// Exact id or alias match; returns { id, profile } or null
+function resolve(name) {
+  const id = toId(name);
+  const { profiles, aliases } = store.read();
+  const target = profiles[id] ? id : aliases[id];
+  return target && profiles[target] ? { id: target, profile: profiles[target] } : null;
+}
+
+// Ranked "did you mean" candidates; every id, alias and display name is a way to match
+function search(query, { limit = 5, minScore = 0.4 } = {}) {
+  const needle = toId(query);
+  if (!needle) {
+    return [];
+  }
+
+  const { profiles, aliases } = store.read();
+  const best = new Map();
+  const consider = (id, candidate, matchedOn) => {
+    let score = stringSimilarity(needle, candidate);
+    // Prefix matches ("bieb" -> "justinbieber" is not one, "drak" -> "drake" is) get a boost
+    if (toId(candidate).startsWith(needle)) {
+      score = Math.max(score, 0.6 + 0.4 * (needle.length / toId(candidate).length));
+    }
+    const current = best.get(id);
+    if (!current || score > current.score) {
+      best.set(id, { score, matchedOn });
+    }
+  };
+
+  Object.entries(profiles).forEach(([id, profile]) => {
+    consider(id, id, 'id');
+    consider(id, profile.name, 'name');
+  });
+  Object.entries(aliases).forEach(([alias, id]) => {
+    if (profiles[id]) {
+      consider(id, alias, 'alias');
+    }
+  });
+
+  return Array.from(best.entries())
+    .filter(([, { score }]) => score >= minScore)
+    .sort((a, b) => b[1].score - a[1].score)
+    .slice(0, limit)
+    .map(([id, { score, matchedOn }]) => ({
+      id,
+      name: profiles[id].name,
+      type: profiles[id].type,
+      score: Math.round(score * 100) / 100,
+      matched_on: matchedOn
+    }));
+}
+
+const saveProfile = (id, entry) => store.update(data => {
+  data.profiles[toId(id)] = entry;
+  return { id: toId(id), ...entry };
+});
+
+// Removes the profile and every alias pointing at it
+const removeProfile = id => store.update(data => {
+  const key = toId(id);
+  delete data.profiles[key];
+  Object.keys(data.aliases).forEach(alias => {
+    if (data.aliases[alias] === key) {
+      delete data.aliases[alias];
+    }
+  });
+});
+
+const saveAlias = (alias, target) => store.update(data => {
+  data.aliases[toId(alias)] = toId(target);
+  return { alias: toId(alias), target: toId(target) };
+});
+
+const removeAlias = alias => store.update(data => {
+  delete data.aliases[toId(alias)];
+});
+
+module.exports = {
+  toId,
+  validateEntry,
+  listProfiles,
+  listAliases,
+  resolve,
+  search,
+  saveProfile,
+  removeProfile,
+  saveAlias,
+  removeAlias
+};
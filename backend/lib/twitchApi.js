@@ -0,0 +1,69 @@
+// lib/twitchApi.js - Twitch Helix API client (client-credentials flow)
+const config = require('../config');
+const { http, isStatus } = require('./http');
+
+// Refresh this long before the token actually expires, so in-flight requests don't race it
+const EXPIRY_MARGIN_MS = 60 * 1000;
+
+let token = null;
+let pendingToken = null;
+
+const isConfigured = () => Boolean(config.twitch.clientId && config.twitch.clientSecret);
+
+async function requestToken() {
+  const form = new URLSearchParams({
+    client_id: config.twitch.clientId,
+    client_secret: config.twitch.clientSecret,
+    grant_type: 'client_credentials'
+  });
+  const response = await http.post(`${config.twitch.authUrl}/oauth2/token`, form.toString(), {
+    headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+  });
+  return {
+    value: response.data.access_token,
+    expiresAt: Date.now() + response.data.expires_in * 1000 - EXPIRY_MARGIN_MS
+  };
+}
+
+// Cached app access token; concurrent callers share a single refresh
+async function accessToken() {
+  if (token && token.expiresAt > Date.now()) {
+    return token.value;
+  }
+  if (!pendingToken) {
+    pendingToken = requestToken()
+      .then(fresh => {
+        token = fresh;
+        return fresh.value;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+  return pendingToken;
+}
+
+// GET against Helix; a 401 means the token was revoked early, so it is refreshed once
+async function get(path, params, retried = false) {
+  try {
+    const response = await http.get(`${config.twitch.apiUrl}${path}`, {
+      params,
+      headers: {
+        'Client-Id': config.twitch.clientId,
+        'Authorization': `Bearer ${await accessToken()}`
+      }
+    });
+    return response.data;
+  } catch (error) {
+    if (isStatus(error, 401) && !retried) {
+      token = null;
+      return get(path, params, true);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  isConfigured,
+  get
+};
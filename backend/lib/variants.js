@@ -0,0 +1,57 @@
+// lib/variants.js - Handle variant generation for availability reports
+
+const SEPARATORS = ['', '_', '.', '-'];
+const PREFIXES = ['real', 'the', 'its', 'iam', 'official'];
+const SUFFIXES = ['hq', 'official', 'app', 'team', 'tv'];
+const NUMBERS = ['1', '2', '3', '01', '99', '123'];
+
+// Splits "John Smith", "john_smith", "john.smith" or "john-smith" into lowercase words
+const tokenize = handle => String(handle)
+  .replace(/^@/, '')
+  .toLowerCase()
+  .split(/[\s._-]+/)
+  .filter(Boolean);
+
+// Takes one entry from each list in turn: [[a1, a2], [b1], [c1, c2]] -> [a1, b1, c1, a2, c2]
+function interleave(lists) {
+  const result = [];
+  const longest = Math.max(0, ...lists.map(list => list.length));
+  for (let i = 0; i < longest; i++) {
+    lists.forEach(list => {
+      if (i < list.length) {
+        result.push(list[i]);
+      }
+    });
+  }
+  return result;
+}
+
+// Ordered, de-duplicated variants of `handle`; the plain handle always comes first.
+// `limit` caps the result so one request can't fan out into thousands of upstream checks.
+// The categories (separators, prefixes, suffixes, numbers) are interleaved so that a low limit
+// still samples each of them instead of cutting off whichever comes last.
+function generateVariants(handle, { limit = 30 } = {}) {
+  const words = tokenize(handle);
+  if (words.length === 0) {
+    return [];
+  }
+
+  const joined = words.join('');
+
+  // Separators between the original words
+  const separated = words.length > 1 ? SEPARATORS.map(separator => words.join(separator)) : [];
+
+  // Prefixes and suffixes, glued on directly and with each separator
+  const prefixed = PREFIXES.flatMap(prefix => SEPARATORS.map(separator => `${prefix}${separator}${joined}`));
+  const suffixed = SUFFIXES.flatMap(suffix => SEPARATORS.map(separator => `${joined}${separator}${suffix}`));
+
+  // Numeric suffixes
+  const numbered = NUMBERS.flatMap(number => [`${joined}${number}`, `${joined}_${number}`]);
+
+  const variants = [joined, ...interleave([separated, prefixed, suffixed, numbered])];
+  return Array.from(new Set(variants)).slice(0, limit);
+}
+
+module.exports = {
+  generateVariants
+};
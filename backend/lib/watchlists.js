@@ -0,0 +1,411 @@
+// lib/watchlists.js - Watched accounts, an in-process recheck scheduler and change detection
+//
+// A watchlist is a set of platform/username pairs rechecked every `interval_seconds`. After each
+// recheck the new result is compared with the last known state of the account; the conditions
+// that match are sent to the watchlist's webhook as one signed delivery per account.
+//
+// Every watchlist belongs to the API key that created it (`owner`, null when keys are off);
+// the functions taking an owner only ever see that owner's watchlists.
+const crypto = require('crypto');
+const config = require('../config');
+const JsonStore = require('./jsonStore');
+const { getProvider, listProviders, lookup, normalizeHandle, selectProviders, throttled } = require('../providers');
+const { deliver } = require('./webhooks');
+const { activeKey, isPlatformAllowed, runAsKey } = require('./apiKeys');
+const { AccessError, ValidationError } = require('./errors');
+const { HANDLE_DEFAULTS, handleKey } = require('./handles');
+const { assertPublicUrl, isPrivateAddressError } = require('./hostGuard');
+const { REASONS, STATUS, unknown } = require('./results');
+const { logger } = require('./logger');
+
+const EVENTS = {
+  APPEARED: 'appeared',
+  DISAPPEARED: 'disappeared',
+  BIO_CHANGED: 'bio_changed',
+  FOLLOWER_THRESHOLD: 'follower_threshold',
+  FOLLOWER_CHANGE: 'follower_change'
+};
+
+const DEFAULT_CONDITIONS = {
+  appear: true,
+  disappear: true,
+  bio_change: true,
+  follower_threshold: null,
+  follower_change_percent: null
+};
+
+const store = new JsonStore(config.watchlists.path, { watchlists: {} });
+const running = new Set();
+let timer = null;
+
+// Same spelling rules as the lookup cache; a provider removed since keeps the default (lowercased)
+const accountKey = ({ platform, username }) => {
+  const provider = getProvider(platform);
+  return `${platform}:${handleKey(provider ? provider.handle : HANDLE_DEFAULTS, username)}`;
+};
+
+// Public view: the secret is only shown when the watchlist is created
+const describe = ({ webhook, deliveries, owner, ...watchlist }) => ({
+  ...watchlist,
+  webhook: webhook ? { url: webhook.url } : null
+});
+
+function validateAccounts(accounts) {
+  if (!Array.isArray(accounts) || accounts.length === 0) {
+    throw new ValidationError('accounts must be a non-empty array of { platform, username }');
+  }
+  if (accounts.length > config.watchlists.maxAccounts) {
+    throw new ValidationError(`A watchlist can hold at most ${config.watchlists.maxAccounts} accounts`);
+  }
+  const seen = new Set();
+  return accounts.map(account => {
+    const { platform, username } = account || {};
+    if (typeof platform !== 'string' || typeof username !== 'string') {
+      throw new ValidationError('Every account needs a platform and a username');
+    }
+    // One platform per account; selectProviders would read an empty name as "all platforms"
+    const provider = getProvider(platform);
+    if (!provider) {
+      throw new ValidationError(`Unknown platform '${platform}'`, { available: listProviders().map(entry => entry.name) });
+    }
+    if (!isPlatformAllowed(provider.name)) {
+      throw new AccessError(403, `Platform not allowed for this API key: ${provider.name}`);
+    }
+    const normalized = { platform: provider.name, username: normalizeHandle(provider, username) };
+    if (seen.has(accountKey(normalized))) {
+      throw new ValidationError(`Duplicate account ${provider.name}/${username}`);
+    }
+    seen.add(accountKey(normalized));
+    return normalized;
+  });
+}
+
+function validateConditions(conditions) {
+  const merged = { ...DEFAULT_CONDITIONS, ...conditions };
+  ['appear', 'disappear', 'bio_change'].forEach(field => {
+    if (typeof merged[field] !== 'boolean') {
+      throw new ValidationError(`conditions.${field} must be a boolean`);
+    }
+  });
+  if (merged.follower_threshold !== null && !(Number.isInteger(merged.follower_threshold) && merged.follower_threshold > 0)) {
+    throw new ValidationError('conditions.follower_threshold must be a positive integer or null');
+  }
+  if (merged.follower_change_percent !== null && !(typeof merged.follower_change_percent === 'number' && merged.follower_change_percent > 0)) {
+    throw new ValidationError('conditions.follower_change_percent must be a positive number or null');
+  }
+  return merged;
+}
+
+async function validateWebhook(webhook) {
+  if (webhook === undefined || webhook === null) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(webhook.url);
+  } catch (error) {
+    throw new ValidationError('webhook.url must be an absolute http(s) URL');
+  }
+  if (!['http:', 'https:'].includes(url.protocol)) {
+    throw new ValidationError('webhook.url must be an absolute http(s) URL');
+  }
+  if (webhook.secret !== undefined && (typeof webhook.secret !== 'string' || webhook.secret.length < 16)) {
+    throw new ValidationError('webhook.secret must be a string of at least 16 characters');
+  }
+  try {
+    await assertPublicUrl(url.toString());
+  } catch (error) {
+    throw new ValidationError(isPrivateAddressError(error)
+      ? 'webhook.url must point to a public host'
+      : `webhook.url host ${url.hostname} does not resolve`);
+  }
+  return { url: url.toString(), secret: webhook.secret || crypto.randomBytes(32).toString('hex') };
+}
+
+function validateInterval(value) {
+  const interval = value === undefined ? config.watchlists.defaultIntervalSeconds : value;
+  if (!Number.isInteger(interval) || interval < config.watchlists.minIntervalSeconds) {
+    throw new ValidationError(`interval_seconds must be an integer of at least ${config.watchlists.minIntervalSeconds}`);
+  }
+  return interval;
+}
+
+const ownedBy = (watchlist, owner) => (watchlist.owner || null) === owner;
+
+// Someone else's watchlist is indistinguishable from a missing one
+const findOwned = (watchlists, id, owner) => {
+  const watchlist = Object.prototype.hasOwnProperty.call(watchlists, id) ? watchlists[id] : null;
+  return watchlist && ownedBy(watchlist, owner) ? watchlist : null;
+};
+
+const getDeliveries = (id, owner) => {
+  const watchlist = findOwned(store.read().watchlists, id, owner);
+  return watchlist ? watchlist.deliveries : null;
+};
+
+const listWatchlists = owner => Object.values(store.read().watchlists)
+  .filter(watchlist => ownedBy(watchlist, owner))
+  .map(describe);
+
+const getWatchlist = (id, owner) => {
+  const watchlist = findOwned(store.read().watchlists, id, owner);
+  return watchlist ? describe(watchlist) : null;
+};
+
+// Returns the new watchlist including its webhook secret
+async function createWatchlist(body, owner) {
+  const webhook = await validateWebhook(body.webhook);
+  const watchlist = {
+    id: crypto.randomUUID(),
+    owner,
+    name: typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null,
+    accounts: validateAccounts(body.accounts),
+    interval_seconds: validateInterval(body.interval_seconds),
+    conditions: validateConditions(body.conditions),
+    webhook,
+    created_at: new Date().toISOString(),
+    last_run_at: null,
+    state: {},
+    deliveries: []
+  };
+  await store.update(data => {
+    data.watchlists[watchlist.id] = watchlist;
+  });
+  return { ...describe(watchlist), webhook: watchlist.webhook };
+}
+
+// Partial update; state of accounts that are no longer watched is dropped
+async function updateWatchlist(id, body, owner) {
+  const changes = {};
+  if (body.name !== undefined) {
+    changes.name = typeof body.name === 'string' && body.name.trim() ? body.name.trim() : null;
+  }
+  if (body.accounts !== undefined) {
+    changes.accounts = validateAccounts(body.accounts);
+  }
+  if (body.interval_seconds !== undefined) {
+    changes.interval_seconds = validateInterval(body.interval_seconds);
+  }
+  if (body.webhook !== undefined) {
+    changes.webhook = await validateWebhook(body.webhook);
+  }
+
+  return store.update(data => {
+    const watchlist = findOwned(data.watchlists, id, owner);
+    if (!watchlist) {
+      return null;
+    }
+    if (body.conditions !== undefined) {
+      changes.conditions = validateConditions({ ...watchlist.conditions, ...body.conditions });
+    }
+    Object.assign(watchlist, changes);
+    const keys = new Set(watchlist.accounts.map(accountKey));
+    Object.keys(watchlist.state).forEach(key => {
+      if (!keys.has(key)) {
+        delete watchlist.state[key];
+      }
+    });
+    return describe(watchlist);
+  });
+}
+
+const deleteWatchlist = (id, owner) => store.update(data => {
+  if (!findOwned(data.watchlists, id, owner)) {
+    return false;
+  }
+  delete data.watchlists[id];
+  return true;
+});
+
+const snapshotOf = result => ({
+  status: result.status,
+  bio: result.profile ? result.profile.bio : null,
+  followers: result.profile ? result.profile.followers : null,
+  checked_at: new Date().toISOString()
+});
+
+// Events for the transition previous -> current; unknown results never trigger anything
+function detectChanges(conditions, previous, current) {
+  if (!previous || current.status === STATUS.UNKNOWN) {
+    return [];
+  }
+  const events = [];
+  const wasFound = previous.status === STATUS.FOUND;
+  const isFound = current.status === STATUS.FOUND;
+
+  if (conditions.appear && !wasFound && isFound) {
+    events.push({ type: EVENTS.APPEARED });
+  }
+  if (conditions.disappear && wasFound && current.status === STATUS.NOT_FOUND) {
+    events.push({ type: EVENTS.DISAPPEARED });
+  }
+  if (!wasFound || !isFound) {
+    return events;
+  }
+
+  if (conditions.bio_change && (previous.bio || null) !== (current.bio || null)) {
+    events.push({ type: EVENTS.BIO_CHANGED, from: previous.bio, to: current.bio });
+  }
+
+  const before = previous.followers;
+  const after = current.followers;
+  if (typeof before !== 'number' || typeof after !== 'number') {
+    return events;
+  }
+  const threshold = conditions.follower_threshold;
+  if (threshold !== null && (before < threshold) !== (after < threshold)) {
+    events.push({
+      type: EVENTS.FOLLOWER_THRESHOLD,
+      threshold,
+      direction: after >= threshold ? 'up' : 'down',
+      from: before,
+      to: after
+    });
+  }
+  const percent = before > 0 ? ((after - before) / before) * 100 : null;
+  if (conditions.follower_change_percent !== null && percent !== null
+    && Math.abs(percent) >= conditions.follower_change_percent) {
+    events.push({
+      type: EVENTS.FOLLOWER_CHANGE,
+      from: before,
+      to: after,
+      percent: Math.round(percent * 100) / 100
+    });
+  }
+  return events;
+}
+
+// Keeps the most recent delivery attempts on the watchlist for GET .../deliveries
+function logAttempt(id, record) {
+  (record.ok ? logger.info : logger.warn)(record.ok ? 'Webhook delivered' : 'Webhook delivery failed', {
+    watchlist_id: id,
+    delivery_id: record.delivery_id,
+    attempt: record.attempt,
+    status: record.status,
+    error: record.error
+  });
+  store.update(data => {
+    const watchlist = data.watchlists[id];
+    if (watchlist) {
+      watchlist.deliveries = [record, ...watchlist.deliveries].slice(0, config.watchlists.deliveryLogSize);
+    }
+  }).catch(error => logger.error('Failed to store webhook delivery log', { watchlist_id: id, error }));
+}
+
+// An account that cannot be checked (provider gone, platform no longer allowed, quota used up, broken fixtures...)
+// counts as an unknown result, so the rest of the run and its last_run_at are unaffected
+const failedCheck = error => {
+  if (error instanceof ValidationError) {
+    return unknown(REASONS.INVALID_HANDLE, error.message);
+  }
+  if (error instanceof AccessError) {
+    return unknown(error.status === 429 ? REASONS.RATE_LIMITED : REASONS.BLOCKED, error.message);
+  }
+  return unknown(REASONS.INTERNAL_ERROR, error.message);
+};
+
+async function checkAccount(watchlist, account) {
+  let result;
+  try {
+    const [provider] = selectProviders(account.platform);
+    result = await throttled(provider, () => lookup(provider, account.username, { fresh: true }));
+  } catch (error) {
+    logger.warn('Watchlist account check failed', { watchlist_id: watchlist.id, ...account, error });
+    result = failedCheck(error);
+  }
+  const current = snapshotOf(result);
+  const events = detectChanges(watchlist.conditions, watchlist.state[accountKey(account)], current);
+  return { account, result, current, events };
+}
+
+// Rechecks every account of one watchlist and notifies the webhook about changes.
+// The checks run as the owning key; watchlists of deleted or disabled keys are skipped.
+async function runWatchlist(id) {
+  const watchlist = store.read().watchlists[id];
+  if (!watchlist || running.has(id)) {
+    return null;
+  }
+  const ownerKey = watchlist.owner ? activeKey(watchlist.owner) : null;
+  if (watchlist.owner && !ownerKey) {
+    logger.debug('Skipping watchlist of a deleted or disabled API key', { watchlist_id: id, owner: watchlist.owner });
+    return null;
+  }
+  running.add(id);
+  try {
+    const checkAll = () => Promise.all(watchlist.accounts.map(account => checkAccount(watchlist, account)));
+    const checks = await (ownerKey ? runAsKey(ownerKey, checkAll) : checkAll());
+
+    await store.update(data => {
+      const stored = data.watchlists[id];
+      if (!stored) {
+        return;
+      }
+      stored.last_run_at = new Date().toISOString();
+      checks.forEach(({ account, current }) => {
+        // An unknown result says nothing about the account, so the last known state is kept
+        if (current.status !== STATUS.UNKNOWN) {
+          stored.state[accountKey(account)] = current;
+        }
+      });
+    });
+
+    const notifications = checks.filter(check => check.events.length > 0);
+    if (watchlist.webhook) {
+      // Deliveries (and their retries) continue in the background
+      notifications.forEach(({ account, result, events }) => {
+        deliver({
+          url: watchlist.webhook.url,
+          secret: watchlist.webhook.secret,
+          payload: {
+            event: 'watchlist.change',
+            watchlist_id: id,
+            account,
+            changes: events,
+            profile: result.profile,
+            checked_at: new Date().toISOString()
+          },
+          onAttempt: record => logAttempt(id, record)
+        });
+      });
+    }
+
+    return {
+      checked_at: new Date().toISOString(),
+      accounts: checks.map(({ account, result, events }) => ({ ...account, status: result.status, reason: result.reason, changes: events }))
+    };
+  } finally {
+    running.delete(id);
+  }
+}
+
+const isDue = (watchlist, now) => !watchlist.last_run_at
+  || Date.parse(watchlist.last_run_at) + watchlist.interval_seconds * 1000 <= now;
+
+function tick() {
+  const now = Date.now();
+  Object.values(store.read().watchlists)
+    .filter(watchlist => isDue(watchlist, now))
+    .forEach(watchlist => {
+      runWatchlist(watchlist.id).catch(error => logger.error('Watchlist run failed', { watchlist_id: watchlist.id, error }));
+    });
+}
+
+// Started by server.js once the server listens
+function startScheduler() {
+  if (!timer) {
+    timer = setInterval(tick, config.watchlists.tickMs);
+    timer.unref();
+  }
+}
+
+module.exports = {
+  EVENTS,
+  listWatchlists,
+  getWatchlist,
+  createWatchlist,
+  updateWatchlist,
+  deleteWatchlist,
+  getDeliveries,
+  runWatchlist,
+  startScheduler
+};
@@ -0,0 +1,65 @@
+// lib/webhooks.js - Signed webhook delivery with retries
+//
+// Each POST carries
+//   X-MGN-Delivery   unique id, stable across retries of the same delivery
+//   X-MGN-Timestamp  unix seconds when the attempt was made
+//   X-MGN-Signature  sha256=<hex HMAC of "<timestamp>.<body>" keyed with the watchlist secret>
+// Receivers should recompute the HMAC and reject stale timestamps.
+const axios = require('axios');
+const crypto = require('crypto');
+const config = require('../config');
+const { assertPublicUrl, publicOnly } = require('./hostGuard');
+
+// Webhooks go to our users' servers, not to scraped upstreams, so they bypass lib/http.js
+const client = axios.create({ timeout: config.webhooks.timeoutMs });
+
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+const sign = (secret, timestamp, body) => `sha256=${crypto
+  .createHmac('sha256', secret)
+  .update(`${timestamp}.${body}`)
+  .digest('hex')}`;
+
+// Tries up to `maxAttempts` times with exponential backoff; `onAttempt` gets every attempt for logging.
+// Resolves with the final attempt, never rejects.
+async function deliver({ url, secret, payload, onAttempt = () => {} }) {
+  const id = crypto.randomUUID();
+  const body = JSON.stringify(payload);
+
+  for (let attempt = 1; ; attempt += 1) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const record = { delivery_id: id, attempt, url, event: payload.event, attempted_at: new Date().toISOString() };
+    try {
+      // Checked on every attempt: the host may resolve somewhere else than when the watchlist was saved
+      await assertPublicUrl(url);
+      const response = await client.post(url, body, {
+        ...publicOnly,
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'MG-Nexus-Webhooks/1.0',
+          'X-MGN-Delivery': id,
+          'X-MGN-Timestamp': String(timestamp),
+          'X-MGN-Signature': sign(secret, timestamp, body)
+        }
+      });
+      Object.assign(record, { ok: true, status: response.status, error: null });
+    } catch (error) {
+      Object.assign(record, {
+        ok: false,
+        status: error.response ? error.response.status : null,
+        error: error.message
+      });
+    }
+
+    onAttempt(record);
+    if (record.ok || attempt >= config.webhooks.maxAttempts) {
+      return record;
+    }
+    await sleep(config.webhooks.retryBaseMs * 2 ** (attempt - 1));
+  }
+}
+
+module.exports = {
+  sign,
+  deliver
+};
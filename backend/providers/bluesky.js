@@ -0,0 +1,254 @@
+// providers/bluesky.js - Bluesky / AT Protocol accounts: handle -> DID -> DID document -> AppView profile
+//
+// Handles resolve through a `_atproto.<handle>` DNS TXT record or https://<handle>/.well-known/atproto-did.
+// A handle only counts when the DID document claims it back (alsoKnownAs), so a domain cannot
+// pose as someone else's account. DIDs (did:plc, did:web) are accepted as input too.
+const dns = require('dns');
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { publicOnly } = require('../lib/hostGuard');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+
+const DID = /^did:(plc:[a-z2-7]{24}|web:[A-Za-z0-9.-]+)$/;
+// Top-level domains that never resolve publicly (https://atproto.com/specs/handle)
+const DISALLOWED_TLDS = ['alt', 'arpa', 'example', 'internal', 'invalid', 'local', 'localhost', 'onion', 'test'];
+
+const isDid = value => value.startsWith('did:');
+
+const fullHandle = handle => (isDid(handle) || handle.includes('.')
+  ? handle.toLowerCase()
+  : `${handle}${config.bluesky.handleSuffix}`.toLowerCase());
+
+const resolver = new dns.promises.Resolver();
+if (config.bluesky.dnsServers.length) {
+  resolver.setServers(config.bluesky.dnsServers);
+}
+
+const didFrom = value => {
+  const did = String(value || '').trim();
+  return DID.test(did) ? did : null;
+};
+
+// TXT "did=did:plc:..." on _atproto.<handle>
+async function viaDns(handle) {
+  if (!config.bluesky.dns || config.http.mode === 'replay') {
+    return null;
+  }
+  try {
+    const records = await resolver.resolveTxt(`_atproto.${handle}`);
+    const record = records.map(chunks => chunks.join('')).find(text => text.startsWith('did='));
+    return record ? didFrom(record.slice('did='.length)) : null;
+  } catch (error) {
+    if (error.code === dns.NOTFOUND || error.code === dns.NODATA) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+async function viaWellKnown(handle) {
+  try {
+    // The handle's own public host must answer; no redirects to wherever it points
+    const response = await http.get(`https://${handle}/.well-known/atproto-did`, {
+      ...publicOnly,
+      responseType: 'text'
+    });
+    return didFrom(response.data);
+  } catch (error) {
+    // No such host at all: the handle does not resolve
+    if (isStatus(error, 404) || error.code === 'ENOTFOUND') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+// { did, method } or null; one failing method does not matter when the other one answers
+async function resolveHandle(handle) {
+  const [dnsResult, httpResult] = await Promise.allSettled([viaDns(handle), viaWellKnown(handle)]);
+  if (dnsResult.status === 'fulfilled' && dnsResult.value) {
+    return { did: dnsResult.value, method: 'dns' };
+  }
+  if (httpResult.status === 'fulfilled' && httpResult.value) {
+    return { did: httpResult.value, method: 'http' };
+  }
+  const failed = [dnsResult, httpResult].find(result => result.status === 'rejected');
+  if (failed) {
+    throw failed.reason;
+  }
+  return null;
+}
+
+async function didDocument(did) {
+  // DIDs are pattern checked, so they go into the URL as they are (the colons stay readable)
+  const url = did.startsWith('did:plc:')
+    ? `${config.upstreams.plc}/${did}`
+    : `https://${did.slice('did:web:'.length)}/.well-known/did.json`;
+  try {
+    // did:web documents live on a host named by the caller, so they get the same host checks
+    const response = await http.get(url, did.startsWith('did:web:') ? publicOnly : {});
+    if (!response.data || typeof response.data !== 'object') {
+      throw new UnknownResultError(REASONS.MARKUP_CHANGED, `${url} did not return a DID document`);
+    }
+    return response.data;
+  } catch (error) {
+    // Unknown or tombstoned DID
+    if (isStatus(error, 404) || isStatus(error, 410)) {
+      return null;
+    }
+    throw error;
+  }
+}
+
+const handlesOf = document => (document.alsoKnownAs || [])
+  .filter(alias => alias.startsWith('at://'))
+  .map(alias => alias.slice('at://'.length).toLowerCase());
+
+const servicesOf = document => (document.service || []).map(service => ({
+  id: service.id,
+  type: service.type,
+  endpoint: service.serviceEndpoint
+}));
+
+async function appView(method, params) {
+  const response = await http.get(`${config.upstreams.bluesky}/xrpc/${method}`, { params });
+  return response.data;
+}
+
+async function recentPosts(did) {
+  try {
+    const { feed } = await appView('app.bsky.feed.getAuthorFeed', {
+      actor: did,
+      limit: config.bluesky.recentPosts,
+      filter: 'posts_no_replies'
+    });
+    return feed || [];
+  } catch (error) {
+    // The profile is what matters; a failing feed only costs the recent posts
+    return [];
+  }
+}
+
+const postUrl = (handle, uri) => `https://bsky.app${urlPath`/profile/${handle}/post/${uri.split('/').pop()}`}`;
+
+module.exports = {
+  name: 'bluesky',
+  label: 'Bluesky',
+  description: 'Bluesky (AT Protocol) profile: handle to DID via DNS or HTTPS, DID document and AppView profile',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 0.9 },
+  cacheTtl: { positive: 3600, negative: 900 },
+  source: SOURCES.API,
+
+  profileUrl: handle => `https://bsky.app${urlPath`/profile/${fullHandle(handle)}`}`,
+
+  handle: {
+    min: 1,
+    max: 253,
+    pattern: /^(?:did:(?:plc:[a-z2-7]{24}|web:[A-Za-z0-9.-]+)|(?:[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)(?:\.[A-Za-z0-9](?:[A-Za-z0-9-]{0,61}[A-Za-z0-9])?)*)$/,
+    allowed: 'a domain-style handle (e.g. alice.bsky.social) or a did:plc / did:web identifier',
+    prefixes: ['@', 'at://', 'https://bsky.app/profile/', 'bsky.app/profile/']
+  },
+
+  // Handles and did:web identifiers are domains we are about to fetch from
+  validate(handle) {
+    if (handle.startsWith('did:plc:')) {
+      return null;
+    }
+    const domain = handle.startsWith('did:web:') ? handle.slice('did:web:'.length) : fullHandle(handle);
+    const labels = domain.split('.');
+    const tld = labels[labels.length - 1];
+    if (labels.length < 2 || /^\d/.test(tld)) {
+      return `${domain} is not a public domain name`;
+    }
+    return DISALLOWED_TLDS.includes(tld) ? `.${tld} domains cannot be resolved publicly` : null;
+  },
+
+  async fetch(input) {
+    const requested = fullHandle(input);
+    let did = requested;
+    let method = null;
+    if (!isDid(requested)) {
+      const resolved = await resolveHandle(requested);
+      if (!resolved) {
+        return null;
+      }
+      ({ did, method } = resolved);
+    }
+
+    const document = await didDocument(did);
+    if (!document) {
+      return null;
+    }
+
+    // Both directions: the handle points at the DID, and the DID document claims the handle
+    const claimed = handlesOf(document);
+    let handleVerified;
+    if (isDid(requested)) {
+      const [handle] = claimed;
+      const back = handle ? await resolveHandle(handle).catch(() => null) : null;
+      handleVerified = Boolean(back && back.did === did);
+    } else if (claimed.includes(requested)) {
+      handleVerified = true;
+    } else {
+      throw new UnknownResultError(
+        REASONS.INVALID_HANDLE,
+        `${requested} points at ${did}, but that DID document does not claim the handle`
+      );
+    }
+
+    let profile;
+    try {
+      profile = await appView('app.bsky.actor.getProfile', { actor: did });
+    } catch (error) {
+      // "Profile not found", taken down or deactivated accounts all answer 400
+      if (isStatus(error, 400)) {
+        return null;
+      }
+      throw error;
+    }
+
+    return { did, method, handleVerified, document, profile, feed: await recentPosts(did) };
+  },
+
+  parse(data) {
+    if (!data.profile || typeof data.profile !== 'object' || data.profile.did !== data.did) {
+      throw new UnknownResultError(REASONS.MARKUP_CHANGED, 'AppView returned an unexpected profile');
+    }
+    return data;
+  },
+
+  normalize: ({ did, method, handleVerified, document, profile, feed }) => {
+    const services = servicesOf(document);
+    const pds = services.find(service => service.type === 'AtprotoPersonalDataServer');
+    return {
+      username: profile.handle,
+      name: profile.displayName,
+      bio: profile.description,
+      avatar_url: profile.avatar,
+      url: `https://bsky.app${urlPath`/profile/${profile.handle}`}`,
+      created_at: profile.createdAt,
+      verified: profile.verification ? profile.verification.verifiedStatus === 'valid' : null,
+      followers: profile.followersCount,
+      following: profile.followsCount,
+      posts: profile.postsCount,
+      did,
+      handle_resolution: method,
+      handle_verified: handleVerified,
+      also_known_as: document.alsoKnownAs || [],
+      pds: pds ? pds.endpoint : null,
+      services,
+      banner_url: profile.banner || null,
+      labels: (profile.labels || []).map(label => label.val),
+      recent_posts: feed.map(({ post }) => ({
+        url: postUrl(profile.handle, post.uri),
+        text: post.record ? post.record.text : null,
+        created_at: post.record ? post.record.createdAt : post.indexedAt,
+        likes: post.likeCount,
+        reposts: post.repostCount,
+        replies: post.replyCount
+      }))
+    };
+  }
+};
@@ -0,0 +1,73 @@
+// providers/dockerhub.js - Docker Hub namespaces (users or organizations) and their repositories
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+
+const hub = path => `${config.upstreams.dockerhub}/v2${path}`;
+
+// Users and organizations share one namespace but live behind different endpoints
+async function namespace(name) {
+  for (const [kind, path] of [['user', urlPath`/users/${name}/`], ['organization', urlPath`/orgs/${name}/`]]) {
+    try {
+      const { data } = await http.get(hub(path));
+      return { kind, account: data };
+    } catch (error) {
+      if (!isStatus(error, 404)) {
+        throw error;
+      }
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  name: 'dockerhub',
+  label: 'Docker Hub',
+  description: 'Docker Hub user or organization with image pull counts and recently updated repositories',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 3600, negative: 900 },
+
+  profileUrl: username => `https://hub.docker.com${urlPath`/u/${username}`}`,
+
+  handle: {
+    min: 2,
+    max: 255,
+    pattern: /^[a-z0-9]+(?:[._-][a-z0-9]+)*$/i,
+    allowed: 'letters, digits and single separators (period, underscore, hyphen) between them',
+    prefixes: ['https://hub.docker.com/u/', 'hub.docker.com/u/', 'https://hub.docker.com/r/', 'hub.docker.com/r/']
+  },
+
+  async fetch(username) {
+    const found = await namespace(username);
+    if (!found) {
+      return null;
+    }
+    // Up to 100 repositories: enough for the pull count total of nearly every namespace
+    const { data } = await http.get(hub(urlPath`/repositories/${username}/`), {
+      params: { page_size: 100, ordering: 'last_updated' }
+    });
+    return { ...found, repositories: data.results || [], repositoryCount: data.count };
+  },
+
+  normalize: ({ kind, account, repositories, repositoryCount }) => ({
+    username: account.username || account.orgname,
+    name: account.full_name || null,
+    avatar_url: account.gravatar_url || null,
+    url: `https://hub.docker.com${urlPath`/u/${account.username || account.orgname}`}`,
+    location: account.location || null,
+    created_at: account.date_joined,
+    posts: repositoryCount,
+    account_type: kind,
+    company: account.company || null,
+    total_pulls: repositories.reduce((sum, repo) => sum + (repo.pull_count || 0), 0),
+    total_stars: repositories.reduce((sum, repo) => sum + (repo.star_count || 0), 0),
+    recent_repositories: repositories.slice(0, 5).map(repo => ({
+      name: repo.name,
+      description: repo.description || null,
+      url: `https://hub.docker.com${urlPath`/r/${repo.namespace}/${repo.name}`}`,
+      stars: repo.star_count,
+      pulls: repo.pull_count,
+      last_updated: repo.last_updated
+    }))
+  })
+};
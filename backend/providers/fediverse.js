@@ -0,0 +1,249 @@
+// providers/fediverse.js - Mastodon and other ActivityPub servers via WebFinger
+//
+// user@instance -> WebFinger (acct:) -> ActivityPub actor -> followers/following/outbox collections.
+// Bare usernames are tried on the instances in FEDIVERSE_INSTANCES, in order, when that list is set.
+const net = require('net');
+const config = require('../config');
+const { isPrivateAddress, publicLookup } = require('../lib/hostGuard');
+const { htmlToText } = require('../lib/html');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+
+const ACTIVITY_JSON = 'application/activity+json, application/ld+json; profile="https://www.w3.org/ns/activitystreams"';
+const ACTIVITY_TYPES = /^application\/(activity\+json|ld\+json)/;
+const ACTOR_TYPES = ['Person', 'Service', 'Application', 'Group', 'Organization'];
+
+// Instances are user input: keep lookups away from loopback, link-local and private networks.
+// Names are checked again when they resolve (publicLookup); IP literals never reach the resolver.
+const PRIVATE_NAME = /^(localhost|.+\.(local|localhost|internal|lan))$/;
+const isPublicHost = hostname => {
+  const name = hostname.toLowerCase().replace(/^\[|\]$/g, '');
+  if (net.isIP(name)) {
+    return !isPrivateAddress(name);
+  }
+  return name.includes('.') && !PRIVATE_NAME.test(name);
+};
+const allowedHost = hostname => config.fediverse.allowPrivateHosts || isPublicHost(hostname);
+
+// A redirect could point a public instance at an internal host, so none are followed
+const requestOptions = () => (config.fediverse.allowPrivateHosts
+  ? { maxRedirects: 0 }
+  : { lookup: publicLookup, maxRedirects: 0 });
+
+const splitHandle = handle => {
+  const at = handle.indexOf('@');
+  return at === -1
+    ? { user: handle, domain: null }
+    : { user: handle.slice(0, at), domain: handle.slice(at + 1).toLowerCase() };
+};
+
+const instanceUrl = domain => `${config.fediverse.scheme}://${domain}`;
+
+// `icon` and `image` may be a URL, an Image object or a list of either
+const imageUrl = image => {
+  const first = Array.isArray(image) ? image[0] : image;
+  if (!first) {
+    return null;
+  }
+  return typeof first === 'string' ? first : first.url || null;
+};
+
+async function getActivity(url) {
+  if (!allowedHost(new URL(url).hostname)) {
+    throw new UnknownResultError(REASONS.BLOCKED, `Refusing to fetch ${url}: not a public host`);
+  }
+  const response = await http.get(url, { ...requestOptions(), headers: { Accept: ACTIVITY_JSON } });
+  if (!response.data || typeof response.data !== 'object') {
+    throw new UnknownResultError(REASONS.MARKUP_CHANGED, `${url} did not return ActivityPub JSON`);
+  }
+  return response.data;
+}
+
+// Resolves acct:user@domain to { account, actorUrl }, or null when the server does not know the user
+async function webfinger(user, domain) {
+  let data;
+  try {
+    const response = await http.get(`${instanceUrl(domain)}/.well-known/webfinger`, {
+      ...requestOptions(),
+      params: { resource: `acct:${user}@${domain}` },
+      headers: { Accept: 'application/jrd+json, application/json' }
+    });
+    data = response.data;
+  } catch (error) {
+    // 410 Gone is what Mastodon answers for deleted accounts
+    if (isStatus(error, 404) || isStatus(error, 410)) {
+      return null;
+    }
+    throw error;
+  }
+
+  if (!data || typeof data !== 'object' || !Array.isArray(data.links)) {
+    throw new UnknownResultError(REASONS.MARKUP_CHANGED, `${domain} returned an unexpected WebFinger response`);
+  }
+  const self = data.links.find(link => link.rel === 'self' && ACTIVITY_TYPES.test(link.type || '') && link.href);
+  if (!self) {
+    throw new UnknownResultError(REASONS.UPSTREAM_ERROR, `${domain} has no ActivityPub actor for ${user}`);
+  }
+  // The subject carries the canonical account, which may live on another domain than the one asked
+  const subject = typeof data.subject === 'string' && data.subject.startsWith('acct:')
+    ? data.subject.slice('acct:'.length)
+    : `${user}@${domain}`;
+  return { account: subject, actorUrl: self.href };
+}
+
+// Tries the instances in order; a lookup error only counts when no instance knows the user
+async function probe(user) {
+  let lastError = null;
+  for (const domain of config.fediverse.instances) {
+    try {
+      const match = await webfinger(user, domain);
+      if (match) {
+        return match;
+      }
+    } catch (error) {
+      lastError = error;
+    }
+  }
+  if (lastError) {
+    throw lastError;
+  }
+  return null;
+}
+
+// Many servers hide their follower collections; a missing count is not a failed lookup
+async function collectionTotal(url) {
+  if (typeof url !== 'string') {
+    return null;
+  }
+  try {
+    const collection = await getActivity(url);
+    return typeof collection.totalItems === 'number' ? collection.totalItems : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+async function outbox(url) {
+  if (typeof url !== 'string') {
+    return { total: null, items: [] };
+  }
+  try {
+    const collection = await getActivity(url);
+    // The first page is either embedded or linked
+    const first = typeof collection.first === 'string' ? await getActivity(collection.first) : collection.first;
+    const page = first || collection;
+    return {
+      total: typeof collection.totalItems === 'number' ? collection.totalItems : null,
+      items: page.orderedItems || page.items || []
+    };
+  } catch (error) {
+    return { total: null, items: [] };
+  }
+}
+
+const recentPosts = items => items
+  .filter(activity => activity.type === 'Create' && activity.object && typeof activity.object === 'object')
+  .slice(0, config.fediverse.recentPosts)
+  .map(({ object }) => ({
+    url: typeof object.url === 'string' ? object.url : object.id,
+    published: object.published || null,
+    content: htmlToText(object.content),
+    // Content warning
+    summary: object.summary || null,
+    reply: Boolean(object.inReplyTo),
+    attachments: Array.isArray(object.attachment) ? object.attachment.length : 0
+  }));
+
+module.exports = {
+  name: 'fediverse',
+  label: 'Fediverse',
+  description: 'Mastodon and other ActivityPub accounts (user@instance) via WebFinger and the actor document',
+  timeout: 15000,
+  confidence: { found: 1, notFound: 0.9 },
+  cacheTtl: { positive: 3600, negative: 900 },
+  source: SOURCES.API,
+
+  profileUrl: username => {
+    const { user, domain } = splitHandle(username);
+    return domain ? `${instanceUrl(domain)}${urlPath`/@${user}`}` : null;
+  },
+
+  handle: {
+    min: 1,
+    max: 320,
+    pattern: /^[A-Za-z0-9_.-]+(?:@[A-Za-z0-9.-]+(?::\d{1,5})?)?$/,
+    allowed: 'a user@instance address (letters, digits, underscores, periods and hyphens)',
+    prefixes: ['@', 'acct:']
+  },
+
+  validate(handle) {
+    const { domain } = splitHandle(handle);
+    if (!domain) {
+      return config.fediverse.instances.length
+        ? null
+        : 'Fediverse handles need an instance: user@instance (no instances are configured for bare usernames)';
+    }
+    return allowedHost(domain.replace(/:\d+$/, '')) ? null : `${domain} is not a public fediverse instance`;
+  },
+
+  status: () => ({ probe_instances: config.fediverse.instances }),
+
+  async fetch(handle) {
+    const { user, domain } = splitHandle(handle);
+    const match = domain ? await webfinger(user, domain) : await probe(user);
+    if (!match) {
+      return null;
+    }
+
+    let actor;
+    try {
+      actor = await getActivity(match.actorUrl);
+    } catch (error) {
+      if (isStatus(error, 404) || isStatus(error, 410)) {
+        return null;
+      }
+      // Servers in "authorized fetch" mode only answer signed requests
+      if (isStatus(error, 401) || isStatus(error, 403)) {
+        throw new UnknownResultError(REASONS.BLOCKED, `${new URL(match.actorUrl).host} requires signed ActivityPub requests`);
+      }
+      throw error;
+    }
+
+    const [followers, following, posts] = await Promise.all([
+      collectionTotal(actor.followers),
+      collectionTotal(actor.following),
+      outbox(actor.outbox)
+    ]);
+    return { ...match, actor, followers, following, posts };
+  },
+
+  parse(data) {
+    if (!ACTOR_TYPES.includes(data.actor.type)) {
+      throw new UnknownResultError(REASONS.MARKUP_CHANGED, `Unexpected ActivityPub actor type: ${data.actor.type}`);
+    }
+    return data;
+  },
+
+  normalize: ({ account, actor, followers, following, posts }) => ({
+    username: account,
+    name: actor.name || actor.preferredUsername,
+    bio: htmlToText(actor.summary),
+    avatar_url: imageUrl(actor.icon),
+    url: typeof actor.url === 'string' ? actor.url : actor.id,
+    created_at: actor.published,
+    followers,
+    following,
+    posts: posts.total,
+    instance: account.slice(account.indexOf('@') + 1),
+    actor_id: actor.id,
+    actor_type: actor.type,
+    bot: actor.type === 'Service' || actor.type === 'Application',
+    locked: Boolean(actor.manuallyApprovesFollowers),
+    header_url: imageUrl(actor.image),
+    fields: (Array.isArray(actor.attachment) ? actor.attachment : [])
+      .filter(field => field.type === 'PropertyValue')
+      .map(field => ({ name: field.name, value: htmlToText(field.value) })),
+    recent_posts: recentPosts(posts.items)
+  })
+};
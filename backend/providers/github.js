@@ -0,0 +1,65 @@
+// providers/github.js - GitHub REST API (fully implemented)
+const github = require('../lib/githubClient');
+const { isStatus, urlPath } = require('../lib/http');
+
+module.exports = {
+  name: 'github',
+  label: 'GitHub',
+  description: 'GitHub user profile and recently updated repositories (REST API)',
+  timeout: 8000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 3600, negative: 900 },
+
+  profileUrl: username => `https://github.com${urlPath`/${username}`}`,
+
+  status: () => ({ rate_limit: github.rateLimitStatus() }),
+
+  handle: {
+    min: 1,
+    max: 39,
+    pattern: /^[A-Za-z0-9](?:[A-Za-z0-9]|-(?=[A-Za-z0-9]))*$/,
+    allowed: 'letters, digits and single hyphens, not at the start or end',
+    prefixes: ['@'],
+    reserved: ['about', 'api', 'explore', 'features', 'login', 'logout', 'marketplace', 'new', 'notifications',
+      'organizations', 'orgs', 'pricing', 'pulls', 'search', 'security', 'settings', 'site', 'sponsors',
+      'topics', 'trending', 'users']
+  },
+
+  async fetch(username) {
+    try {
+      const user = await github.get(urlPath`/users/${username}`);
+
+      // Get user's recent repositories
+      const repos = await github.get(`${urlPath`/users/${username}/repos`}?sort=updated&per_page=5`);
+
+      return { user, repos };
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  normalize: ({ user, repos }) => ({
+    username: user.login,
+    name: user.name,
+    bio: user.bio,
+    avatar_url: user.avatar_url,
+    url: user.html_url,
+    location: user.location,
+    created_at: user.created_at,
+    followers: user.followers,
+    following: user.following,
+    posts: user.public_repos,
+    company: user.company,
+    blog: user.blog || null,
+    recent_repos: repos.map(repo => ({
+      name: repo.name,
+      description: repo.description,
+      url: repo.html_url,
+      stars: repo.stargazers_count,
+      language: repo.language
+    }))
+  })
+};
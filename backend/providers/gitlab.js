@@ -0,0 +1,81 @@
+// providers/gitlab.js - GitLab users and their recently active projects (REST API v4)
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+
+const api = path => `${config.upstreams.gitlab}/api/v4${path}`;
+
+const headers = () => (config.gitlab.token ? { 'PRIVATE-TOKEN': config.gitlab.token } : {});
+
+module.exports = {
+  name: 'gitlab',
+  label: 'GitLab',
+  description: 'GitLab user profile and recently active projects (REST API)',
+  timeout: 8000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 3600, negative: 900 },
+
+  profileUrl: username => `${config.upstreams.gitlab}${urlPath`/${username}`}`,
+
+  handle: {
+    min: 2,
+    max: 255,
+    pattern: /^[A-Za-z0-9_.][A-Za-z0-9_.-]*(?<![.-])$/,
+    allowed: 'letters, digits, underscores, periods and hyphens (no trailing period or hyphen)',
+    prefixes: ['@'],
+    reserved: ['admin', 'api', 'dashboard', 'explore', 'groups', 'help', 'projects', 'public', 'search', 'snippets',
+      'users']
+  },
+
+  async fetch(username) {
+    // The username filter is the only public way from a name to a user id
+    const { data: matches } = await http.get(api('/users'), { params: { username }, headers: headers() });
+    if (!Array.isArray(matches) || matches.length === 0) {
+      return null;
+    }
+
+    try {
+      const [user, projects] = await Promise.all([
+        http.get(api(urlPath`/users/${matches[0].id}`), { headers: headers() }),
+        http.get(api(urlPath`/users/${matches[0].id}/projects`), {
+          params: { order_by: 'last_activity_at', per_page: 5 },
+          headers: headers()
+        })
+      ]);
+      // x-total is omitted for very large result sets
+      const total = parseInt(projects.headers['x-total'], 10);
+      return { user: user.data, projects: projects.data, projectCount: Number.isNaN(total) ? null : total };
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  normalize: ({ user, projects, projectCount }) => ({
+    username: user.username,
+    name: user.name,
+    bio: user.bio,
+    avatar_url: user.avatar_url,
+    url: user.web_url,
+    location: user.location,
+    created_at: user.created_at,
+    followers: user.followers,
+    following: user.following,
+    posts: projectCount,
+    state: user.state,
+    bot: user.bot,
+    organization: user.organization || null,
+    job_title: user.job_title || null,
+    website: user.website_url || null,
+    recent_projects: projects.map(project => ({
+      name: project.name,
+      path: project.path_with_namespace,
+      description: project.description,
+      url: project.web_url,
+      stars: project.star_count,
+      forks: project.forks_count,
+      last_activity_at: project.last_activity_at
+    }))
+  })
+};
@@ -0,0 +1,71 @@
+// providers/hackernews.js - Hacker News users and their latest submissions (Firebase API)
+const config = require('../config');
+const { http, urlPath } = require('../lib/http');
+const { htmlToText } = require('../lib/html');
+
+const RECENT_LIMIT = 5;
+
+const api = path => `${config.upstreams.hackernews}/v0${path}`;
+
+const epoch = seconds => (typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null);
+
+// Items can be deleted or dead; those are skipped rather than failing the lookup
+async function item(id) {
+  try {
+    const { data } = await http.get(api(urlPath`/item/${id}.json`));
+    return data && !data.deleted && !data.dead ? data : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'hackernews',
+  label: 'Hacker News',
+  description: 'Hacker News user with karma and latest stories and comments (Firebase API)',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 1800, negative: 900 },
+
+  profileUrl: username => `https://news.ycombinator.com/user?id=${encodeURIComponent(username)}`,
+
+  handle: {
+    min: 2,
+    max: 15,
+    pattern: /^[A-Za-z0-9_-]+$/,
+    allowed: 'letters, digits, underscores and hyphens',
+    prefixes: ['https://news.ycombinator.com/user?id=', 'news.ycombinator.com/user?id='],
+    // 'pg' and 'PG' are different accounts
+    caseSensitive: true
+  },
+
+  async fetch(username) {
+    // Unknown users are not a 404: the API answers `null`
+    const { data: user } = await http.get(api(urlPath`/user/${username}.json`));
+    if (!user) {
+      return null;
+    }
+    const submitted = user.submitted || [];
+    const items = await Promise.all(submitted.slice(0, RECENT_LIMIT).map(item));
+    return { user, items: items.filter(Boolean) };
+  },
+
+  normalize: ({ user, items }) => ({
+    username: user.id,
+    bio: htmlToText(user.about),
+    url: `https://news.ycombinator.com/user?id=${encodeURIComponent(user.id)}`,
+    created_at: epoch(user.created),
+    posts: (user.submitted || []).length,
+    karma: user.karma,
+    recent_submissions: items.map(entry => ({
+      type: entry.type,
+      title: entry.title || null,
+      text: htmlToText(entry.text),
+      url: `https://news.ycombinator.com/item?id=${entry.id}`,
+      link: entry.url || null,
+      score: typeof entry.score === 'number' ? entry.score : null,
+      comments: typeof entry.descendants === 'number' ? entry.descendants : null,
+      created_at: epoch(entry.time)
+    }))
+  })
+};
@@ -0,0 +1,270 @@
+// providers/index.js - Provider registry
+//
+// Every platform is a module in this directory exporting the provider contract:
+//
+//   name        route segment and registry key, e.g. 'github'
+//   label       human readable platform name
+//   description short summary shown by GET /api/platforms
+//   timeout     per-lookup budget in ms for the combined lookup
+//   profileUrl  (username) => public profile URL
+//   handle      declarative handle rules (length, characters, reserved names, pasted prefixes,
+//               case sensitivity), see lib/handles.js; fetch only ever sees handles that pass them
+//   validate    optional extra check (handle) => error message, or null when the handle is acceptable
+//   fetch       async (username) => raw upstream payload, or null when the profile does not exist
+//   parse       (raw, username) => extracted fields, or null when the payload shows no profile
+//   normalize   (parsed, username) => flat profile fields named after the core schema in lib/profile.js;
+//               anything else ends up namespaced under profile.extras[name]
+//   source      'api', 'scraped' or 'catalog', reported as profile.source; may be a function of
+//               the parsed fields for providers with more than one backend
+//   confidence  { found, notFound } scores in [0, 1]; `found` may be a function of the parsed fields
+//   cacheTtl    { positive, negative } seconds to cache found / not_found results (unknown is never cached)
+//   throttle    { concurrency, intervalMs } applied to bulk lookups (batch jobs, availability checks)
+//   status      optional () => upstream diagnostics shown by GET /api/platforms
+//   demo        optional (username) => synthetic { exists, profile }, only used when the caller opts
+//               into demo mode and the real lookup came back unknown
+//
+// fetch/parse signal an undeterminable answer by throwing; the error is mapped to an `unknown`
+// result with a machine-readable reason (see lib/results.js).
+//
+// Files dropped into this directory are registered automatically.
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { AccessError, ValidationError } = require('../lib/errors');
+const { HANDLE_DEFAULTS, checkHandle, handleKey } = require('../lib/handles');
+const { isPlatformAllowed, recordLookup } = require('../lib/apiKeys');
+const { recordSnapshot } = require('../lib/history');
+const { Cache, createStore } = require('../lib/cache');
+const { FixtureMissingError, withLookupContext } = require('../lib/fixtures');
+const { recordOutcome } = require('../lib/health');
+const { createLimiter } = require('../lib/limiter');
+const { logger } = require('../lib/logger');
+const { observeCache, observeLookup, outcomeOf } = require('../lib/metrics');
+const { STATUS, REASONS, found, notFound, unknown, classifyError } = require('../lib/results');
+const { SOURCES, createProfile } = require('../lib/profile');
+
+const DEFAULT_TIMEOUT = 10000;
+const DEFAULT_CACHE_TTL = { positive: 3600, negative: 600 };
+const DEFAULT_THROTTLE = { concurrency: 2, intervalMs: 250 };
+const providers = new Map();
+
+const responseCache = new Cache({
+  store: createStore(config.cache),
+  staleTtl: config.cache.staleTtl
+});
+
+const identity = value => value;
+
+function register(provider) {
+  ['name', 'label', 'fetch'].forEach(key => {
+    if (!provider[key]) {
+      throw new Error(`Provider is missing required "${key}"`);
+    }
+  });
+  if (providers.has(provider.name)) {
+    throw new Error(`Provider "${provider.name}" is already registered`);
+  }
+
+  providers.set(provider.name, {
+    description: '',
+    timeout: DEFAULT_TIMEOUT,
+    profileUrl: () => null,
+    validate: () => null,
+    parse: identity,
+    normalize: identity,
+    source: SOURCES.API,
+    confidence: { found: 1, notFound: 1 },
+    demo: null,
+    ...provider,
+    handle: { ...HANDLE_DEFAULTS, ...provider.handle },
+    throttle: { ...DEFAULT_THROTTLE, ...provider.throttle },
+    cacheTtl: { ...DEFAULT_CACHE_TTL, ...provider.cacheTtl, ...config.cache.ttlOverrides[provider.name] }
+  });
+}
+
+const getProvider = name => providers.get(String(name).toLowerCase()) || null;
+
+const listProviders = () => Array.from(providers.values());
+
+// Resolves a platform filter ("github,reddit" or an array) to providers; all of them when empty.
+// An API key's allowed_platforms narrows the default and rejects anything outside it.
+function selectProviders(platforms) {
+  if (!platforms || platforms.length === 0) {
+    return listProviders().filter(provider => isPlatformAllowed(provider.name));
+  }
+
+  const requested = (Array.isArray(platforms) ? platforms : String(platforms).split(','))
+    .map(name => String(name).trim().toLowerCase())
+    .filter(Boolean);
+  const unknownPlatforms = requested.filter(name => !getProvider(name));
+  if (unknownPlatforms.length > 0) {
+    throw new ValidationError(`Unknown platform(s): ${unknownPlatforms.join(', ')}`, {
+      available: listProviders().map(provider => provider.name)
+    });
+  }
+  const forbidden = requested.filter(name => !isPlatformAllowed(name));
+  if (forbidden.length > 0) {
+    throw new AccessError(403, `Platform(s) not allowed for this API key: ${forbidden.join(', ')}`);
+  }
+  return Array.from(new Set(requested)).map(getProvider);
+}
+
+// The canonical handle for user input ('@Jack ' -> 'Jack'); throws a ValidationError naming the broken rule
+function normalizeHandle(provider, input) {
+  const { handle, problem } = checkHandle(provider.handle, provider.label, input);
+  if (problem) {
+    const { message, ...details } = problem;
+    throw new ValidationError(message, { platform: provider.name, ...details });
+  }
+  const custom = provider.validate(handle);
+  if (custom) {
+    throw new ValidationError(custom, { platform: provider.name, rule: 'custom', input });
+  }
+  return handle;
+}
+
+// Rejects with a timeout error if the promise takes longer than `ms`
+const withTimeout = (promise, ms) => {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Timed out after ${ms}ms`);
+      error.code = 'ETIMEDOUT';
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+const sourceOf = (provider, parsed) => (typeof provider.source === 'function'
+  ? provider.source(parsed)
+  : provider.source);
+
+const scoreFound = (provider, parsed) => (typeof provider.confidence.found === 'function'
+  ? provider.confidence.found(parsed)
+  : provider.confidence.found);
+
+// One limiter per provider shared by all bulk callers, so parallel jobs don't multiply upstream load
+const limiters = new Map();
+function throttled(provider, task) {
+  if (!limiters.has(provider.name)) {
+    limiters.set(provider.name, createLimiter(provider.throttle));
+  }
+  return limiters.get(provider.name)(task);
+}
+
+// Seconds to keep a result: positive/negative TTLs per provider, unknown results are not stored
+const ttlFor = provider => result => {
+  if (result.status === STATUS.FOUND) {
+    return provider.cacheTtl.positive;
+  }
+  if (result.status === STATUS.NOT_FOUND) {
+    return provider.cacheTtl.negative;
+  }
+  return 0;
+};
+
+// Feeds /metrics and /healthz; every upstream resolution is recorded, whatever the caller does with it
+function observe(provider, outcome, reason, started) {
+  const seconds = Number(process.hrtime.bigint() - started) / 1e9;
+  observeLookup(provider.name, outcome, reason, seconds);
+  recordOutcome(provider.name, outcome, reason);
+}
+
+// One upstream resolution, timed and recorded
+async function resolve(provider, username, timeout) {
+  const started = process.hrtime.bigint();
+  const result = await attempt(provider, username, timeout).catch(error => {
+    observe(provider, 'error', REASONS.INTERNAL_ERROR, started);
+    throw error;
+  });
+  observe(provider, outcomeOf(result), result.reason || null, started);
+  return result;
+}
+
+// fetch -> parse -> normalize, mapped to a tri-state result
+async function attempt(provider, username, timeout) {
+  try {
+    const raw = await withTimeout(
+      withLookupContext(provider.name, username, () => Promise.resolve(provider.fetch(username))),
+      timeout
+    );
+    const parsed = raw === null ? null : provider.parse(raw, username);
+    if (!parsed) {
+      return notFound(provider.confidence.notFound);
+    }
+    const profile = createProfile(provider.name, {
+      url: provider.profileUrl(username),
+      ...provider.normalize(parsed, username)
+    }, sourceOf(provider, parsed));
+    recordSnapshot(provider, username, profile);
+    return found(profile, scoreFound(provider, parsed));
+  } catch (error) {
+    // A replay miss means the fixtures are incomplete, which must not pass for an upstream failure
+    if (error instanceof FixtureMissingError) {
+      throw error;
+    }
+
+    const reason = classifyError(error);
+    if (reason === REASONS.INTERNAL_ERROR) {
+      logger.error('Provider error', { platform: provider.name, username, error });
+    } else {
+      logger.warn('Provider lookup unresolved', { platform: provider.name, username, reason, error: error.message });
+    }
+    return unknown(reason, error.message, error.details);
+  }
+}
+
+const cacheKey = (provider, handle) => `${provider.name}:${handleKey(provider.handle, handle)}`;
+
+// Validates the handle and resolves it through the response cache.
+// `fresh` skips the cached copy (the new result is still stored).
+async function lookup(provider, username, { demo = false, fresh = false, timeout = provider.timeout } = {}) {
+  if (!isPlatformAllowed(provider.name)) {
+    throw new AccessError(403, `Platform not allowed for this API key: ${provider.name}`);
+  }
+  recordLookup(provider.name);
+
+  const handle = normalizeHandle(provider, username);
+
+  const { value, cache } = await responseCache.wrap(
+    cacheKey(provider, handle),
+    () => resolve(provider, handle, timeout),
+    { ttl: ttlFor(provider), fresh }
+  );
+
+  observeCache(provider.name, cache.state);
+  const result = { ...value, cache };
+  if (result.status === STATUS.UNKNOWN && demo && provider.demo) {
+    const { exists, profile } = provider.demo(handle);
+    return {
+      ...result,
+      exists,
+      profile: profile ? createProfile(provider.name, profile, SOURCES.DEMO) : null,
+      simulated: true
+    };
+  }
+  return result;
+}
+
+// Forgets every cached result of a provider, e.g. after an admin edited the data behind them.
+// Handles are cached as typed, so there is no way to tell which spellings a change affects.
+async function evictCached(provider) {
+  await responseCache.evictNamespace(provider.name);
+}
+
+fs.readdirSync(__dirname)
+  .filter(file => file.endsWith('.js') && file !== 'index.js')
+  .sort()
+  .forEach(file => register(require(path.join(__dirname, file))));
+
+module.exports = {
+  register,
+  getProvider,
+  listProviders,
+  selectProviders,
+  normalizeHandle,
+  lookup,
+  evictCached,
+  throttled
+};
@@ -0,0 +1,100 @@
+// providers/instagram.js - Instagram profile checking via page meta tags
+const cheerio = require('cheerio');
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+const { parseCount } = require('../lib/counts');
+
+// "1,234 Followers", "12.3M Followers", "1.234 Follower" ...
+const countBefore = (text, label) => {
+  const match = text.match(new RegExp(`(\\d[\\d.,\\s]*[KMB]?)\\s+${label}`, 'i'));
+  return match ? parseCount(match[1]) : null;
+};
+
+module.exports = {
+  name: 'instagram',
+  label: 'Instagram',
+  description: 'Instagram profile scraped from the public profile page meta tags',
+  timeout: 10000,
+  confidence: { found: 0.85, notFound: 0.9 },
+  cacheTtl: { positive: 3600, negative: 900 },
+  source: SOURCES.SCRAPED,
+
+  profileUrl: username => `https://www.instagram.com${urlPath`/${username}/`}`,
+
+  handle: {
+    min: 1,
+    max: 30,
+    pattern: /^(?!\.)(?!.*\.\.)[A-Za-z0-9._]+(?<!\.)$/,
+    allowed: 'letters, digits, underscores and periods (no leading, trailing or double periods)',
+    prefixes: ['@'],
+    reserved: ['about', 'accounts', 'developer', 'direct', 'explore', 'legal', 'p', 'reel', 'reels', 'stories']
+  },
+
+  async fetch(username) {
+    try {
+      const response = await http.get(`${config.upstreams.instagram}${urlPath`/${username}/`}`);
+      return response.data;
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  parse(html, username) {
+    // If we reach here, the profile exists
+    const $ = cheerio.load(html);
+
+    // Try to extract data from meta tags
+    const metaDescription = $('meta[name="description"]').attr('content') || '';
+
+    // Without the meta description we are most likely looking at the login wall
+    if (!metaDescription) {
+      const loginWall = $('form#loginForm').length > 0 || /accounts\/login/.test(html);
+      throw new UnknownResultError(
+        loginWall ? REASONS.BLOCKED : REASONS.MARKUP_CHANGED,
+        loginWall ? 'Instagram served a login wall' : 'Instagram profile meta description not found'
+      );
+    }
+
+    // Get profile name, e.g. "... See Instagram photos and videos from Name (@handle)"
+    const nameMatch = metaDescription.match(/from (.+?) \(@/) ||
+      ($('meta[property="og:title"]').attr('content') || '').match(/^(.+?) \(@/);
+
+    return {
+      name: nameMatch ? nameMatch[1].trim() : null,
+      avatarUrl: $('meta[property="og:image"]').attr('content') || null,
+      followers: countBefore(metaDescription, 'Followers?'),
+      following: countBefore(metaDescription, 'Following'),
+      posts: countBefore(metaDescription, 'Posts?'),
+      metaDescription
+    };
+  },
+
+  normalize: (parsed, username) => ({
+    username,
+    name: parsed.name,
+    avatar_url: parsed.avatarUrl,
+    followers: parsed.followers,
+    following: parsed.following,
+    posts: parsed.posts,
+    meta_description: parsed.metaDescription
+  }),
+
+  // Demo mode only: an intelligent guess
+  demo(username) {
+    const popularUsernames = ['cristiano', 'leomessi', 'beyonce', 'kimkardashian', 'arianagrande', 'nike', 'natgeo'];
+    const exists = popularUsernames.includes(username.toLowerCase()) || username.length >= 4;
+
+    return {
+      exists,
+      profile: exists ? {
+        username,
+        followers: Math.floor(Math.random() * 10000)
+      } : null
+    };
+  }
+};
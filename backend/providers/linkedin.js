@@ -0,0 +1,62 @@
+// providers/linkedin.js - LinkedIn username existence check
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { SOURCES } = require('../lib/profile');
+
+const profileUrl = username => `https://www.linkedin.com${urlPath`/in/${username}/`}`;
+
+module.exports = {
+  name: 'linkedin',
+  label: 'LinkedIn',
+  description: 'LinkedIn public profile existence check (no profile data)',
+  timeout: 8000,
+  // LinkedIn often answers 200 with an auth wall, so a hit is weaker evidence than elsewhere
+  confidence: { found: 0.7, notFound: 0.9 },
+  cacheTtl: { positive: 86400, negative: 3600 },
+  source: SOURCES.SCRAPED,
+
+  profileUrl,
+
+  handle: {
+    min: 3,
+    max: 100,
+    pattern: /^[A-Za-z0-9-]+$/,
+    allowed: 'letters, digits and hyphens',
+    prefixes: ['/in/', 'in/']
+  },
+
+  async fetch(username) {
+    try {
+      const response = await http.head(`${config.upstreams.linkedin}${urlPath`/in/${username}/`}`);
+      return response.headers;
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  // If we get here, the profile exists
+  // LinkedIn is very strict about scraping, so we'll just return basic info
+  normalize: (headers, username) => ({
+    username,
+    url: profileUrl(username)
+  }),
+
+  // Demo mode only: an educated guess
+  demo(username) {
+    const commonNames = ['john', 'david', 'michael', 'sarah', 'robert', 'jessica', 'peter', 'susan'];
+    const likelyExists = commonNames.includes(username.toLowerCase()) ||
+                         (username.length > 3 && !username.includes('test') && !username.includes('123'));
+
+    return {
+      exists: likelyExists,
+      profile: likelyExists ? {
+        username,
+        url: profileUrl(username),
+        estimated_connections: Math.floor(Math.random() * 500) + 200
+      } : null
+    };
+  }
+};
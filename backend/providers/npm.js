@@ -0,0 +1,88 @@
+// providers/npm.js - npm maintainers: registry user document, maintained packages and weekly downloads
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+
+// Packages whose download counts are fetched; package_count still covers all of them
+const PACKAGES_LIMIT = 20;
+const RECENT_LIMIT = 5;
+
+// Scoped names keep their slash: /downloads/point/last-week/@scope/name
+const packagePath = name => name.split('/').map(encodeURIComponent).join('/');
+
+// Download counts are a nice-to-have; a missing one does not fail the lookup
+async function weeklyDownloads(name) {
+  try {
+    const { data } = await http.get(`${config.upstreams.npmApi}/downloads/point/last-week/${packagePath(name)}`);
+    return typeof data.downloads === 'number' ? data.downloads : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  name: 'npm',
+  label: 'npm',
+  description: 'npm maintainer and their packages with weekly downloads (registry and downloads API)',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 3600, negative: 900 },
+
+  profileUrl: username => `https://www.npmjs.com${urlPath`/~${username}`}`,
+
+  handle: {
+    min: 1,
+    max: 214,
+    pattern: /^[a-z0-9][a-z0-9._-]*$/i,
+    allowed: 'letters, digits, periods, underscores and hyphens',
+    prefixes: ['~', 'https://www.npmjs.com/~', 'www.npmjs.com/~', 'npmjs.com/~']
+  },
+
+  async fetch(username) {
+    let user;
+    try {
+      const response = await http.get(`${config.upstreams.npmRegistry}${urlPath`/-/user/org.couchdb.user:${username}`}`);
+      user = response.data;
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+
+    const { data: search } = await http.get(`${config.upstreams.npmRegistry}/-/v1/search`, {
+      params: { text: `maintainer:${user.name || username}`, size: PACKAGES_LIMIT }
+    });
+    const packages = await Promise.all((search.objects || []).map(async ({ package: pkg }) => ({
+      ...pkg,
+      weeklyDownloads: await weeklyDownloads(pkg.name)
+    })));
+    return { user, packages, total: search.total };
+  },
+
+  normalize: ({ user, packages, total }) => ({
+    username: user.name,
+    name: user.fullname || null,
+    url: `https://www.npmjs.com${urlPath`/~${user.name}`}`,
+    posts: total,
+    package_count: total,
+    // Summed over the packages listed here (at most PACKAGES_LIMIT of them)
+    total_weekly_downloads: packages.reduce((sum, pkg) => sum + (pkg.weeklyDownloads || 0), 0),
+    top_packages: packages
+      .slice()
+      .sort((a, b) => (b.weeklyDownloads || 0) - (a.weeklyDownloads || 0))
+      .slice(0, RECENT_LIMIT)
+      .map(pkg => pkg.name),
+    recent_packages: packages
+      .slice()
+      .sort((a, b) => String(b.date).localeCompare(String(a.date)))
+      .slice(0, RECENT_LIMIT)
+      .map(pkg => ({
+        name: pkg.name,
+        description: pkg.description || null,
+        url: pkg.links && pkg.links.npm ? pkg.links.npm : `https://www.npmjs.com/package/${pkg.name}`,
+        version: pkg.version,
+        published_at: pkg.date || null,
+        weekly_downloads: pkg.weeklyDownloads
+      }))
+  })
+};
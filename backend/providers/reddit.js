@@ -0,0 +1,70 @@
+// providers/reddit.js - Reddit profile check via the public about.json endpoint
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+
+module.exports = {
+  name: 'reddit',
+  label: 'Reddit',
+  description: 'Reddit user karma and account details (public JSON API)',
+  timeout: 8000,
+  confidence: { found: 1, notFound: 0.95 },
+  cacheTtl: { positive: 1800, negative: 600 },
+
+  profileUrl: username => `https://www.reddit.com${urlPath`/user/${username}`}`,
+
+  handle: {
+    min: 3,
+    max: 20,
+    pattern: /^[A-Za-z0-9_-]+$/,
+    allowed: 'letters, digits, underscores and hyphens',
+    prefixes: ['/u/', 'u/', '/user/', 'user/']
+  },
+
+  async fetch(username) {
+    try {
+      const response = await http.get(`${config.upstreams.reddit}${urlPath`/user/${username}/about.json`}`);
+      return response.data;
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  parse: body => (body && body.data ? body.data : null),
+
+  normalize: userData => {
+    const subreddit = userData.subreddit || {};
+    return {
+      username: userData.name,
+      name: subreddit.title,
+      bio: subreddit.public_description,
+      // Reddit HTML-escapes the query string of avatar URLs
+      avatar_url: (userData.icon_img || userData.snoovatar_img || '').replace(/&amp;/g, '&'),
+      url: `https://www.reddit.com/user/${userData.name}`,
+      created_at: new Date(userData.created_utc * 1000),
+      verified: userData.verified,
+      followers: subreddit.subscribers,
+      karma: userData.total_karma || (userData.link_karma + userData.comment_karma),
+      link_karma: userData.link_karma,
+      comment_karma: userData.comment_karma,
+      is_gold: userData.is_gold
+    };
+  },
+
+  // Demo mode only: an educated guess
+  demo(username) {
+    const popularUsernames = ['spez', 'gallowboob', 'tooshiftyforyou', 'commonmisspellingbot'];
+    const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
+
+    return {
+      exists,
+      profile: exists ? {
+        username,
+        karma: Math.floor(Math.random() * 50000) + 100,
+        created_at: new Date(Date.now() - Math.floor(Math.random() * 5 * 365 * 24 * 60 * 60 * 1000)).toISOString()
+      } : null
+    };
+  }
+};
@@ -0,0 +1,242 @@
+// providers/spotify.js - Spotify artist check
+// Via de Web API als er credentials zijn, anders uit de samengestelde catalogus
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+const { urlPath } = require('../lib/http');
+const catalog = require('../lib/spotifyCatalog');
+const spotifyApi = require('../lib/spotifyApi');
+
+const spotifyUrl = (id, profile) => `https://open.spotify.com/${profile.type === 'account' ? 'user' : 'artist'}${urlPath`/${id}`}`;
+
+function findSpotifyProfile(username) {
+  // Alleen exacte ids en aliassen uit de catalogus tellen als treffer
+  const match = catalog.resolve(username);
+  if (match) {
+    return {
+      exists: true,
+      profile: {
+        username: match.id,
+        ...match.profile,
+        external_url: spotifyUrl(match.id, match.profile)
+      }
+    };
+  }
+
+  // Geen stille vervanging: bijna-treffers gaan als suggesties mee in het unknown resultaat
+  const suggestions = catalog.search(username);
+  throw new UnknownResultError(
+    REASONS.NO_DATA_SOURCE,
+    `'${username}' is not in the Spotify catalog`,
+    suggestions.length > 0 ? { suggestions } : null
+  );
+}
+
+// Demo mode only: genereer een plausibel profiel voor onbekende namen
+function generateSpotifyProfile(username) {
+  const normalizedUsername = username.toLowerCase().replace(/\s+/g, '');
+
+  // Voor andere gebruikersnamen, maak een intelligente gok
+  const likely_artist = username.length > 3 && !username.match(/\d{3,}/);
+
+  if (likely_artist) {
+    // Format name met goede hoofdletters
+    const formattedName = username
+      .split(/[-_\s]/)
+      .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+      .join(' ');
+
+    // Genereer random minder bekende genres
+    const genres = [
+      ['indie', 'alternative', 'rock', 'indie rock', 'alternative rock'],
+      ['hip hop', 'rap', 'trap', 'conscious hip hop', 'underground hip hop'],
+      ['edm', 'electronic', 'dance', 'house', 'techno'],
+      ['pop', 'synth pop', 'dance pop', 'electropop', 'art pop'],
+      ['r&b', 'soul', 'neo soul', 'contemporary r&b', 'urban contemporary']
+    ];
+
+    const randomGenreSet = genres[Math.floor(Math.random() * genres.length)];
+    const selectedGenres = [];
+    for (let i = 0; i < Math.floor(Math.random() * 3) + 2; i++) {
+      const randomGenre = randomGenreSet[Math.floor(Math.random() * randomGenreSet.length)];
+      if (!selectedGenres.includes(randomGenre)) {
+        selectedGenres.push(randomGenre);
+      }
+    }
+
+    // Genereer albumtitels
+    const generateAlbumTitle = (artistName) => {
+      const albumTitleFormats = [
+        artistName.split(' ')[0], // Gebruik voornaam
+        `The ${artistName} Experience`,
+        `${artistName} ${Math.floor(Math.random() * 2) + 1}`, // Artiest 1, Artiest 2
+        ['Euphoria', 'Dreamer', 'Midnight', 'Sunrise', 'Horizon', 'Nostalgia', 'Revolution', 'Journey', 'Freedom', 'Utopia'][Math.floor(Math.random() * 10)],
+        `${formattedName}'s World`
+      ];
+
+      return albumTitleFormats[Math.floor(Math.random() * albumTitleFormats.length)];
+    };
+
+    // Genereer songtitels
+    const generateSongTitle = (artistName) => {
+      const songTitleFormats = [
+        ['Love', 'Hate', 'Dream', 'Hope', 'Faith', 'Paradise', 'Heaven', 'Hell', 'Life', 'Time'][Math.floor(Math.random() * 10)],
+        `${artistName}'s Interlude`,
+        `In My ${['Mind', 'Heart', 'Soul', 'Dream', 'World'][Math.floor(Math.random() * 5)]}`,
+        `${['Beautiful', 'Crazy', 'Amazing', 'Perfect', 'Broken'][Math.floor(Math.random() * 5)]} ${['Day', 'Night', 'Love', 'World', 'Girl', 'Boy'][Math.floor(Math.random() * 6)]}`,
+        `The ${['Way', 'Path', 'Journey', 'Story', 'Legend'][Math.floor(Math.random() * 5)]}`
+      ];
+
+      return songTitleFormats[Math.floor(Math.random() * songTitleFormats.length)];
+    };
+
+    // Genereer albums
+    const albums = [];
+    for (let i = 0; i < Math.floor(Math.random() * 2) + 2; i++) {
+      const albumYear = 2023 - i;
+      const randomMonth = Math.floor(Math.random() * 12) + 1;
+      const randomDay = Math.floor(Math.random() * 28) + 1;
+
+      albums.push({
+        name: generateAlbumTitle(formattedName),
+        release_date: `${albumYear}-${randomMonth.toString().padStart(2, '0')}-${randomDay.toString().padStart(2, '0')}`,
+        total_tracks: Math.floor(Math.random() * 8) + 6,
+        image_url: [
+          'https://i.scdn.co/image/ab67616d0000b273b11bdc91cb9ac98b16ea29b1',
+          'https://i.scdn.co/image/ab67616d0000b273cb4ec52c48a6b071ed2ab6bc',
+          'https://i.scdn.co/image/ab67616d0000b2737358a760596f0c9aee3a1cc6',
+          'https://i.scdn.co/image/ab67616d0000b273e0c86ff886d8101f24dc223b',
+          'https://i.scdn.co/image/ab67616d0000b273afb855e6eba49a012b37c60a'
+        ][Math.floor(Math.random() * 5)]
+      });
+    }
+
+    // Genereer toptracks
+    const topTracks = [];
+    for (let i = 0; i < 5; i++) {
+      const randomAlbum = albums[Math.floor(Math.random() * albums.length)];
+      topTracks.push({
+        name: generateSongTitle(formattedName),
+        popularity: Math.floor(Math.random() * 30) + 50,
+        album: randomAlbum.name,
+        release_date: randomAlbum.release_date,
+        duration_ms: Math.floor(Math.random() * 100000) + 150000
+      });
+    }
+
+    // Genereer plausibele artistdata
+    return {
+      exists: true,
+      profile: {
+        username: normalizedUsername,
+        name: formattedName,
+        followers: Math.floor(Math.random() * 50000) + 100,
+        popularity: Math.floor(Math.random() * 80) + 20,
+        monthly_listeners: Math.floor(Math.random() * 80000) + 1000,
+        avatar_url: [
+          'https://i.scdn.co/image/ab6761610000e5eb6a0633b2b741fd857558e409',
+          'https://i.scdn.co/image/ab6761610000e5eb8c7f275dd8dae2d1676c7b49',
+          'https://i.scdn.co/image/ab6761610000e5ebeac917b9a5db711acb84862a',
+          'https://i.scdn.co/image/ab6761610000e5ebc7db57b1c848a1532767c696',
+          'https://i.scdn.co/image/ab6761610000e5ebf3ca460461fae39243a15316'
+        ][Math.floor(Math.random() * 5)],
+        type: 'artist',
+        genres: selectedGenres,
+        top_tracks: topTracks,
+        albums: albums,
+        url: `https://open.spotify.com${urlPath`/artist/${normalizedUsername}`}`
+      }
+    };
+  } else {
+    // Als het waarschijnlijk een gebruiker in plaats van een artiest is
+    const isLikelyUser = username.length >= 3 && !username.includes(' ');
+
+    if (isLikelyUser) {
+      // Format name met goede hoofdletters
+      const formattedName = username
+        .split(/[-_]/)
+        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
+        .join(' ');
+
+      // Genereer playlists voor gebruikers
+      const generatePlaylistName = () => {
+        const playlistPrefixes = ['My', 'Favorite', 'Best', 'Ultimate', 'Top', 'Essential'];
+        const playlistTypes = ['Vibes', 'Mix', 'Collection', 'Playlist', 'Selections', 'Hits'];
+        const playlistGenres = ['Rock', 'Pop', 'Hip Hop', 'R&B', 'Electronic', 'Indie', 'Chill', 'Party', 'Workout', 'Focus'];
+
+        const useGenre = Math.random() > 0.5;
+        if (useGenre) {
+          return `${playlistPrefixes[Math.floor(Math.random() * playlistPrefixes.length)]} ${playlistGenres[Math.floor(Math.random() * playlistGenres.length)]}`;
+        } else {
+          return `${formattedName}'s ${playlistTypes[Math.floor(Math.random() * playlistTypes.length)]}`;
+        }
+      };
+
+      const playlists = [];
+      for (let i = 0; i < Math.floor(Math.random() * 3) + 2; i++) {
+        playlists.push({
+          name: generatePlaylistName(),
+          followers: Math.floor(Math.random() * 1000) + 10,
+          total_tracks: Math.floor(Math.random() * 50) + 20,
+          image_url: [
+            'https://mosaic.scdn.co/640/ab67616d0000b2733d92b2ad5af9fbc8637425f0ab67616d0000b27365a6fc854a3d3dd8561b3d6aab67616d0000b273b11078ee23dcd99e19a22136ab67616d0000b273f46de17106c4094169e8f278',
+            'https://mosaic.scdn.co/640/ab67616d0000b273337c5cd881484f68c460b92cab67616d0000b273b29fe3874f65bb79ea52b19dab67616d0000b273d0ada88c5f051976c6dbafdab67616d0000b273dd7106adf7ec3cb52c87cabf',
+            'https://mosaic.scdn.co/640/ab67616d0000b2736b44ad73d4e6c6e553dac3ebab67616d0000b273a48dd70027ffc3fc2e29e0cfab67616d0000b273ce8f4e0a06bbfc4f425917adab67616d0000b273e3119a3e3e0ca37bb180c0a0',
+            'https://i.scdn.co/image/ab67706c0000da84df9f7092c2fbdefa3b502142',
+            'https://i.scdn.co/image/ab67706c0000da84507e4f2a8c4af45e4b556d09'
+          ][Math.floor(Math.random() * 5)]
+        });
+      }
+
+      return {
+        exists: true,
+        profile: {
+          username: normalizedUsername,
+          name: formattedName,
+          followers: Math.floor(Math.random() * 5000) + 10,
+          type: 'user',
+          playlists: playlists,
+          url: `https://open.spotify.com${urlPath`/user/${normalizedUsername}`}`
+        }
+      };
+    } else {
+      // Als het niet waarschijnlijk een artiest of gebruiker is
+      return { exists: false };
+    }
+  }
+}
+
+module.exports = {
+  name: 'spotify',
+  label: 'Spotify',
+  description: 'Spotify artists and accounts (Web API when configured, curated catalog otherwise)',
+  timeout: 5000,
+
+  profileUrl: username => `https://open.spotify.com${urlPath`/user/${username}`}`,
+
+  // Artist names are free text ("AC/DC", "Florence + The Machine"); they only ever reach
+  // upstream encoded, as a query parameter or a single path segment
+  handle: {
+    min: 1,
+    max: 100,
+    allowed: 'printable characters'
+  },
+
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 86400, negative: 3600 },
+  source: () => (spotifyApi.isConfigured() ? SOURCES.API : SOURCES.CATALOG),
+
+  async fetch(username) {
+    if (spotifyApi.isConfigured()) {
+      return spotifyApi.findProfile(username.trim());
+    }
+    return findSpotifyProfile(username).profile;
+  },
+
+  normalize: ({ image_url: avatarUrl, external_url: url, ...profile }) => ({
+    ...profile,
+    avatar_url: avatarUrl,
+    url
+  }),
+
+  demo: generateSpotifyProfile
+};
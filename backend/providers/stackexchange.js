@@ -0,0 +1,97 @@
+// providers/stackexchange.js - Stack Exchange users (Stack Overflow by default) via API 2.3
+//
+// Stack Exchange display names are not unique, so the handle is the numeric user id from the
+// profile URL (stackoverflow.com/users/22656/jon-skeet); a trailing slug is ignored.
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { htmlToText } = require('../lib/html');
+const { REASONS, UnknownResultError } = require('../lib/results');
+
+const userId = handle => handle.split('/')[0];
+
+const epoch = seconds => (typeof seconds === 'number' ? new Date(seconds * 1000).toISOString() : null);
+
+// Every call names the site; the key only raises the quota
+async function api(path, params = {}) {
+  try {
+    const { data } = await http.get(`${config.upstreams.stackexchange}/2.3${path}`, {
+      params: {
+        site: config.stackexchange.site,
+        ...(config.stackexchange.key ? { key: config.stackexchange.key } : {}),
+        ...params
+      }
+    });
+    return data;
+  } catch (error) {
+    // Throttling is reported as a 400 with error_name, not as a 429
+    const body = error.response && error.response.data;
+    if (isStatus(error, 400) && body && body.error_name === 'throttle_violation') {
+      throw new UnknownResultError(REASONS.RATE_LIMITED, `Stack Exchange throttled the request: ${body.error_message}`);
+    }
+    throw error;
+  }
+}
+
+module.exports = {
+  name: 'stackexchange',
+  label: 'Stack Exchange',
+  description: 'Stack Exchange user (Stack Overflow by default) with reputation, badges, top tags and recent posts',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 1 },
+  cacheTtl: { positive: 3600, negative: 900 },
+
+  profileUrl: handle => `https://${config.stackexchange.site}.com${urlPath`/users/${userId(handle)}`}`,
+
+  status: () => ({ site: config.stackexchange.site, api_key: Boolean(config.stackexchange.key) }),
+
+  handle: {
+    min: 1,
+    max: 120,
+    pattern: /^\d{1,10}(?:\/[A-Za-z0-9-]*)?$/,
+    allowed: 'a numeric user id, optionally followed by the profile slug (22656/jon-skeet)',
+    prefixes: ['https://stackoverflow.com/users/', 'stackoverflow.com/users/']
+  },
+
+  async fetch(handle) {
+    const id = userId(handle);
+    const { items } = await api(urlPath`/users/${id}`);
+    if (!Array.isArray(items) || items.length === 0) {
+      return null;
+    }
+
+    const [tags, posts] = await Promise.all([
+      api(urlPath`/users/${id}/top-tags`, { pagesize: 5 }),
+      api(urlPath`/users/${id}/posts`, { sort: 'creation', order: 'desc', pagesize: 5 })
+    ]);
+    return { user: items[0], tags: tags.items || [], posts: posts.items || [] };
+  },
+
+  normalize: ({ user, tags, posts }) => ({
+    username: String(user.user_id),
+    // Display names come HTML-escaped
+    name: htmlToText(user.display_name),
+    bio: htmlToText(user.about_me),
+    avatar_url: user.profile_image,
+    url: user.link,
+    location: htmlToText(user.location),
+    created_at: epoch(user.creation_date),
+    site: config.stackexchange.site,
+    reputation: user.reputation,
+    badges: user.badge_counts || null,
+    website: user.website_url || null,
+    last_access_at: epoch(user.last_access_date),
+    top_tags: tags.map(tag => ({
+      name: tag.tag_name,
+      answers: tag.answer_count,
+      answer_score: tag.answer_score,
+      questions: tag.question_count
+    })),
+    recent_posts: posts.map(post => ({
+      type: post.post_type,
+      title: htmlToText(post.title),
+      url: post.link,
+      score: post.score,
+      created_at: epoch(post.creation_date)
+    }))
+  })
+};
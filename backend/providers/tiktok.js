@@ -0,0 +1,100 @@
+// providers/tiktok.js - TikTok profile check and scraping
+const cheerio = require('cheerio');
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+const { parseCount } = require('../lib/counts');
+
+module.exports = {
+  name: 'tiktok',
+  label: 'TikTok',
+  description: 'TikTok profile scraped from the public profile page meta tags',
+  timeout: 10000,
+  // A page without the handle in og:title is only weak evidence of absence
+  confidence: { found: 0.85, notFound: 0.6 },
+  cacheTtl: { positive: 1800, negative: 600 },
+  source: SOURCES.SCRAPED,
+
+  profileUrl: username => `https://www.tiktok.com${urlPath`/@${username}`}`,
+
+  handle: {
+    min: 2,
+    max: 24,
+    pattern: /^[A-Za-z0-9._]+(?<!\.)$/,
+    allowed: 'letters, digits, underscores and periods (not ending in a period)',
+    prefixes: ['@']
+  },
+
+  async fetch(username) {
+    try {
+      const response = await http.get(`${config.upstreams.tiktok}${urlPath`/@${username}`}`);
+      return response.data;
+    } catch (error) {
+      if (isStatus(error, 404)) {
+        return null;
+      }
+      throw error;
+    }
+  },
+
+  parse(html, username) {
+    const $ = cheerio.load(html);
+
+    // TikTok is complex to scrape due to its dynamic content loading
+    // We'll look for meta tags and other indicators
+
+    const metaTitle = $('meta[property="og:title"]').attr('content') || '';
+    const metaDescription = $('meta[property="og:description"]').attr('content') || '';
+
+    if (!metaTitle) {
+      throw new UnknownResultError(REASONS.MARKUP_CHANGED, 'TikTok og:title meta tag not found');
+    }
+
+    // TikTok handles are case-insensitive; og:title carries the account's own casing
+    const mention = new RegExp(`@${username.replace(/\./g, '\\.')}(?![A-Za-z0-9._])`, 'i');
+    if (!mention.test(metaTitle)) {
+      return null;
+    }
+
+    // Profile likely exists
+    const followersMatch = metaDescription.match(/(\d[\d.,]*\s*[KMB]?)\s+Followers/i);
+    const followingMatch = metaDescription.match(/(\d[\d.,]*\s*[KMB]?)\s+Following/i);
+    const likesMatch = metaDescription.match(/(\d[\d.,]*\s*[KMB]?)\s+Likes/i);
+
+    return {
+      // og:title looks like "Name (@handle) | TikTok"
+      name: metaTitle.replace(mention, '').replace(/\|\s*TikTok.*$/i, '').replace(/[()]/g, '').trim(),
+      avatarUrl: $('meta[property="og:image"]').attr('content') || null,
+      followers: followersMatch ? parseCount(followersMatch[1]) : null,
+      following: followingMatch ? parseCount(followingMatch[1]) : null,
+      likes: likesMatch ? parseCount(likesMatch[1]) : null,
+      metaDescription
+    };
+  },
+
+  normalize: (parsed, username) => ({
+    username,
+    name: parsed.name,
+    avatar_url: parsed.avatarUrl,
+    followers: parsed.followers,
+    following: parsed.following,
+    likes: parsed.likes,
+    meta_description: parsed.metaDescription
+  }),
+
+  // Demo mode only: an educated guess
+  demo(username) {
+    const popularUsernames = ['charlidamelio', 'addisonre', 'khaby.lame', 'bellapoarch', 'zachking'];
+    const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
+
+    return {
+      exists,
+      profile: exists ? {
+        username,
+        followers: Math.floor(Math.random() * 1000000) + 1000,
+        likes: Math.floor(Math.random() * 10000000) + 10000
+      } : null
+    };
+  }
+};
@@ -0,0 +1,97 @@
+// providers/twitch.js - Twitch streamers: channel, followers, live status and recent VODs
+//
+// Helix API with an app access token (TWITCH_CLIENT_ID / TWITCH_CLIENT_SECRET). Without those
+// credentials lookups come back unknown (no_data_source). With an app token,
+// GET /channels/followers still reports the `total`; only the list of followers needs a user token.
+const config = require('../config');
+const twitchApi = require('../lib/twitchApi');
+const { urlPath } = require('../lib/http');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { parseCount } = require('../lib/counts');
+
+// Helix durations look like "3h8m33s"
+const durationSeconds = duration => {
+  const match = /^(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(duration || '');
+  if (!match || !duration) {
+    return null;
+  }
+  const [, hours = 0, minutes = 0, seconds = 0] = match;
+  return Number(hours) * 3600 + Number(minutes) * 60 + Number(seconds);
+};
+
+module.exports = {
+  name: 'twitch',
+  label: 'Twitch',
+  description: 'Twitch channel with followers, broadcaster type, live status and recent VODs (Helix API)',
+  timeout: 10000,
+  confidence: { found: 1, notFound: 0.95 },
+  cacheTtl: { positive: 900, negative: 900 },
+
+  profileUrl: username => `https://www.twitch.tv${urlPath`/${username}`}`,
+
+  handle: {
+    min: 4,
+    max: 25,
+    pattern: /^[A-Za-z0-9][A-Za-z0-9_]*$/,
+    allowed: 'letters, digits and underscores, not starting with an underscore',
+    prefixes: ['@', 'https://www.twitch.tv/', 'https://twitch.tv/', 'https://m.twitch.tv/', 'www.twitch.tv/', 'twitch.tv/'],
+    reserved: ['directory', 'downloads', 'drops', 'inventory', 'jobs', 'search', 'settings', 'subscriptions', 'turbo',
+      'videos', 'wallet']
+  },
+
+  status: () => ({ credentials: twitchApi.isConfigured() }),
+
+  async fetch(username) {
+    if (!twitchApi.isConfigured()) {
+      throw new UnknownResultError(REASONS.NO_DATA_SOURCE, 'Twitch lookups need TWITCH_CLIENT_ID and TWITCH_CLIENT_SECRET');
+    }
+
+    // Unknown, banned and deleted channels all come back as an empty list
+    const { data: users } = await twitchApi.get('/users', { login: username.toLowerCase() });
+    if (!Array.isArray(users) || users.length === 0) {
+      return null;
+    }
+    const [user] = users;
+
+    const [streams, videos, followers] = await Promise.all([
+      twitchApi.get('/streams', { user_id: user.id }),
+      twitchApi.get('/videos', { user_id: user.id, type: 'archive', first: config.twitch.recentVods }),
+      twitchApi.get('/channels/followers', { broadcaster_id: user.id })
+    ]);
+    return {
+      user,
+      stream: (streams.data || [])[0] || null,
+      videos: videos.data || [],
+      followers: followers.total
+    };
+  },
+
+  normalize: ({ user, stream, videos, followers }) => ({
+    username: user.login,
+    name: user.display_name,
+    bio: user.description,
+    avatar_url: user.profile_image_url,
+    url: `https://www.twitch.tv${urlPath`/${user.login}`}`,
+    created_at: user.created_at,
+    followers,
+    user_id: user.id,
+    // 'partner', 'affiliate' or null
+    broadcaster_type: user.broadcaster_type || null,
+    banner_url: user.offline_image_url || null,
+    // Reruns and premieres are not live
+    live: Boolean(stream && stream.type === 'live'),
+    stream: stream ? {
+      title: stream.title,
+      game: stream.game_name || null,
+      viewers: parseCount(stream.viewer_count),
+      started_at: stream.started_at
+    } : null,
+    recent_vods: videos.map(video => ({
+      title: video.title,
+      url: video.url || `https://www.twitch.tv${urlPath`/videos/${video.id}`}`,
+      published_at: video.published_at,
+      duration_seconds: durationSeconds(video.duration),
+      views: parseCount(video.view_count)
+    }))
+  })
+};
@@ -0,0 +1,148 @@
+// providers/twitter.js - Twitter profile scraping approach (since API requires auth)
+const cheerio = require('cheerio');
+const config = require('../config');
+const { http, urlPath } = require('../lib/http');
+const InstancePool = require('../lib/instancePool');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+const { parseCount } = require('../lib/counts');
+
+// Using Nitter as it's easier to scrape than Twitter; instances come and go, so we keep a pool
+const nitterPool = new InstancePool(config.nitter.instances, {
+  failureThreshold: config.nitter.failureThreshold,
+  cooldownMs: config.nitter.cooldownMs
+});
+
+const isRateLimitPage = $ => /rate limit/i.test($('.error-panel').text());
+
+module.exports = {
+  name: 'twitter',
+  label: 'Twitter',
+  description: 'Twitter/X profile scraped through a Nitter instance',
+  timeout: 10000,
+  confidence: { found: 0.9, notFound: 0.8 },
+  cacheTtl: { positive: 1800, negative: 600 },
+  source: SOURCES.SCRAPED,
+
+  profileUrl: username => `https://twitter.com${urlPath`/${username}`}`,
+
+  handle: {
+    min: 1,
+    max: 15,
+    pattern: /^[A-Za-z0-9_]+$/,
+    allowed: 'letters, digits and underscores',
+    prefixes: ['@'],
+    reserved: ['explore', 'home', 'i', 'login', 'messages', 'notifications', 'privacy', 'search', 'settings',
+      'signup', 'tos']
+  },
+
+  status: () => ({ nitter_instances: nitterPool.status() }),
+
+  // Tries instances in order of health and fails over on errors and rate-limit pages
+  async fetch(username) {
+    let lastError = null;
+
+    for (const instance of nitterPool.candidates()) {
+      const started = Date.now();
+      try {
+        // Nitter renders its "user not found" error panel with a 404
+        const response = await http.get(`${instance}${urlPath`/${username}`}`, {
+          validateStatus: status => status === 200 || status === 404
+        });
+
+        if (isRateLimitPage(cheerio.load(response.data))) {
+          throw new UnknownResultError(REASONS.RATE_LIMITED, `Nitter instance ${instance} is rate limited`);
+        }
+
+        nitterPool.reportSuccess(instance, Date.now() - started);
+        return { html: response.data, instance };
+      } catch (error) {
+        nitterPool.reportFailure(instance, error);
+        lastError = error;
+      }
+    }
+
+    throw lastError;
+  },
+
+  parse({ html, instance }) {
+    const $ = cheerio.load(html);
+
+    if ($('.error-panel').length > 0) {
+      return null;
+    }
+
+    if ($('.profile-card').length === 0) {
+      throw new UnknownResultError(REASONS.MARKUP_CHANGED, 'Nitter profile card not found in page');
+    }
+
+    // Get recent tweets
+    const recentTweets = [];
+    $('.timeline-item').each((i, el) => {
+      if (i < 5) { // Limit to 5 recent tweets
+        const tweetText = $(el).find('.tweet-content').text().trim();
+        const tweetDate = $(el).find('.tweet-date').text().trim();
+
+        if (tweetText) {
+          recentTweets.push({
+            text: tweetText.length > 100 ? tweetText.substring(0, 100) + '...' : tweetText,
+            date: tweetDate
+          });
+        }
+      }
+    });
+
+    const profileImage = $('.profile-card-avatar').attr('src');
+
+    const stat = index => parseCount($('.profile-stat-num').eq(index).text());
+
+    return {
+      tweets: stat(0),
+      following: stat(1),
+      followers: stat(2),
+      likes: stat(3),
+      verified: $('.profile-card-fullname .verified-icon').length > 0,
+      // Avatars are proxied, so they must point at the instance that served the page
+      avatarUrl: profileImage ? `${instance}${profileImage}` : null,
+      bio: $('.profile-bio').text().trim(),
+      displayName: $('.profile-card-fullname').text().trim(),
+      location: $('.profile-location').text().trim(),
+      joinDate: $('.profile-joindate').text().replace('Joined', '').trim(),
+      // The title attribute carries the full timestamp, e.g. "10:04 PM - 21 Mar 2006"
+      joinTimestamp: ($('.profile-joindate span').attr('title') || '').replace(' - ', ' '),
+      recentTweets,
+      instance
+    };
+  },
+
+  normalize: (parsed, username) => ({
+    username,
+    name: parsed.displayName,
+    bio: parsed.bio,
+    avatar_url: parsed.avatarUrl,
+    location: parsed.location,
+    created_at: parsed.joinTimestamp || parsed.joinDate,
+    verified: parsed.verified,
+    followers: parsed.followers,
+    following: parsed.following,
+    posts: parsed.tweets,
+    likes: parsed.likes,
+    joined: parsed.joinDate,
+    recent_tweets: parsed.recentTweets,
+    nitter_instance: parsed.instance
+  }),
+
+  // Demo mode only: an educated guess based on common usernames
+  demo(username) {
+    const popularUsernames = ['elonmusk', 'google', 'microsoft', 'apple', 'amazon', 'netflix', 'twitter', 'facebook', 'instagram', 'tiktok', 'billgates'];
+    const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
+
+    return {
+      exists,
+      profile: exists ? {
+        username,
+        followers: Math.floor(Math.random() * 10000)
+      } : null
+    };
+  }
+};
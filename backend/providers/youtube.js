@@ -0,0 +1,338 @@
+// providers/youtube.js - YouTube channels: @handle, /c/ and /user/ names or channel ids
+//
+// With YOUTUBE_API_KEY the Data API v3 answers; without one the channel's /videos and /about
+// pages are scraped for their embedded ytInitialData. Both paths produce the same fields.
+const config = require('../config');
+const { http, isStatus, urlPath } = require('../lib/http');
+const { REASONS, UnknownResultError } = require('../lib/results');
+const { SOURCES } = require('../lib/profile');
+const { parseCount } = require('../lib/counts');
+
+// Skips the cookie consent interstitial served to European IPs
+const CONSENT_COOKIE = 'SOCS=CAI';
+const INITIAL_DATA = /ytInitialData"?\]?\s*=\s*(\{.+?\});\s*<\/script>/s;
+
+// 'MrBeast' -> @handle, 'c/name' and 'user/name' -> legacy URLs, 'channel/UC...' -> channel id
+const parseHandle = handle => {
+  const slash = handle.indexOf('/');
+  return slash === -1
+    ? { kind: 'handle', name: handle }
+    : { kind: handle.slice(0, slash).toLowerCase(), name: handle.slice(slash + 1) };
+};
+
+const channelPath = ({ kind, name }) => (kind === 'handle' ? urlPath`/@${name}` : urlPath`/${kind}/${name}`);
+
+const channelUrl = (handle, channelId) => (handle
+  ? `https://www.youtube.com${urlPath`/@${handle}`}`
+  : `https://www.youtube.com${urlPath`/channel/${channelId}`}`);
+
+// "PT1H2M3S" (API) or "1:02:03" (pages) -> seconds
+const durationSeconds = value => {
+  if (!value) {
+    return null;
+  }
+  const iso = value.match(/^P(?:(\d+)D)?T?(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?$/);
+  if (iso) {
+    const [, days, hours, minutes, seconds] = iso.map(part => parseInt(part || '0', 10));
+    return ((days * 24 + hours) * 60 + minutes) * 60 + seconds;
+  }
+  return /^\d+(:\d{2})+$/.test(value)
+    ? value.split(':').reduce((total, part) => total * 60 + parseInt(part, 10), 0)
+    : null;
+};
+
+const largest = thumbnails => (Array.isArray(thumbnails) && thumbnails.length
+  ? thumbnails[thumbnails.length - 1].url
+  : null);
+
+// --- Data API ---
+
+async function api(resource, params) {
+  try {
+    const { data } = await http.get(`${config.youtube.apiUrl}/${resource}`, {
+      params,
+      // In a header rather than the query string, so the key stays out of logs and fixtures
+      headers: { 'X-Goog-Api-Key': config.youtube.apiKey }
+    });
+    return data;
+  } catch (error) {
+    const body = error.response && error.response.data;
+    const reason = body && body.error && body.error.errors && body.error.errors[0] && body.error.errors[0].reason;
+    if (reason === 'quotaExceeded' || reason === 'rateLimitExceeded') {
+      throw new UnknownResultError(REASONS.RATE_LIMITED, `YouTube Data API quota exhausted (${reason})`);
+    }
+    throw error;
+  }
+}
+
+// Custom /c/ URLs have no API lookup; the page names the channel id
+async function channelIdFromPage(target) {
+  const data = await initialData(channelPath(target));
+  const metadata = data && findFirst(data, 'channelMetadataRenderer');
+  return metadata ? metadata.externalId : null;
+}
+
+async function fetchFromApi(target) {
+  const query = { part: 'snippet,statistics,contentDetails,brandingSettings' };
+  if (target.kind === 'handle') {
+    query.forHandle = `@${target.name}`;
+  } else if (target.kind === 'user') {
+    query.forUsername = target.name;
+  } else {
+    query.id = target.kind === 'channel' ? target.name : await channelIdFromPage(target);
+    if (!query.id) {
+      return null;
+    }
+  }
+
+  const { items } = await api('channels', query);
+  if (!Array.isArray(items) || items.length === 0) {
+    return null;
+  }
+  const channel = items[0];
+  const uploads = channel.contentDetails && channel.contentDetails.relatedPlaylists
+    ? await apiUploads(channel.contentDetails.relatedPlaylists.uploads)
+    : [];
+  const handle = channel.snippet.customUrl && channel.snippet.customUrl.startsWith('@')
+    ? channel.snippet.customUrl.slice(1)
+    : null;
+
+  return {
+    via: SOURCES.API,
+    channelId: channel.id,
+    handle,
+    title: channel.snippet.title,
+    description: channel.snippet.description,
+    avatarUrl: channel.snippet.thumbnails ? (channel.snippet.thumbnails.high || channel.snippet.thumbnails.default || {}).url : null,
+    bannerUrl: channel.brandingSettings && channel.brandingSettings.image ? channel.brandingSettings.image.bannerExternalUrl : null,
+    createdAt: channel.snippet.publishedAt,
+    country: channel.snippet.country || null,
+    // Counts arrive as strings; hidden subscriber counts are reported as 0
+    subscribers: channel.statistics.hiddenSubscriberCount ? null : parseCount(channel.statistics.subscriberCount),
+    subscribersHidden: Boolean(channel.statistics.hiddenSubscriberCount),
+    videos: parseCount(channel.statistics.videoCount),
+    views: parseCount(channel.statistics.viewCount),
+    uploads
+  };
+}
+
+// The uploads playlist lists the newest videos first; view counts and durations need a second call
+async function apiUploads(playlistId) {
+  let items;
+  try {
+    ({ items } = await api('playlistItems', {
+      part: 'snippet,contentDetails',
+      playlistId,
+      maxResults: config.youtube.recentUploads
+    }));
+  } catch (error) {
+    // Channels without public uploads have no uploads playlist
+    if (isStatus(error, 404)) {
+      return [];
+    }
+    throw error;
+  }
+  if (!items || items.length === 0) {
+    return [];
+  }
+
+  const ids = items.map(item => item.contentDetails.videoId);
+  const { items: videos } = await api('videos', { part: 'statistics,contentDetails', id: ids.join(',') });
+  const details = new Map((videos || []).map(video => [video.id, video]));
+  return items.map(item => {
+    const video = details.get(item.contentDetails.videoId);
+    return {
+      id: item.contentDetails.videoId,
+      title: item.snippet.title,
+      publishedAt: item.contentDetails.videoPublishedAt || item.snippet.publishedAt,
+      published: null,
+      views: video ? parseCount(video.statistics.viewCount) : null,
+      duration: video ? durationSeconds(video.contentDetails.duration) : null
+    };
+  });
+}
+
+// --- Channel pages ---
+
+// ytInitialData moves renderers around between layouts, so they are looked up by key wherever they are
+function findAll(node, key, found = []) {
+  if (Array.isArray(node)) {
+    node.forEach(item => findAll(item, key, found));
+  } else if (node && typeof node === 'object') {
+    Object.entries(node).forEach(([name, value]) => {
+      if (name === key) {
+        found.push(value);
+      }
+      findAll(value, key, found);
+    });
+  }
+  return found;
+}
+
+const findFirst = (node, key) => findAll(node, key)[0] || null;
+
+// Text comes as a plain string, { simpleText }, { runs: [{ text }] } or { content } (view models)
+const text = value => {
+  if (!value) {
+    return null;
+  }
+  if (typeof value === 'string') {
+    return value;
+  }
+  if (value.simpleText !== undefined) {
+    return value.simpleText;
+  }
+  if (Array.isArray(value.runs)) {
+    return value.runs.map(run => run.text).join('');
+  }
+  return typeof value.content === 'string' ? value.content : null;
+};
+
+// Every string below `node`, for header rows like "1.2M subscribers" • "345 videos"
+const strings = node => {
+  if (typeof node === 'string') {
+    return [node];
+  }
+  if (!node || typeof node !== 'object') {
+    return [];
+  }
+  return Object.values(node).flatMap(strings);
+};
+
+const countLabelled = (texts, label) => {
+  const match = texts.find(value => new RegExp(`^\\s*[\\d.,\\s]+[KMB]?\\s+${label}\\s*$`, 'i').test(value));
+  return match ? parseCount(match) : null;
+};
+
+async function initialData(path) {
+  let html;
+  try {
+    const response = await http.get(`${config.upstreams.youtube}${path}`, {
+      params: { hl: 'en', gl: 'US' },
+      headers: { 'Accept-Language': 'en-US,en;q=0.9', Cookie: CONSENT_COOKIE }
+    });
+    html = response.data;
+  } catch (error) {
+    if (isStatus(error, 404)) {
+      return null;
+    }
+    throw error;
+  }
+
+  const match = typeof html === 'string' ? html.match(INITIAL_DATA) : null;
+  if (!match) {
+    const consent = typeof html === 'string' && html.includes('consent.youtube.com');
+    throw new UnknownResultError(
+      consent ? REASONS.BLOCKED : REASONS.MARKUP_CHANGED,
+      consent ? 'YouTube served a cookie consent page' : 'ytInitialData not found on the channel page'
+    );
+  }
+  try {
+    return JSON.parse(match[1]);
+  } catch (error) {
+    throw new UnknownResultError(REASONS.MARKUP_CHANGED, 'ytInitialData is not valid JSON');
+  }
+}
+
+async function fetchFromPages(target) {
+  const path = channelPath(target);
+  const [videosPage, aboutPage] = await Promise.all([initialData(`${path}/videos`), initialData(`${path}/about`)]);
+  if (!videosPage) {
+    return null;
+  }
+  const metadata = findFirst(videosPage, 'channelMetadataRenderer');
+  if (!metadata) {
+    // Terminated and unavailable channels render an alert instead of a channel
+    if (findFirst(videosPage, 'alertRenderer')) {
+      return null;
+    }
+    throw new UnknownResultError(REASONS.MARKUP_CHANGED, 'Channel metadata not found in ytInitialData');
+  }
+
+  // Newer pages keep the about panel in a view model, older ones in a full metadata renderer
+  const about = (aboutPage && (findFirst(aboutPage, 'aboutChannelViewModel')
+    || findFirst(aboutPage, 'channelAboutFullMetadataRenderer'))) || {};
+  const headerTexts = strings(findFirst(videosPage, 'header'));
+  const joined = text(about.joinedDateText);
+  const vanity = (metadata.vanityChannelUrl || '').match(/\/@([^/?#]+)/);
+
+  return {
+    via: SOURCES.SCRAPED,
+    channelId: metadata.externalId,
+    handle: vanity ? decodeURIComponent(vanity[1]) : null,
+    title: metadata.title,
+    description: metadata.description || text(about.description),
+    avatarUrl: metadata.avatar ? largest(metadata.avatar.thumbnails) : null,
+    bannerUrl: null,
+    createdAt: joined ? joined.replace(/^Joined\s*/i, '') : null,
+    country: text(about.country),
+    subscribers: parseCount(text(about.subscriberCountText)) || countLabelled(headerTexts, 'subscribers?'),
+    subscribersHidden: null,
+    videos: parseCount(text(about.videoCountText)) || countLabelled(headerTexts, 'videos?'),
+    views: parseCount(text(about.viewCountText)),
+    uploads: findAll(videosPage, 'videoRenderer')
+      .slice(0, config.youtube.recentUploads)
+      .map(video => ({
+        id: video.videoId,
+        title: text(video.title),
+        publishedAt: null,
+        // Relative, e.g. "3 days ago"
+        published: text(video.publishedTimeText),
+        views: parseCount(text(video.viewCountText)),
+        duration: durationSeconds(text(video.lengthText))
+      }))
+  };
+}
+
+module.exports = {
+  name: 'youtube',
+  label: 'YouTube',
+  description: 'YouTube channel with subscribers, views and recent uploads (Data API with a key, channel pages otherwise)',
+  timeout: 15000,
+  confidence: { found: parsed => (parsed.via === SOURCES.API ? 1 : 0.95), notFound: 0.9 },
+  cacheTtl: { positive: 3600, negative: 900 },
+  source: parsed => parsed.via,
+
+  profileUrl: handle => `https://www.youtube.com${channelPath(parseHandle(handle))}`,
+
+  status: () => ({ api_key: Boolean(config.youtube.apiKey) }),
+
+  handle: {
+    min: 3,
+    max: 130,
+    pattern: /^(?:(?:c|user)\/[A-Za-z0-9_.-]{1,100}|channel\/UC[A-Za-z0-9_-]{22}|[A-Za-z0-9_.-]{3,30})$/i,
+    allowed: 'an @handle, c/name, user/name or channel/UC... channel id',
+    prefixes: ['@', 'https://www.youtube.com/@', 'https://youtube.com/@', 'https://m.youtube.com/@', 'www.youtube.com/@',
+      'youtube.com/@', 'https://www.youtube.com/', 'https://youtube.com/', 'https://m.youtube.com/', 'www.youtube.com/',
+      'youtube.com/']
+  },
+
+  fetch(handle) {
+    const target = parseHandle(handle);
+    return config.youtube.apiKey ? fetchFromApi(target) : fetchFromPages(target);
+  },
+
+  normalize: (parsed, handle) => ({
+    username: parsed.handle || parseHandle(handle).name,
+    name: parsed.title,
+    bio: parsed.description,
+    avatar_url: parsed.avatarUrl,
+    url: channelUrl(parsed.handle, parsed.channelId),
+    location: parsed.country,
+    created_at: parsed.createdAt,
+    followers: parsed.subscribers,
+    posts: parsed.videos,
+    channel_id: parsed.channelId,
+    total_views: parsed.views,
+    subscribers_hidden: parsed.subscribersHidden,
+    banner_url: parsed.bannerUrl,
+    recent_uploads: parsed.uploads.map(video => ({
+      title: video.title,
+      url: `https://www.youtube.com/watch?v=${encodeURIComponent(video.id)}`,
+      published_at: video.publishedAt,
+      published: video.published,
+      views: video.views,
+      duration_seconds: video.duration
+    }))
+  })
+};
@@ -0,0 +1,185 @@
+// routes/admin.js - Token-protected administration endpoints
+const express = require('express');
+const config = require('../config');
+const apiKeys = require('../lib/apiKeys');
+const catalog = require('../lib/spotifyCatalog');
+const { evictCached, getProvider } = require('../providers');
+const { ValidationError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Bearer token check; without ADMIN_TOKEN the admin API is switched off entirely
+function requireAdmin(req, res, next) {
+  if (!config.admin.token) {
+    return res.status(503).json({ error: 'Admin API is disabled (ADMIN_TOKEN is not set)' });
+  }
+  const header = req.get('Authorization') || '';
+  if (header !== `Bearer ${config.admin.token}`) {
+    return res.status(401).json({ error: 'Invalid or missing admin token' });
+  }
+  return next();
+}
+
+router.use('/admin', requireAdmin);
+
+function validEntry(body) {
+  const errors = catalog.validateEntry(body);
+  if (errors.length > 0) {
+    throw new ValidationError('Invalid catalog entry', { details: errors });
+  }
+  return body;
+}
+
+function requireId(value, field) {
+  const id = catalog.toId(value || '');
+  if (!id) {
+    throw new ValidationError(`${field} must contain at least one letter or digit`);
+  }
+  return id;
+}
+
+// Cached Spotify lookups (found and not found alike) must not outlive a catalog edit; any
+// spelling of a name may resolve to the edited entry, so all of them are dropped
+const evictSpotify = () => evictCached(getProvider('spotify'));
+
+const notFound = (res, id) => res.status(404).json({ error: `Catalog entry '${id}' not found` });
+
+// Spotify catalog
+router.get('/admin/spotify/catalog', (req, res) => {
+  res.json({ profiles: catalog.listProfiles(), aliases: catalog.listAliases() });
+});
+
+router.post('/admin/spotify/catalog', async (req, res, next) => {
+  try {
+    const { id: rawId, ...entry } = req.body || {};
+    const id = requireId(rawId, 'id');
+    validEntry(entry);
+    if (catalog.listProfiles()[id]) {
+      return res.status(409).json({ error: `Catalog entry '${id}' already exists` });
+    }
+    if (catalog.listAliases()[id]) {
+      return res.status(409).json({ error: `'${id}' is already an alias for '${catalog.listAliases()[id]}'` });
+    }
+    const saved = await catalog.saveProfile(id, entry);
+    await evictSpotify();
+    return res.status(201).json(saved);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.get('/admin/spotify/catalog/:id', (req, res) => {
+  const id = catalog.toId(req.params.id);
+  const profile = catalog.listProfiles()[id];
+  return profile ? res.json({ id, ...profile }) : notFound(res, id);
+});
+
+// Replaces the whole entry
+router.put('/admin/spotify/catalog/:id', async (req, res, next) => {
+  try {
+    const id = requireId(req.params.id, 'id');
+    if (!catalog.listProfiles()[id]) {
+      return notFound(res, id);
+    }
+    // The id comes from the path; one in the body is ignored
+    const entry = { ...req.body };
+    delete entry.id;
+    const saved = await catalog.saveProfile(id, validEntry(entry));
+    await evictSpotify();
+    return res.json(saved);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete('/admin/spotify/catalog/:id', async (req, res, next) => {
+  try {
+    const id = catalog.toId(req.params.id);
+    if (!catalog.listProfiles()[id]) {
+      return notFound(res, id);
+    }
+    await catalog.removeProfile(id);
+    await evictSpotify();
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Alias table: PUT /admin/spotify/aliases/weeknd { "target": "theweeknd" }
+router.put('/admin/spotify/aliases/:alias', async (req, res, next) => {
+  try {
+    const alias = requireId(req.params.alias, 'alias');
+    const target = requireId((req.body || {}).target, 'target');
+    if (!catalog.listProfiles()[target]) {
+      return notFound(res, target);
+    }
+    if (catalog.listProfiles()[alias]) {
+      return res.status(409).json({ error: `'${alias}' is a catalog entry and cannot be an alias` });
+    }
+    const saved = await catalog.saveAlias(alias, target);
+    await evictSpotify();
+    return res.json(saved);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete('/admin/spotify/aliases/:alias', async (req, res, next) => {
+  try {
+    const alias = catalog.toId(req.params.alias);
+    if (!catalog.listAliases()[alias]) {
+      return res.status(404).json({ error: `Alias '${alias}' not found` });
+    }
+    await catalog.removeAlias(alias);
+    await evictSpotify();
+    return res.status(204).end();
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// API keys; the plain key is only part of the POST response
+router.get('/admin/keys', (req, res) => {
+  res.json({ keys: apiKeys.listKeys() });
+});
+
+router.post('/admin/keys', async (req, res, next) => {
+  try {
+    return res.status(201).json(await apiKeys.createKey(req.body || {}));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.get('/admin/keys/:id', (req, res) => {
+  const key = apiKeys.getKey(req.params.id);
+  return key ? res.json(key) : res.status(404).json({ error: `API key '${req.params.id}' not found` });
+});
+
+router.patch('/admin/keys/:id', async (req, res, next) => {
+  try {
+    const key = await apiKeys.updateKey(req.params.id, req.body || {});
+    return key ? res.json(key) : res.status(404).json({ error: `API key '${req.params.id}' not found` });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete('/admin/keys/:id', async (req, res, next) => {
+  try {
+    return (await apiKeys.deleteKey(req.params.id))
+      ? res.status(204).end()
+      : res.status(404).json({ error: `API key '${req.params.id}' not found` });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Request counts per key, platform and day: ?key=&platform=&from=YYYY-MM-DD&to=YYYY-MM-DD
+router.get('/admin/usage', (req, res) => {
+  const { key, platform, from, to } = req.query;
+  res.json({ usage: apiKeys.usageReport({ key, platform, from, to }) });
+});
+
+module.exports = router;
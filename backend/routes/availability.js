@@ -0,0 +1,96 @@
+// routes/availability.js - "Is this handle free everywhere, and which close variants are?"
+const express = require('express');
+const config = require('../config');
+const { selectProviders, lookup, normalizeHandle, throttled } = require('../providers');
+const { ValidationError } = require('../lib/errors');
+const { STATUS } = require('../lib/results');
+const { generateVariants } = require('../lib/variants');
+const { lookupOptions } = require('../lib/request');
+
+const router = express.Router();
+
+const AVAILABILITY = {
+  AVAILABLE: 'available',
+  TAKEN: 'taken',
+  UNKNOWN: 'unknown',
+  INVALID: 'invalid'
+};
+
+// Reuses the regular existence check; handles a platform would reject are never sent upstream
+async function checkVariant(variant, providers, options) {
+  const states = await Promise.all(providers.map(async provider => {
+    try {
+      normalizeHandle(provider, variant);
+      const result = await throttled(provider, () => lookup(provider, variant, options));
+      return {
+        [STATUS.FOUND]: AVAILABILITY.TAKEN,
+        [STATUS.NOT_FOUND]: AVAILABILITY.AVAILABLE
+      }[result.status] || AVAILABILITY.UNKNOWN;
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      return AVAILABILITY.INVALID;
+    }
+  }));
+  const matrix = Object.fromEntries(providers.map((provider, index) => [provider.name, states[index]]));
+
+  const platformsWith = state => providers.map(p => p.name).filter(name => matrix[name] === state);
+  const availableOn = platformsWith(AVAILABILITY.AVAILABLE);
+  return {
+    handle: variant,
+    free_count: availableOn.length,
+    available_on: availableOn,
+    taken_on: platformsWith(AVAILABILITY.TAKEN),
+    unknown_on: platformsWith(AVAILABILITY.UNKNOWN),
+    invalid_on: platformsWith(AVAILABILITY.INVALID),
+    matrix
+  };
+}
+
+// ?limit= defaults to the configured maximum and is capped at it; anything but a positive integer is a 400
+function variantLimit(value) {
+  const max = config.availability.maxVariants;
+  if (value === undefined) {
+    return max;
+  }
+  if (typeof value !== 'string' || !/^\d+$/.test(value) || Number(value) < 1) {
+    throw new ValidationError('limit must be a positive integer');
+  }
+  return Math.min(Number(value), max);
+}
+
+router.get('/availability/:handle', async (req, res, next) => {
+  try {
+    const providers = selectProviders(req.query.platforms);
+    const limit = variantLimit(req.query.limit);
+    const variants = generateVariants(req.params.handle, { limit });
+    if (variants.length === 0) {
+      throw new ValidationError('Handle must contain at least one letter or digit');
+    }
+
+    // Demo data would make the matrix meaningless, so only ?fresh is honoured here
+    const options = { fresh: lookupOptions(req.query).fresh };
+    const rows = await Promise.all(variants.map(variant => checkVariant(variant, providers, options)));
+
+    // Most platforms free first; fewer unknowns and shorter handles break ties
+    const ranked = rows
+      .map((row, order) => ({ row, order }))
+      .sort((a, b) => (b.row.free_count - a.row.free_count) ||
+        (a.row.unknown_on.length - b.row.unknown_on.length) ||
+        (a.row.handle.length - b.row.handle.length) ||
+        (a.order - b.order))
+      .map(({ row }, index) => ({ rank: index + 1, ...row }));
+
+    return res.json({
+      handle: req.params.handle,
+      platforms: providers.map(provider => provider.name),
+      fully_available: ranked.filter(row => row.free_count === providers.length).map(row => row.handle),
+      variants: ranked
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,140 @@
+// routes/batch.js - Batch lookup jobs with status polling and Server-Sent Events progress
+const express = require('express');
+const config = require('../config');
+const { selectProviders } = require('../providers');
+const { JOB_STATUS, createJob, getJob } = require('../lib/batch');
+const { ValidationError } = require('../lib/errors');
+const { ndjsonLine, resolveFormat, sendResults } = require('../lib/export');
+
+const router = express.Router();
+
+// Trimmed, de-duplicated handles from the request body
+function readUsernames(body) {
+  const { usernames } = body || {};
+  if (!Array.isArray(usernames) || usernames.length === 0) {
+    throw new ValidationError('Body must contain a non-empty "usernames" array');
+  }
+
+  const unique = Array.from(new Set(usernames.map(name => String(name).trim()).filter(Boolean)));
+  if (unique.length > config.batch.maxUsernames) {
+    throw new ValidationError(`A batch may contain at most ${config.batch.maxUsernames} usernames`, {
+      received: unique.length
+    });
+  }
+  return unique;
+}
+
+const findJob = (req, res) => {
+  const job = getJob(req.params.id);
+  if (!job) {
+    res.status(404).json({ error: `Batch job '${req.params.id}' not found` });
+  }
+  return job;
+};
+
+router.post('/batch', (req, res, next) => {
+  try {
+    const usernames = readUsernames(req.body);
+    const providers = selectProviders(req.body.platforms);
+    const job = createJob({
+      usernames,
+      providers,
+      concurrency: parseInt(req.body.concurrency, 10) || undefined,
+      options: { demo: req.body.demo === true, fresh: req.body.fresh === true }
+    });
+
+    return res.status(202).json({
+      ...job.summary(),
+      status_url: `/api/batch/${job.id}`,
+      events_url: `/api/batch/${job.id}/events`
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// NDJSON of a running job stays open and streams results until the job is done
+function streamNdjson(req, res, job) {
+  res.type('application/x-ndjson');
+  job.completed.forEach(entry => res.write(ndjsonLine(entry)));
+  if (job.status !== JOB_STATUS.RUNNING) {
+    return res.end();
+  }
+
+  const onResult = entry => res.write(ndjsonLine(entry));
+  const onDone = () => res.end();
+  job.on('result', onResult);
+  job.once('done', onDone);
+  req.on('close', () => {
+    job.off('result', onResult);
+    job.off('done', onDone);
+  });
+  return undefined;
+}
+
+// Status and partial results, in any export format (?format= or Accept)
+router.get('/batch/:id', (req, res, next) => {
+  try {
+    const job = findJob(req, res);
+    if (!job) {
+      return undefined;
+    }
+    if (resolveFormat(req) === 'ndjson') {
+      return streamNdjson(req, res, job);
+    }
+    return sendResults(req, res, {
+      json: job,
+      rows: job.completed,
+      title: `Batch ${job.id} (${job.status})`,
+      filename: `batch-${job.id}`
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Streams every result as it completes; results finished before the client connected are replayed first
+router.get('/batch/:id/events', (req, res) => {
+  const job = findJob(req, res);
+  if (!job) {
+    return;
+  }
+
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive'
+  });
+  res.flushHeaders();
+
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  const onResult = entry => send('result', { ...entry, progress: job.progress() });
+  const onDone = summary => {
+    send('done', summary);
+    res.end();
+  };
+
+  job.completed.forEach(entry => send('result', entry));
+  send('progress', job.progress());
+
+  if (job.status !== JOB_STATUS.RUNNING) {
+    return onDone(job.summary());
+  }
+
+  job.on('result', onResult);
+  job.once('done', onDone);
+  req.on('close', () => {
+    job.off('result', onResult);
+    job.off('done', onDone);
+  });
+});
+
+router.delete('/batch/:id', (req, res) => {
+  const job = findJob(req, res);
+  if (job) {
+    job.cancel();
+    res.json(job.summary());
+  }
+});
+
+module.exports = router;
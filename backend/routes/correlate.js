@@ -0,0 +1,86 @@
+// routes/correlate.js - Identity correlation across the profiles a lookup finds
+const express = require('express');
+const config = require('../config');
+const { getProvider, selectProviders, lookup } = require('../providers');
+const { correlateProfiles } = require('../lib/correlation');
+const { ValidationError } = require('../lib/errors');
+const { STATUS } = require('../lib/results');
+const { queryFlag } = require('../lib/request');
+
+const router = express.Router();
+
+// Looks up each account and keeps the real (non-demo) profiles that were found
+async function foundProfiles(accounts, fresh) {
+  const results = await Promise.all(accounts.map(async ({ provider, username }) => {
+    try {
+      return { provider, username, result: await lookup(provider, username, { fresh }) };
+    } catch (error) {
+      if (!(error instanceof ValidationError)) {
+        throw error;
+      }
+      return { provider, username, result: null };
+    }
+  }));
+
+  return {
+    profiles: results
+      .filter(({ result }) => result && result.status === STATUS.FOUND)
+      .map(({ result }) => result.profile),
+    skipped: results
+      .filter(({ result }) => !result || result.status !== STATUS.FOUND)
+      .map(({ provider, username, result }) => ({
+        platform: provider.name,
+        username,
+        status: result ? result.status : 'invalid'
+      }))
+  };
+}
+
+async function respond(req, res, accounts) {
+  const { profiles, skipped } = await foundProfiles(accounts, queryFlag(req.query, 'fresh'));
+  const correlation = await correlateProfiles(profiles, { avatars: req.query.avatars !== '0' });
+  return res.json({ ...correlation, skipped });
+}
+
+// Same handle on every (or the selected) platform
+router.get('/correlate/:username', async (req, res, next) => {
+  try {
+    const accounts = selectProviders(req.query.platforms)
+      .map(provider => ({ provider, username: req.params.username }));
+    return await respond(req, res, accounts);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Explicit accounts, for when the handles differ: { "accounts": [{ "platform": "github", "username": "..." }] }
+router.post('/correlate', async (req, res, next) => {
+  try {
+    const { accounts } = req.body || {};
+    if (!Array.isArray(accounts) || accounts.length < 2) {
+      throw new ValidationError('Body must contain an "accounts" array with at least two entries');
+    }
+    // Every pair is compared, so the work grows with the square of the account count
+    if (accounts.length > config.correlation.maxAccounts) {
+      throw new ValidationError(`At most ${config.correlation.maxAccounts} accounts can be correlated at once`, {
+        received: accounts.length
+      });
+    }
+
+    // Entries are arbitrary JSON: null, numbers or arrays must be a 400, not a TypeError
+    const resolved = accounts.map((account, index) => {
+      const isObject = account !== null && typeof account === 'object' && !Array.isArray(account);
+      const { platform, username } = isObject ? account : {};
+      const provider = typeof platform === 'string' ? getProvider(platform) : null;
+      if (!provider || typeof username !== 'string' || !username) {
+        throw new ValidationError('Every account needs a known "platform" and a "username" string', { index });
+      }
+      return { provider, username };
+    });
+    return await respond(req, res, resolved);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
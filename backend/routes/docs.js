@@ -0,0 +1,29 @@
+// routes/docs.js - OpenAPI document and interactive API docs
+const express = require('express');
+const swaggerUi = require('swagger-ui-dist');
+const { getSpec } = require('../lib/openapi');
+
+const router = express.Router();
+
+router.get('/openapi.json', (req, res) => {
+  res.json(getSpec());
+});
+
+// Swagger UI is served from the local package, no CDN required
+router.get('/docs/swagger-initializer.js', (req, res) => {
+  res.type('application/javascript').send(
+    "window.onload = () => { window.ui = SwaggerUIBundle({ url: '/api/openapi.json', dom_id: '#swagger-ui', deepLinking: true }); };\n"
+  );
+});
+
+router.get('/docs', (req, res, next) => {
+  // Relative asset URLs in index.html need the trailing slash
+  if (!req.originalUrl.split('?')[0].endsWith('/')) {
+    return res.redirect(301, '/api/docs/');
+  }
+  return next();
+});
+
+router.use('/docs', express.static(swaggerUi.getAbsoluteFSPath()));
+
+module.exports = router;
@@ -0,0 +1,78 @@
+// routes/github.js - Extended GitHub profile sections, selected with ?include=
+const express = require('express');
+const config = require('../config');
+const github = require('../lib/githubClient');
+const { getProvider, lookup } = require('../providers');
+const { applyCacheHeaders } = require('../lib/cache');
+const { ValidationError } = require('../lib/errors');
+const { sendResults } = require('../lib/export');
+const { withLookupContext } = require('../lib/fixtures');
+const { isStatus } = require('../lib/http');
+const { lookupOptions } = require('../lib/request');
+const { REASONS, STATUS, classifyError } = require('../lib/results');
+
+const router = express.Router();
+
+const MAX_EVENTS = 100;
+
+// "repos,languages" or "all" -> list of section names
+function parseInclude(value) {
+  const requested = String(value).split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+  if (requested.includes('all')) {
+    return github.SECTIONS;
+  }
+  const unknownSections = requested.filter(section => !github.SECTIONS.includes(section));
+  if (unknownSections.length > 0) {
+    throw new ValidationError(`Unknown section(s): ${unknownSections.join(', ')}`, { available: github.SECTIONS });
+  }
+  return requested;
+}
+
+const limitParam = (value, fallback, max) => Math.min(Math.max(parseInt(value, 10) || fallback, 1), max);
+
+// Without ?include= the plain provider route in routes/providers.js answers.
+// Sections are fetched in the github lookup context, so fixtures and metrics file them under it.
+router.get('/github/:username', async (req, res, next) => {
+  if (!req.query.include) {
+    return next();
+  }
+  try {
+    const include = parseInclude(req.query.include);
+    const result = await lookup(getProvider('github'), req.params.username, lookupOptions(req.query));
+    applyCacheHeaders(res, result.cache);
+    if (result.status !== STATUS.FOUND || result.simulated) {
+      return res.json(result);
+    }
+
+    const { username } = result.profile;
+    let details;
+    try {
+      details = await withLookupContext('github', username, () => github.extendedProfile(username, {
+        include,
+        reposLimit: limitParam(req.query.repos_limit, 100, config.github.reposLimit),
+        eventsLimit: limitParam(req.query.events_limit, 30, MAX_EVENTS)
+      }));
+    } catch (error) {
+      // The profile may be a cached answer for an account that has since been renamed or deleted
+      if (isStatus(error, 404)) {
+        return res.status(404).json({ error: `GitHub user '${username}' not found` });
+      }
+      if (classifyError(error) === REASONS.RATE_LIMITED) {
+        res.set('Retry-After', String(github.retryAfterSeconds()));
+        return res.status(429).json({ error: error.message });
+      }
+      throw error;
+    }
+    // CSV/NDJSON/HTML exports carry the standard profile; the extra sections are JSON only
+    return sendResults(req, res, {
+      json: { ...result, details },
+      rows: [{ username: req.params.username, platform: 'github', result }],
+      title: `GitHub lookup: ${req.params.username}`,
+      filename: `github-${req.params.username}`
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
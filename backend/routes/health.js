@@ -0,0 +1,48 @@
+// routes/health.js - Liveness, readiness and Prometheus metrics (outside /api: no key, no rate limit)
+const express = require('express');
+const { listProviders } = require('../providers');
+const { HEALTH, healthReport } = require('../lib/health');
+const { historyStatus } = require('../lib/history');
+const { outboundStatus } = require('../lib/http');
+const { metricsHandler } = require('../lib/metrics');
+
+const router = express.Router();
+
+const providerNames = () => listProviders().map(provider => provider.name);
+
+// Liveness: the process serves requests. Provider health is informational only.
+router.get('/healthz', (req, res) => {
+  res.json({
+    status: 'ok',
+    uptime_seconds: Math.round(process.uptime()),
+    providers: healthReport(providerNames())
+  });
+});
+
+// Readiness: storage is loaded and at least one provider with recent traffic is answering.
+// A single failing provider does not take the instance out of rotation; it shows up per provider.
+router.get('/readyz', (req, res) => {
+  const providers = healthReport(providerNames());
+  const judged = Object.values(providers).filter(health => health.status !== HEALTH.IDLE);
+  const history = historyStatus();
+  const checks = {
+    history: { ok: history.ready, ...history },
+    providers: {
+      ok: judged.length === 0 || judged.some(health => health.status !== HEALTH.FAILING),
+      failing: Object.keys(providers).filter(name => providers[name].status === HEALTH.FAILING),
+      degraded: Object.keys(providers).filter(name => providers[name].status === HEALTH.DEGRADED)
+    }
+  };
+  const ready = Object.values(checks).every(check => check.ok);
+  res.status(ready ? 200 : 503).json({
+    status: ready ? 'ready' : 'not_ready',
+    checks,
+    // Informational: hosts currently failing fast (see /api/upstreams)
+    open_circuits: outboundStatus().filter(host => host.circuit !== 'closed').map(host => host.host),
+    providers
+  });
+});
+
+router.get('/metrics', metricsHandler);
+
+module.exports = router;
@@ -0,0 +1,45 @@
+// routes/history.js - Snapshot series and diffs for a platform/username pair
+const express = require('express');
+const { normalizeHandle, selectProviders } = require('../providers');
+const { listSnapshots, diffSnapshots } = require('../lib/history');
+
+const router = express.Router();
+
+const MAX_SNAPSHOTS = 1000;
+
+// Snapshots are stored under the normalized handle, so '@Octocat' and 'octocat' share a series
+// ?from= / ?to= (ISO dates) bound the series; ?limit= keeps the most recent points
+router.get('/history/:platform/:username', async (req, res, next) => {
+  try {
+    const [provider] = selectProviders(req.params.platform);
+    const username = normalizeHandle(provider, req.params.username);
+    const { from, to } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || MAX_SNAPSHOTS, 1), MAX_SNAPSHOTS);
+    const snapshots = await listSnapshots(provider, username, { from, to, limit });
+    return res.json({
+      platform: provider.name,
+      username,
+      count: snapshots.length,
+      snapshots
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// ?from= / ?to= take snapshot ids or timestamps; without them the two latest snapshots are compared
+router.get('/history/:platform/:username/diff', async (req, res, next) => {
+  try {
+    const [provider] = selectProviders(req.params.platform);
+    const username = normalizeHandle(provider, req.params.username);
+    const diff = await diffSnapshots(provider, username, req.query);
+    if (!diff) {
+      return res.status(404).json({ error: 'Need at least two snapshots to compare' });
+    }
+    return res.json({ platform: provider.name, username, ...diff });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,51 @@
+// routes/lookup.js - Cross-platform lookup that queries every provider concurrently
+const express = require('express');
+const { selectProviders, lookup } = require('../providers');
+const { ValidationError } = require('../lib/errors');
+const { REASONS, unknown } = require('../lib/results');
+const { applyCacheHeaders } = require('../lib/cache');
+const { resolveFormat, sendResults } = require('../lib/export');
+const { lookupOptions } = require('../lib/request');
+
+const router = express.Router();
+
+router.get('/lookup/:username', async (req, res, next) => {
+  try {
+    const { username } = req.params;
+    // Fail on a bad ?format= before doing any lookups
+    resolveFormat(req);
+    const providers = selectProviders(req.query.platforms);
+    const options = lookupOptions(req.query);
+
+    const started = Date.now();
+    const results = await Promise.all(providers.map(async provider => {
+      const platformStarted = Date.now();
+      let result;
+      try {
+        result = await lookup(provider, username, options);
+      } catch (error) {
+        if (!(error instanceof ValidationError)) {
+          throw error;
+        }
+        result = unknown(REASONS.INVALID_HANDLE, error.message);
+      }
+      return [provider.name, { ...result, latency_ms: Date.now() - platformStarted }];
+    }));
+
+    applyCacheHeaders(res, results.map(([, result]) => result.cache));
+    return sendResults(req, res, {
+      json: {
+        username,
+        latency_ms: Date.now() - started,
+        platforms: Object.fromEntries(results)
+      },
+      rows: results.map(([platform, result]) => ({ username, platform, result })),
+      title: `Lookup: ${username}`,
+      filename: `lookup-${username}`
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,49 @@
+// routes/providers.js - Per-platform profile routes generated from the provider registry
+const express = require('express');
+const { listProviders, lookup } = require('../providers');
+const { applyCacheHeaders } = require('../lib/cache');
+const { sendResults } = require('../lib/export');
+const { outboundStatus } = require('../lib/http');
+const { lookupOptions } = require('../lib/request');
+
+const router = express.Router();
+
+// Discovery endpoint listing every registered provider
+router.get('/platforms', (req, res) => {
+  res.json({
+    platforms: listProviders().map(provider => ({
+      name: provider.name,
+      label: provider.label,
+      description: provider.description,
+      timeout_ms: provider.timeout,
+      cache_ttl: provider.cacheTtl,
+      route: `/api/${provider.name}/:username`,
+      upstream: provider.status ? provider.status() : null
+    }))
+  });
+});
+
+// Outbound scheduler state per upstream host (queue, tokens, circuit breaker)
+router.get('/upstreams', (req, res) => {
+  res.json({ hosts: outboundStatus() });
+});
+
+listProviders().forEach(provider => {
+  router.get(`/${provider.name}/:username`, async (req, res, next) => {
+    try {
+      const { username } = req.params;
+      const result = await lookup(provider, username, lookupOptions(req.query));
+      applyCacheHeaders(res, result.cache);
+      return sendResults(req, res, {
+        json: result,
+        rows: [{ username, platform: provider.name, result }],
+        title: `${provider.label} lookup: ${username}`,
+        filename: `${provider.name}-${username}`
+      });
+    } catch (error) {
+      return next(error);
+    }
+  });
+});
+
+module.exports = router;
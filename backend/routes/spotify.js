@@ -0,0 +1,29 @@
+// routes/spotify.js - "Did you mean" search over the curated Spotify catalog
+const express = require('express');
+const catalog = require('../lib/spotifyCatalog');
+const { ValidationError } = require('../lib/errors');
+
+const router = express.Router();
+
+const MAX_LIMIT = 20;
+
+// Registered before the provider routes so /spotify/search is not taken for a username
+router.get('/spotify/search', (req, res, next) => {
+  try {
+    const query = String(req.query.q || '').trim();
+    if (!query) {
+      throw new ValidationError('Query parameter q is required');
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 5, 1), MAX_LIMIT);
+    const exact = catalog.resolve(query);
+    return res.json({
+      query,
+      exact_match: exact ? exact.id : null,
+      candidates: catalog.search(query, { limit })
+    });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+module.exports = router;
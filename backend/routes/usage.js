@@ -0,0 +1,21 @@
+// routes/usage.js - Usage of the calling API key
+const express = require('express');
+const { currentKey, usageReport } = require('../lib/apiKeys');
+const { AccessError } = require('../lib/errors');
+
+const router = express.Router();
+
+// Same rows as /api/admin/usage, restricted to the key making the request
+router.get('/usage', (req, res, next) => {
+  const key = currentKey();
+  if (!key) {
+    return next(new AccessError(401, 'Usage is only available for requests made with an API key'));
+  }
+  const { platform, from, to } = req.query;
+  return res.json({
+    key: { id: key.id, name: key.name, rate_limit: key.rate_limit, daily_quota: key.daily_quota },
+    usage: usageReport({ key: key.id, platform, from, to })
+  });
+});
+
+module.exports = router;
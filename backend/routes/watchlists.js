@@ -0,0 +1,75 @@
+// routes/watchlists.js - Watchlist CRUD, manual rechecks and the webhook delivery log
+const express = require('express');
+const config = require('../config');
+const watchlists = require('../lib/watchlists');
+const { currentKey } = require('../lib/apiKeys');
+const { AccessError } = require('../lib/errors');
+
+const router = express.Router();
+
+const notFound = (res, id) => res.status(404).json({ error: `Watchlist '${id}' not found` });
+
+// Watchlists belong to the calling API key; with keys turned off there is a single owner
+router.use('/watchlists', (req, res, next) => {
+  const key = currentKey();
+  if (!key && config.apiKeys.mode !== 'off') {
+    return next(new AccessError(401, 'Watchlists are only available for requests made with an API key'));
+  }
+  req.watchlistOwner = key ? key.id : null;
+  return next();
+});
+
+router.get('/watchlists', (req, res) => {
+  res.json({ watchlists: watchlists.listWatchlists(req.watchlistOwner) });
+});
+
+// The response is the only place the generated webhook secret is shown
+router.post('/watchlists', async (req, res, next) => {
+  try {
+    return res.status(201).json(await watchlists.createWatchlist(req.body || {}, req.watchlistOwner));
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.get('/watchlists/:id', (req, res) => {
+  const watchlist = watchlists.getWatchlist(req.params.id, req.watchlistOwner);
+  return watchlist ? res.json(watchlist) : notFound(res, req.params.id);
+});
+
+router.patch('/watchlists/:id', async (req, res, next) => {
+  try {
+    const watchlist = await watchlists.updateWatchlist(req.params.id, req.body || {}, req.watchlistOwner);
+    return watchlist ? res.json(watchlist) : notFound(res, req.params.id);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.delete('/watchlists/:id', async (req, res, next) => {
+  try {
+    return (await watchlists.deleteWatchlist(req.params.id, req.watchlistOwner)) ? res.status(204).end() : notFound(res, req.params.id);
+  } catch (error) {
+    return next(error);
+  }
+});
+
+// Recheck now instead of waiting for the interval
+router.post('/watchlists/:id/run', async (req, res, next) => {
+  try {
+    if (!watchlists.getWatchlist(req.params.id, req.watchlistOwner)) {
+      return notFound(res, req.params.id);
+    }
+    const run = await watchlists.runWatchlist(req.params.id);
+    return run ? res.json(run) : res.status(409).json({ error: 'A recheck of this watchlist is already running' });
+  } catch (error) {
+    return next(error);
+  }
+});
+
+router.get('/watchlists/:id/deliveries', (req, res) => {
+  const deliveries = watchlists.getDeliveries(req.params.id, req.watchlistOwner);
+  return deliveries ? res.json({ deliveries }) : notFound(res, req.params.id);
+});
+
+module.exports = router;
@@ -0,0 +1,373 @@
+// scripts/contract.js - Contract checks: call every route against recorded fixtures and validate the responses
+//
+// Usage: npm run contract
+// Upstream traffic is replayed from fixtures/ (HTTP_MODE=replay), so a missing fixture fails loudly
+// instead of reaching the network. Stateful stores are written to a temporary directory.
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+
+const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'mgn-contract-'));
+const ADMIN_TOKEN = 'contract-admin-token';
+
+fs.copyFileSync(path.join(__dirname, '..', 'data', 'spotify-catalog.json'), path.join(tmp, 'spotify-catalog.json'));
+Object.assign(process.env, {
+  NODE_ENV: 'test',
+  LOG_LEVEL: 'silent',
+  HTTP_MODE: 'replay',
+  FIXTURES_DIR: path.join(__dirname, '..', 'fixtures'),
+  CACHE_STORE: 'memory',
+  HISTORY_ENABLED: 'false',
+  API_KEY_MODE: 'optional',
+  ADMIN_TOKEN,
+  SPOTIFY_CATALOG_PATH: path.join(tmp, 'spotify-catalog.json'),
+  API_KEYS_PATH: path.join(tmp, 'api-keys.json'),
+  API_USAGE_PATH: path.join(tmp, 'usage.json'),
+  WATCHLISTS_PATH: path.join(tmp, 'watchlists.json'),
+  SPOTIFY_CLIENT_ID: '',
+  SPOTIFY_CLIENT_SECRET: '',
+  GITHUB_TOKEN: '',
+  GITLAB_TOKEN: '',
+  STACKEXCHANGE_KEY: '',
+  YOUTUBE_API_KEY: '',
+  NITTER_INSTANCES: 'https://nitter.net',
+  TWITCH_CLIENT_ID: 'contract-client',
+  TWITCH_CLIENT_SECRET: 'contract-secret'
+});
+
+const axios = require('axios');
+const app = require('../server');
+const { flushUsage } = require('../lib/apiKeys');
+const { validateResponse } = require('../lib/contract');
+
+const admin = { Authorization: `Bearer ${ADMIN_TOKEN}` };
+const withKey = state => ({ 'X-API-Key': state.key.key });
+
+// Each case: request, expected status and (optionally) a check of its own. `use` passes data to later cases.
+const CASES = [
+  { get: '/api/openapi.json', status: 200 },
+  { get: '/api/platforms', status: 200 },
+  { get: '/api/upstreams', status: 200 },
+  { get: '/healthz', status: 200 },
+  { get: '/readyz', status: 200 },
+  { get: '/metrics', status: 200, raw: true, expect: body => body.includes('mgn_http_requests_total') },
+  { get: '/api/github/octocat', status: 200, expect: body => body.status === 'found' && body.profile.followers === 17000 },
+  { get: '/api/github/octocat?format=csv', status: 200, raw: true },
+  // A failing section is reported as unavailable, the others are still served
+  {
+    get: '/api/github/octocat?include=orgs,events',
+    status: 200,
+    expect: body => body.details.orgs.length === 1 && body.details.unavailable.events.reason === 'upstream_error'
+  },
+  { get: '/api/github/ghostcat?include=orgs', status: 404 },
+  {
+    get: '/api/github/octocat?include=languages',
+    status: 429,
+    expect: (body, headers) => Number(headers['retry-after']) >= 1
+  },
+  { get: '/api/github/-bad-', status: 400, expect: body => body.rule === 'characters' },
+  { get: '/api/reddit/spez', status: 200, expect: body => body.status === 'found' && body.profile.extras.reddit.karma > 0 },
+  { get: '/api/reddit/no_such_user_42', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/twitter/jack', status: 200, expect: body => body.status === 'found' && body.profile.followers === 6541298 },
+  { get: '/api/twitter/nosuchuser4242', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/instagram/natgeo', status: 200, expect: body => body.status === 'found' && body.profile.followers === 283000000 },
+  { get: '/api/instagram/no_such_user_42', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/instagram/private_wall_42', status: 200, expect: body => body.status === 'unknown' && body.reason === 'blocked' },
+  { get: '/api/tiktok/zachking', status: 200, expect: body => body.status === 'found' && body.profile.followers === 82100000 },
+  // og:title spells the handle in the account's own casing
+  { get: '/api/tiktok/ZachKing?fresh=1', status: 200, expect: body => body.status === 'found' && body.profile.name === 'Zach King' },
+  { get: '/api/tiktok/nosuchuser42', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/linkedin/williamhgates', status: 200, expect: body => body.status === 'found' },
+  { get: '/api/linkedin/no-such-user-42', status: 200, expect: body => body.status === 'not_found' },
+  // LinkedIn's auth wall answers 999
+  { get: '/api/linkedin/authwall-test', status: 200, expect: body => body.status === 'unknown' && body.reason === 'blocked' },
+  {
+    get: '/api/fediverse/@gargron@mastodon.social',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.followers === 371000 && body.profile.extras.fediverse.recent_posts.length === 1
+  },
+  { get: '/api/fediverse/Gargron', status: 400, expect: body => body.rule === 'custom' },
+  {
+    get: '/api/bluesky/@bsky.app',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.extras.bluesky.handle_verified && body.profile.extras.bluesky.pds !== null
+  },
+  { get: '/api/bluesky/impostor.dev', status: 200, expect: body => body.status === 'unknown' && body.reason === 'invalid_handle' },
+  { get: '/api/bluesky/nobody-here', status: 200, expect: body => body.status === 'not_found' },
+  {
+    get: '/api/gitlab/dzaporozhets',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.posts === 27 && body.profile.extras.gitlab.recent_projects.length === 2
+  },
+  { get: '/api/gitlab/no_such_user_42', status: 200, expect: body => body.status === 'not_found' },
+  {
+    get: '/api/npm/~sindresorhus',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.extras.npm.total_weekly_downloads === 290659462
+  },
+  {
+    get: '/api/dockerhub/bitnami',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.extras.dockerhub.account_type === 'organization'
+  },
+  {
+    get: '/api/stackexchange/22656',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.extras.stackexchange.top_tags[0].name === 'c#'
+  },
+  { get: '/api/stackexchange/999999999', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/stackexchange/jon-skeet', status: 400, expect: body => body.rule === 'characters' },
+  {
+    get: '/api/hackernews/pg',
+    status: 200,
+    // The dead comment is skipped
+    expect: body => body.status === 'found' && body.profile.extras.hackernews.recent_submissions.length === 2
+  },
+  { get: '/api/hackernews/nosuchuser42', status: 200, expect: body => body.status === 'not_found' },
+  {
+    get: '/api/youtube/@veritasium',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.followers === 17300000 && body.profile.extras.youtube.total_views === 3012345678
+  },
+  { get: '/api/youtube/terminated_one', status: 200, expect: body => body.status === 'not_found' },
+  {
+    get: '/api/twitch/shroud',
+    status: 200,
+    expect: body => body.status === 'found' && body.profile.followers === 10913542 && body.profile.extras.twitch.live
+      && body.profile.extras.twitch.recent_vods[0].duration_seconds === 22324
+  },
+  { get: '/api/twitch/nobody_here', status: 200, expect: body => body.status === 'not_found' },
+  { get: '/api/spotify/drake', status: 200, expect: body => body.status === 'found' },
+  { get: '/api/spotify/drak', status: 200, expect: body => body.status === 'unknown' && body.suggestions.length > 0 },
+  { get: '/api/spotify/drake?demo=1', status: 200 },
+  { get: '/api/spotify/search?q=tay', status: 200 },
+  { get: '/api/spotify/search', status: 400 },
+  { get: '/api/lookup/octocat?platforms=github,spotify', status: 200 },
+  { get: '/api/lookup/octocat?platforms=myspace', status: 400 },
+  { get: '/api/lookup/octocat?platforms=github&format=xml', status: 400 },
+  { get: '/api/availability/drake?platforms=spotify&limit=3', status: 200 },
+  { get: '/api/availability/drake?platforms=spotify&limit=-1', status: 400 },
+  { get: '/api/availability/drake?platforms=spotify&limit=0', status: 400 },
+  { get: '/api/availability/drake?platforms=spotify&limit=three', status: 400 },
+  { get: '/api/availability/drake?platforms=spotify&limit=100000', status: 200 },
+  { get: '/api/correlate/octocat?platforms=github,spotify&avatars=0', status: 200 },
+  {
+    post: '/api/correlate?avatars=0',
+    body: { accounts: [{ platform: 'github', username: 'octocat' }, { platform: 'reddit', username: 'spez' }] },
+    status: 200,
+    expect: body => body.pairs.length === 1
+  },
+  {
+    post: '/api/correlate?avatars=0',
+    body: { accounts: Array.from({ length: 11 }, (_, i) => ({ platform: 'github', username: `user${i}` })) },
+    status: 400,
+    expect: body => body.received === 11
+  },
+  {
+    post: '/api/correlate?avatars=0',
+    body: { accounts: [null, { platform: 'github', username: 'octocat' }] },
+    status: 400,
+    expect: body => body.index === 0
+  },
+  {
+    post: '/api/correlate?avatars=0',
+    body: { accounts: [{ platform: 'github', username: 'octocat' }, { platform: ['reddit'], username: 'spez' }] },
+    status: 400,
+    expect: body => body.index === 1
+  },
+  {
+    post: '/api/batch',
+    body: { usernames: ['drake', 'octocat'], platforms: ['spotify', 'github'] },
+    status: 202,
+    use: (body, state) => { state.batch = body.id; }
+  },
+  { get: state => `/api/batch/${state.batch}`, status: 200, wait: body => body.status === 'running' },
+  { get: '/api/batch/00000000-0000-0000-0000-000000000000', status: 404 },
+  { get: '/api/history/github/octocat', status: 200 },
+  { get: '/api/history/github/octocat/diff', status: 404 },
+  { get: '/api/history/myspace/octocat', status: 400 },
+  { get: '/api/history/github/@octocat', status: 200, expect: body => body.username === 'octocat' },
+  { get: '/api/history/github/-bad-', status: 400, expect: body => body.rule === 'characters' },
+  { get: '/api/history/github/-bad-/diff', status: 400 },
+  { get: '/api/admin/keys', status: 401 },
+  {
+    post: '/api/admin/keys',
+    headers: admin,
+    body: { name: 'contract', daily_quota: 100, allowed_platforms: ['spotify'] },
+    status: 201,
+    use: (body, state) => { state.key = body; }
+  },
+  { get: '/api/admin/keys', headers: admin, status: 200 },
+  { patch: state => `/api/admin/keys/${state.key.id}`, headers: admin, body: { rate_limit: 50 }, status: 200 },
+  { get: '/api/spotify/drake', headers: state => ({ 'X-API-Key': state.key.key }), status: 200 },
+  { get: '/api/github/octocat', headers: state => ({ 'X-API-Key': state.key.key }), status: 403 },
+  { get: '/api/usage', headers: state => ({ 'X-API-Key': state.key.key }), status: 200, before: flushUsage },
+  {
+    post: '/api/admin/keys',
+    headers: admin,
+    body: { name: 'contract-quota', daily_quota: 1 },
+    status: 201,
+    use: (body, state) => { state.quotaKey = body; }
+  },
+  // The daily quota is charged per provider lookup, not per request
+  { get: '/api/platforms', headers: state => ({ 'X-API-Key': state.quotaKey.key }), status: 200 },
+  { get: '/api/spotify/drake', headers: state => ({ 'X-API-Key': state.quotaKey.key }), status: 200 },
+  { get: '/api/spotify/drake', headers: state => ({ 'X-API-Key': state.quotaKey.key }), status: 429, expect: body => body.daily_quota === 1 },
+  { delete: state => `/api/admin/keys/${state.quotaKey.id}`, headers: admin, status: 204 },
+  { get: '/api/watchlists', status: 401 },
+  {
+    post: '/api/watchlists',
+    headers: withKey,
+    body: { name: 'contract', accounts: [{ platform: 'spotify', username: 'drake' }], conditions: { follower_change_percent: 5 } },
+    status: 201,
+    use: (body, state) => { state.watchlist = body.id; }
+  },
+  { get: '/api/watchlists', headers: withKey, status: 200, expect: body => body.watchlists.length === 1 },
+  { post: state => `/api/watchlists/${state.watchlist}/run`, headers: withKey, status: 200 },
+  { get: state => `/api/watchlists/${state.watchlist}`, headers: withKey, status: 200 },
+  { patch: state => `/api/watchlists/${state.watchlist}`, headers: withKey, body: { interval_seconds: 600 }, status: 200 },
+  { get: state => `/api/watchlists/${state.watchlist}/deliveries`, headers: withKey, status: 200 },
+  {
+    post: '/api/admin/keys',
+    headers: admin,
+    body: { name: 'contract-other' },
+    status: 201,
+    use: (body, state) => { state.otherKey = body; }
+  },
+  // Another key's watchlist does not exist as far as this key is concerned
+  { get: state => `/api/watchlists/${state.watchlist}`, headers: state => ({ 'X-API-Key': state.otherKey.key }), status: 404 },
+  { get: '/api/watchlists', headers: state => ({ 'X-API-Key': state.otherKey.key }), status: 200, expect: body => body.watchlists.length === 0 },
+  { delete: state => `/api/watchlists/${state.watchlist}`, headers: state => ({ 'X-API-Key': state.otherKey.key }), status: 404 },
+  {
+    post: '/api/watchlists',
+    headers: state => ({ 'X-API-Key': state.otherKey.key }),
+    body: { accounts: [{ platform: 'github', username: 'octocat' }, { platform: 'spotify', username: 'drake' }] },
+    status: 201,
+    use: (body, state) => { state.otherWatchlist = body.id; }
+  },
+  { patch: state => `/api/admin/keys/${state.otherKey.id}`, headers: admin, body: { allowed_platforms: ['spotify'] }, status: 200 },
+  // A platform the key may no longer use fails that account only, and the run still counts
+  {
+    post: state => `/api/watchlists/${state.otherWatchlist}/run`,
+    headers: state => ({ 'X-API-Key': state.otherKey.key }),
+    status: 200,
+    expect: body => body.accounts[0].status === 'unknown' && body.accounts[0].reason === 'blocked' && body.accounts[1].status === 'found'
+  },
+  {
+    get: state => `/api/watchlists/${state.otherWatchlist}`,
+    headers: state => ({ 'X-API-Key': state.otherKey.key }),
+    status: 200,
+    expect: body => body.last_run_at !== null
+  },
+  { post: '/api/watchlists', headers: withKey, body: { accounts: [] }, status: 400 },
+  { post: '/api/watchlists', headers: withKey, body: { accounts: [{ platform: 'spotify', username: 'drake' }, { platform: 'spotify', username: 'Drake' }] }, status: 400 },
+  // A missing platform must not fall back to the first registered provider
+  { post: '/api/watchlists', headers: withKey, body: { accounts: [{ platform: '', username: 'drake' }] }, status: 400 },
+  { post: '/api/watchlists', headers: withKey, body: { accounts: [{ platform: 'myspace', username: 'drake' }] }, status: 400 },
+  { post: '/api/watchlists', headers: withKey, body: { accounts: [{ platform: 'github', username: 'octocat' }] }, status: 403 },
+  { delete: state => `/api/watchlists/${state.watchlist}`, headers: withKey, status: 204 },
+  { get: '/api/usage', status: 401 },
+  { get: '/api/admin/usage', headers: admin, status: 200 },
+  { delete: state => `/api/admin/keys/${state.key.id}`, headers: admin, status: 204 },
+  { get: '/api/admin/spotify/catalog', headers: admin, status: 200 },
+  {
+    post: '/api/admin/spotify/catalog',
+    headers: admin,
+    body: { id: 'contract-artist', name: 'Contract Artist', type: 'artist', followers: 10 },
+    status: 201,
+    use: (body, state) => { state.catalogId = body.id; }
+  },
+  { get: state => `/api/admin/spotify/catalog/${state.catalogId}`, headers: admin, status: 200 },
+  { get: '/api/spotify/contractartist', status: 200, expect: body => body.status === 'found' && body.profile.followers === 10 },
+  { get: '/api/spotify/Contract-Artist.', status: 200, expect: body => body.profile.followers === 10 },
+  {
+    put: state => `/api/admin/spotify/catalog/${state.catalogId}`,
+    headers: admin,
+    body: { name: 'Contract Artist', type: 'artist', followers: 20 },
+    status: 200
+  },
+  // Catalog edits evict the cached lookup
+  { get: '/api/spotify/contractartist', status: 200, expect: body => body.profile.followers === 20 && body.cache.state === 'miss' },
+  { get: '/api/spotify/Contract-Artist.', status: 200, expect: body => body.profile.followers === 20 && body.cache.state === 'miss' },
+  { put: '/api/admin/spotify/aliases/contract', headers: admin, body: { target: 'drake' }, status: 200 },
+  { delete: '/api/admin/spotify/aliases/contract', headers: admin, status: 204 },
+  { delete: state => `/api/admin/spotify/catalog/${state.catalogId}`, headers: admin, status: 204 },
+  { get: '/api/spotify/contractartist', status: 200, expect: body => body.status === 'unknown' },
+  { get: '/api/admin/spotify/catalog/nobody', headers: admin, status: 404 },
+  { get: '/healthz', status: 200, expect: body => body.providers.github.outcomes.found > 0 },
+  { get: '/metrics', status: 200, raw: true, expect: body => body.includes('mgn_provider_lookups_total{platform="reddit",outcome="not_found"}') }
+];
+
+const METHODS = ['get', 'post', 'put', 'patch', 'delete'];
+const sleep = ms => new Promise(resolve => setTimeout(resolve, ms));
+const resolveValue = (value, state) => (typeof value === 'function' ? value(state) : value);
+
+async function runCase(client, testCase, state) {
+  const method = METHODS.find(name => testCase[name]);
+  const url = resolveValue(testCase[method], state);
+  const label = `${method.toUpperCase()} ${url}`;
+  if (testCase.before) {
+    await testCase.before();
+  }
+
+  let response;
+  for (let attempt = 0; attempt < 50; attempt += 1) {
+    response = await client.request({
+      method,
+      url,
+      data: testCase.body,
+      headers: resolveValue(testCase.headers, state),
+      responseType: testCase.raw ? 'text' : 'json'
+    });
+    if (!testCase.wait || !testCase.wait(response.data)) {
+      break;
+    }
+    await sleep(100);
+  }
+
+  const problems = [];
+  if (response.status !== testCase.status) {
+    problems.push(`expected status ${testCase.status}, got ${response.status}: ${JSON.stringify(response.data)}`);
+  } else if (!testCase.raw && response.status !== 204) {
+    problems.push(...validateResponse(method, url.split('?')[0], response.status, response.data));
+  }
+  if (!problems.length && testCase.expect && !testCase.expect(response.data, response.headers)) {
+    problems.push(`unexpected body: ${JSON.stringify(response.data).slice(0, 500)}`);
+  }
+  if (!problems.length && testCase.use) {
+    testCase.use(response.data, state);
+  }
+  return { label, problems };
+}
+
+async function main() {
+  const server = app.listen(0);
+  await new Promise(resolve => server.once('listening', resolve));
+  const client = axios.create({
+    baseURL: `http://127.0.0.1:${server.address().port}`,
+    validateStatus: null,
+    timeout: 10000
+  });
+
+  const state = {};
+  let failures = 0;
+  for (const testCase of CASES) {
+    const { label, problems } = await runCase(client, testCase, state);
+    if (problems.length) {
+      failures += 1;
+      console.log(`FAIL ${label}\n  ${problems.join('\n  ')}`);
+    } else {
+      console.log(`ok   ${label}`);
+    }
+  }
+
+  server.close();
+  fs.rmSync(tmp, { recursive: true, force: true });
+  console.log(`\n${CASES.length - failures}/${CASES.length} contract checks passed`);
+  process.exit(failures ? 1 : 0);
+}
+
+main().catch(error => {
+  console.error(error);
+  process.exit(1);
+});
@@ -1,868 +1,76 @@
 // server.js - Enhanced API server with more platforms
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
-const axios = require('axios');
-const cheerio = require('cheerio');
 const rateLimit = require('express-rate-limit');
-require('dotenv').config();
+
+const adminRoutes = require('./routes/admin');
+const availabilityRoutes = require('./routes/availability');
+const batchRoutes = require('./routes/batch');
+const correlateRoutes = require('./routes/correlate');
+const docsRoutes = require('./routes/docs');
+const githubRoutes = require('./routes/github');
+const healthRoutes = require('./routes/health');
+const historyRoutes = require('./routes/history');
+const lookupRoutes = require('./routes/lookup');
+const providerRoutes = require('./routes/providers');
+const spotifyRoutes = require('./routes/spotify');
+const usageRoutes = require('./routes/usage');
+const watchlistRoutes = require('./routes/watchlists');
+const config = require('./config');
+const { authenticate, corsOptions } = require('./lib/apiKeys');
+const { validateResponses } = require('./lib/contract');
+const { errorHandler } = require('./lib/errors');
+const { logger, requestLogger } = require('./lib/logger');
+const { httpMetrics } = require('./lib/metrics');
+const { startScheduler } = require('./lib/watchlists');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
 // Middleware
+app.use(requestLogger);
+app.use(httpMetrics);
 app.use(express.json());
-app.use(cors());
+app.use(cors(corsOptions));
+app.use('/api/', authenticate);
+app.use('/api/', validateResponses);
 
-// Rate limiting
+// Rate limiting: per API key when one is presented, per IP otherwise
 const apiLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, 
-  max: 100,
+  windowMs: config.apiKeys.windowMs,
+  max: req => (req.apiKey ? req.apiKey.rate_limit : config.apiKeys.anonymousRateLimit),
+  keyGenerator: req => (req.apiKey ? `key:${req.apiKey.id}` : req.ip),
   standardHeaders: true,
   legacyHeaders: false,
 });
 
 app.use('/api/', apiLimiter);
 
-// GitHub API - fully implemented
-app.get('/api/github/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    const response = await axios.get(`https://api.github.com/users/${username}`, {
-      headers: {
-        'Authorization': process.env.GITHUB_TOKEN ? `token ${process.env.GITHUB_TOKEN}` : '',
-      }
-    });
-    
-    // Get user's recent repositories
-    const reposResponse = await axios.get(`https://api.github.com/users/${username}/repos?sort=updated&per_page=5`, {
-      headers: {
-        'Authorization': process.env.GITHUB_TOKEN ? `token ${process.env.GITHUB_TOKEN}` : '',
-      }
-    });
-    
-    const recentRepos = reposResponse.data.map(repo => ({
-      name: repo.name,
-      description: repo.description,
-      url: repo.html_url,
-      stars: repo.stargazers_count,
-      language: repo.language
-    }));
-    
-    return res.json({
-      exists: true,
-      profile: {
-        username: response.data.login,
-        followers: response.data.followers,
-        following: response.data.following,
-        avatar_url: response.data.avatar_url,
-        public_repos: response.data.public_repos,
-        bio: response.data.bio,
-        name: response.data.name,
-        company: response.data.company,
-        location: response.data.location,
-        created_at: response.data.created_at,
-        recent_repos: recentRepos
-      }
-    });
-  } catch (error) {
-    if (error.response && error.response.status === 404) {
-      return res.json({ exists: false });
-    }
-    console.error('GitHub API error:', error);
-    return res.status(500).json({ error: 'Server error fetching GitHub profile' });
-  }
-});
-
-// Twitter profile scraping approach (since API requires auth)
-app.get('/api/twitter/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    try {
-      // Using Nitter as it's easier to scrape than Twitter
-      const response = await axios.get(`https://nitter.net/${username}`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-      const $ = cheerio.load(response.data);
-      
-      if ($('.error-panel').length > 0) {
-        return res.json({ exists: false });
-      }
-      
-      // Extract profile info
-      const followerText = $('.profile-stat-num').eq(2).text().trim();
-      const followers = parseTwitterNumbers(followerText);
-      
-      const followingText = $('.profile-stat-num').eq(1).text().trim();
-      const following = parseTwitterNumbers(followingText);
-      
-      const tweetsText = $('.profile-stat-num').eq(0).text().trim();
-      const tweets = parseTwitterNumbers(tweetsText);
-      
-      const profileImage = $('.profile-card-avatar').attr('src');
-      const avatarUrl = profileImage ? `https://nitter.net${profileImage}` : null;
-      
-      const bio = $('.profile-bio').text().trim();
-      const displayName = $('.profile-card-fullname').text().trim();
-      const location = $('.profile-location').text().trim();
-      const joinDate = $('.profile-joindate').text().replace('Joined', '').trim();
-      
-      // Get recent tweets
-      const recentTweets = [];
-      $('.timeline-item').each((i, el) => {
-        if (i < 5) { // Limit to 5 recent tweets
-          const tweetText = $(el).find('.tweet-content').text().trim();
-          const tweetDate = $(el).find('.tweet-date').text().trim();
-          
-          if (tweetText) {
-            recentTweets.push({
-              text: tweetText.length > 100 ? tweetText.substring(0, 100) + '...' : tweetText,
-              date: tweetDate
-            });
-          }
-        }
-      });
-      
-      return res.json({
-        exists: true,
-        profile: {
-          username,
-          name: displayName,
-          followers,
-          following,
-          tweets,
-          avatar_url: avatarUrl,
-          bio,
-          location,
-          joined: joinDate,
-          recent_tweets: recentTweets,
-          scraped: true
-        }
-      });
-    } catch (scrapingError) {
-      console.error('Twitter scraping error:', scrapingError);
-      
-      // If scraping fails, return an educated guess based on common usernames
-      const popularUsernames = ['elonmusk', 'google', 'microsoft', 'apple', 'amazon', 'netflix', 'twitter', 'facebook', 'instagram', 'tiktok', 'billgates'];
-      const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
-      
-      return res.json({
-        exists,
-        profile: exists ? {
-          username,
-          followers: Math.floor(Math.random() * 10000),
-          simulated: true
-        } : null
-      });
-    }
-  } catch (error) {
-    console.error('Twitter API error:', error);
-    return res.status(500).json({ error: 'Server error fetching Twitter profile' });
-  }
-});
-
-// Instagram profile checking
-app.get('/api/instagram/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    try {
-      const response = await axios.get(`https://www.instagram.com/${username}/`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-      
-      // If we reach here, the profile exists
-      const $ = cheerio.load(response.data);
-      
-      // Try to extract data from meta tags
-      const metaDescription = $('meta[name="description"]').attr('content') || '';
-      
-      let followers = 0;
-      let posts = 0;
-      
-      // Try to parse followers and posts count
-      const followerMatch = metaDescription.match(/(\d+(?:,\d+)*)\s+Followers/);
-      if (followerMatch) {
-        followers = parseInt(followerMatch[1].replace(/,/g, ''));
-      }
-      
-      const postsMatch = metaDescription.match(/(\d+(?:,\d+)*)\s+Posts/);
-      if (postsMatch) {
-        posts = parseInt(postsMatch[1].replace(/,/g, ''));
-      }
-      
-      // Get profile name
-      const nameMatch = metaDescription.match(/^([^,]+),/);
-      const name = nameMatch ? nameMatch[1].trim() : username;
-      
-      return res.json({
-        exists: true,
-        profile: {
-          username,
-          name,
-          followers,
-          posts,
-          bio: metaDescription,
-          scraped: true
-        }
-      });
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.json({ exists: false });
-      }
-      
-      // If checking fails, make an intelligent guess
-      const popularUsernames = ['cristiano', 'leomessi', 'beyonce', 'kimkardashian', 'arianagrande', 'nike', 'natgeo'];
-      const exists = popularUsernames.includes(username.toLowerCase()) || username.length >= 4;
-      
-      return res.json({
-        exists,
-        profile: exists ? {
-          username,
-          followers: Math.floor(Math.random() * 10000),
-          simulated: true
-        } : null
-      });
-    }
-  } catch (error) {
-    console.error('Instagram API error:', error);
-    return res.status(500).json({ error: 'Server error fetching Instagram profile' });
-  }
-});
-
-// LinkedIn username existence check
-app.get('/api/linkedin/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    try {
-      const response = await axios.head(`https://www.linkedin.com/in/${username}/`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-      
-      // If we get here, the profile exists
-      // LinkedIn is very strict about scraping, so we'll just return basic info
-      
-      return res.json({
-        exists: true,
-        profile: {
-          username,
-          url: `https://www.linkedin.com/in/${username}/`,
-          estimated_connections: Math.floor(Math.random() * 500) + 200,
-          checked: true
-        }
-      });
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.json({ exists: false });
-      }
-      
-      // If checking fails, make an educated guess
-      const commonNames = ['john', 'david', 'michael', 'sarah', 'robert', 'jessica', 'peter', 'susan'];
-      const likelyExists = commonNames.includes(username.toLowerCase()) || 
-                           (username.length > 3 && !username.includes('test') && !username.includes('123'));
-      
-      return res.json({
-        exists: likelyExists,
-        profile: likelyExists ? {
-          username,
-          url: `https://www.linkedin.com/in/${username}/`,
-          simulated: true
-        } : null
-      });
-    }
-  } catch (error) {
-    console.error('LinkedIn API error:', error);
-    return res.status(500).json({ error: 'Server error fetching LinkedIn profile' });
-  }
-});
+// Probes and metrics
+app.use(healthRoutes);
 
-// Reddit profile check and scraping
-app.get('/api/reddit/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    try {
-      const response = await axios.get(`https://www.reddit.com/user/${username}/about.json`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-      
-      if (response.data && response.data.data) {
-        const userData = response.data.data;
-        
-        return res.json({
-          exists: true,
-          profile: {
-            username: userData.name,
-            karma: userData.total_karma || (userData.link_karma + userData.comment_karma),
-            link_karma: userData.link_karma,
-            comment_karma: userData.comment_karma,
-            created_at: new Date(userData.created_utc * 1000).toISOString(),
-            avatar_url: userData.icon_img || userData.snoovatar_img,
-            is_gold: userData.is_gold,
-            description: userData.subreddit ? userData.subreddit.public_description : '',
-            real_api: true
-          }
-        });
-      } else {
-        return res.json({ exists: false });
-      }
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.json({ exists: false });
-      }
-      
-      // If checking fails, make an educated guess
-      const popularUsernames = ['spez', 'gallowboob', 'tooshiftyforyou', 'commonmisspellingbot'];
-      const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
-      
-      return res.json({
-        exists,
-        profile: exists ? {
-          username,
-          karma: Math.floor(Math.random() * 50000) + 100,
-          created_at: new Date(Date.now() - Math.floor(Math.random() * 5 * 365 * 24 * 60 * 60 * 1000)).toISOString(),
-          simulated: true
-        } : null
-      });
-    }
-  } catch (error) {
-    console.error('Reddit API error:', error);
-    return res.status(500).json({ error: 'Server error fetching Reddit profile' });
-  }
-});
+// Routes
+app.use('/api', docsRoutes);
+app.use('/api', lookupRoutes);
+app.use('/api', batchRoutes);
+app.use('/api', availabilityRoutes);
+app.use('/api', correlateRoutes);
+app.use('/api', githubRoutes);
+app.use('/api', historyRoutes);
+app.use('/api', spotifyRoutes);
+app.use('/api', adminRoutes);
+app.use('/api', usageRoutes);
+app.use('/api', watchlistRoutes);
+app.use('/api', providerRoutes);
 
-// TikTok profile check and scraping
-app.get('/api/tiktok/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    try {
-      const response = await axios.get(`https://www.tiktok.com/@${username}`, {
-        headers: {
-          'User-Agent': 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/91.0.4472.124 Safari/537.36'
-        }
-      });
-      
-      const $ = cheerio.load(response.data);
-      
-      // TikTok is complex to scrape due to its dynamic content loading
-      // We'll look for meta tags and other indicators
-      
-      const metaTitle = $('meta[property="og:title"]').attr('content') || '';
-      const metaDescription = $('meta[property="og:description"]').attr('content') || '';
-      
-      if (metaTitle && metaTitle.includes('@' + username)) {
-        // Profile likely exists
-        const followersMatch = metaDescription.match(/(\d+(?:\.\d+)?[KMB]?)\s+Followers/i);
-        const likesMatch = metaDescription.match(/(\d+(?:\.\d+)?[KMB]?)\s+Likes/i);
-        
-        const followers = followersMatch ? parseTikTokNumber(followersMatch[1]) : Math.floor(Math.random() * 10000);
-        const likes = likesMatch ? parseTikTokNumber(likesMatch[1]) : Math.floor(Math.random() * 50000);
-        
-        return res.json({
-          exists: true,
-          profile: {
-            username,
-            name: metaTitle.replace('@' + username, '').trim(),
-            followers,
-            likes,
-            bio: metaDescription,
-            scraped: true
-          }
-        });
-      } else {
-        return res.json({ exists: false });
-      }
-    } catch (error) {
-      if (error.response && error.response.status === 404) {
-        return res.json({ exists: false });
-      }
-      
-      // If checking fails, make an educated guess
-      const popularUsernames = ['charlidamelio', 'addisonre', 'khaby.lame', 'bellapoarch', 'zachking'];
-      const exists = popularUsernames.includes(username.toLowerCase()) || username.length > 3;
-      
-      return res.json({
-        exists,
-        profile: exists ? {
-          username,
-          followers: Math.floor(Math.random() * 1000000) + 1000,
-          likes: Math.floor(Math.random() * 10000000) + 10000,
-          simulated: true
-        } : null
-      });
-    }
-  } catch (error) {
-    console.error('TikTok API error:', error);
-    return res.status(500).json({ error: 'Server error fetching TikTok profile' });
-  }
-});
+app.use(errorHandler);
 
-// Spotify artist check
-// Vervang je huidige Spotify endpoint in server.js met deze uitgebreidere versie
-// Nog steeds geen externe API-calls of authenticatie nodig
+if (require.main === module) {
+  app.listen(PORT, () => {
+    logger.info('Server running', { port: Number(PORT) });
+    startScheduler();
+  });
+}
 
-app.get('/api/spotify/:username', async (req, res) => {
-  try {
-    const { username } = req.params;
-    
-    // Uitgebreide database van bekende profielen
-    const knownProfiles = {
-      'drake': { 
-        name: 'Drake', 
-        followers: 67438211, 
-        popularity: 96,
-        monthly_listeners: 63829401,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb4293385d324db8558179afd9',
-        type: 'artist',
-        genres: ['canadian hip hop', 'canadian pop', 'hip hop', 'pop rap', 'rap'],
-        top_tracks: [
-          { name: 'One Dance', popularity: 98, album: 'Views', release_date: '2016-04-29', duration_ms: 173987 },
-          { name: "God's Plan", popularity: 96, album: 'Scorpion', release_date: '2018-06-29', duration_ms: 198973 },
-          { name: 'Hotline Bling', popularity: 95, album: 'Views', release_date: '2016-04-29', duration_ms: 267266 },
-          { name: 'In My Feelings', popularity: 94, album: 'Scorpion', release_date: '2018-06-29', duration_ms: 217925 },
-          { name: 'Nice For What', popularity: 93, album: 'Scorpion', release_date: '2018-06-29', duration_ms: 210853 }
-        ],
-        albums: [
-          { name: 'Certified Lover Boy', release_date: '2021-09-03', total_tracks: 21, image_url: 'https://i.scdn.co/image/ab67616d0000b2739416ed64daf84936d89e671c' },
-          { name: 'Scorpion', release_date: '2018-06-29', total_tracks: 25, image_url: 'https://i.scdn.co/image/ab67616d0000b273f907de96b9a4fbc04accc0d5' },
-          { name: 'Views', release_date: '2016-04-29', total_tracks: 20, image_url: 'https://i.scdn.co/image/ab67616d0000b273b20cfc2872b8ad0515b1b191' }
-        ]
-      },
-      'adele': { 
-        name: 'Adele', 
-        followers: 49523685, 
-        popularity: 94,
-        monthly_listeners: 55841263,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb68f6e5892075d7f22615bd17',
-        type: 'artist',
-        genres: ['british soul', 'pop', 'pop soul', 'uk pop'],
-        top_tracks: [
-          { name: 'Hello', popularity: 98, album: '25', release_date: '2015-11-20', duration_ms: 295493 },
-          { name: 'Rolling in the Deep', popularity: 97, album: '21', release_date: '2011-01-24', duration_ms: 228280 },
-          { name: 'Someone Like You', popularity: 96, album: '21', release_date: '2011-01-24', duration_ms: 285240 },
-          { name: 'Easy On Me', popularity: 95, album: '30', release_date: '2021-11-19', duration_ms: 224856 },
-          { name: 'Set Fire to the Rain', popularity: 94, album: '21', release_date: '2011-01-24', duration_ms: 223773 }
-        ],
-        albums: [
-          { name: '30', release_date: '2021-11-19', total_tracks: 12, image_url: 'https://i.scdn.co/image/ab67616d0000b273c6b577e4c4a6d126d5753a7b' },
-          { name: '25', release_date: '2015-11-20', total_tracks: 11, image_url: 'https://i.scdn.co/image/ab67616d0000b2736a6387ab37f64034cdc7b367' },
-          { name: '21', release_date: '2011-01-24', total_tracks: 11, image_url: 'https://i.scdn.co/image/ab67616d0000b2732118bf9b198b05a95ded6300' }
-        ]
-      },
-      'justinbieber': { 
-        name: 'Justin Bieber', 
-        followers: 42895631, 
-        popularity: 93,
-        monthly_listeners: 71452369,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb8ae7f2aaa9817a704a87ea36',
-        type: 'artist',
-        genres: ['canadian pop', 'dance pop', 'pop', 'post-teen pop'],
-        top_tracks: [
-          { name: 'Sorry', popularity: 96, album: 'Purpose', release_date: '2015-11-13', duration_ms: 200787 },
-          { name: 'Love Yourself', popularity: 95, album: 'Purpose', release_date: '2015-11-13', duration_ms: 233720 },
-          { name: 'What Do You Mean?', popularity: 94, album: 'Purpose', release_date: '2015-11-13', duration_ms: 205240 },
-          { name: 'Stay', popularity: 93, album: 'Justice', release_date: '2021-03-19', duration_ms: 141806 },
-          { name: 'Peaches', popularity: 92, album: 'Justice', release_date: '2021-03-19', duration_ms: 198082 }
-        ],
-        albums: [
-          { name: 'Justice', release_date: '2021-03-19', total_tracks: 16, image_url: 'https://i.scdn.co/image/ab67616d0000b273e6f407c7f3a0ec98845e4431' },
-          { name: 'Changes', release_date: '2020-02-14', total_tracks: 17, image_url: 'https://i.scdn.co/image/ab67616d0000b273849472121f6cd237cf546af4' },
-          { name: 'Purpose', release_date: '2015-11-13', total_tracks: 18, image_url: 'https://i.scdn.co/image/ab67616d0000b273f46542b2146bc13068d11a12' }
-        ]
-      },
-      'spotifycharts': {
-        name: 'Spotify Charts',
-        followers: 5432167,
-        popularity: 90,
-        type: 'account',
-        verified: true,
-        image_url: 'https://charts-images.scdn.co/assets/locale_en/regional/daily/region_global_default.jpg',
-        playlists: [
-          { name: 'Today\'s Top Hits', followers: 33421567, total_tracks: 50, image_url: 'https://i.scdn.co/image/ab67706c0000da842fecd7a8f9434cceade0a313' },
-          { name: 'Global Top 50', followers: 28743291, total_tracks: 50, image_url: 'https://charts-images.scdn.co/assets/locale_en/regional/daily/region_global_default.jpg' },
-          { name: 'Viral 50 - Global', followers: 12453789, total_tracks: 50, image_url: 'https://charts-images.scdn.co/assets/locale_en/viral/daily/region_global_default.jpg' }
-        ]
-      },
-      'spotifymaps': {
-        name: 'Spotify Maps',
-        followers: 3214576,
-        popularity: 82,
-        type: 'account',
-        verified: true,
-        image_url: 'https://mosaic.scdn.co/640/ab67616d0000b2731dacfbc31cc873d132958af9ab67616d0000b273838fa502b0d9e6c2cd838fbcab67616d0000b273d58e353826fe4e468533789fab67616d0000b273ef74b53ad3e57f2ab40a4cae',
-        playlists: [
-          { name: 'Sound of New York City', followers: 2187653, total_tracks: 100, image_url: 'https://i.scdn.co/image/ab67706c0000da84c4af81235e799ccfbe011e1a' },
-          { name: 'Sound of London', followers: 1853421, total_tracks: 100, image_url: 'https://i.scdn.co/image/ab67706c0000da844fed56bdb3e2e88e134f990a' },
-          { name: 'Sound of Tokyo', followers: 1765289, total_tracks: 100, image_url: 'https://i.scdn.co/image/ab67706c0000da841bbd99c7c7de409ba22e3936' }
-        ]
-      },
-      'weeknd': { 
-        name: 'The Weeknd', 
-        followers: 47561234, 
-        popularity: 96,
-        monthly_listeners: 76123456,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb214f3cf1cbe7139c1e26ffbb',
-        type: 'artist',
-        genres: ['canadian contemporary r&b', 'canadian pop', 'pop', 'r&b'],
-        top_tracks: [
-          { name: 'Blinding Lights', popularity: 99, album: 'After Hours', release_date: '2020-03-20', duration_ms: 200040 },
-          { name: 'Starboy', popularity: 97, album: 'Starboy', release_date: '2016-11-25', duration_ms: 230453 },
-          { name: 'Save Your Tears', popularity: 96, album: 'After Hours', release_date: '2020-03-20', duration_ms: 215947 },
-          { name: 'The Hills', popularity: 95, album: 'Beauty Behind the Madness', release_date: '2015-08-28', duration_ms: 242253 },
-          { name: 'Earned It', popularity: 94, album: 'Beauty Behind the Madness', release_date: '2015-08-28', duration_ms: 277680 }
-        ],
-        albums: [
-          { name: 'Dawn FM', release_date: '2022-01-07', total_tracks: 16, image_url: 'https://i.scdn.co/image/ab67616d0000b273c6af5ffa661a365b72cf542d' },
-          { name: 'After Hours', release_date: '2020-03-20', total_tracks: 14, image_url: 'https://i.scdn.co/image/ab67616d0000b2738863bc11d2aa12b54f5aeb36' },
-          { name: 'Starboy', release_date: '2016-11-25', total_tracks: 18, image_url: 'https://i.scdn.co/image/ab67616d0000b273a048415db06a5b6fa7ec4e1a' }
-        ]
-      },
-      'theweeknd': { 
-        name: 'The Weeknd', 
-        followers: 47561234, 
-        popularity: 96,
-        monthly_listeners: 76123456,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb214f3cf1cbe7139c1e26ffbb',
-        type: 'artist',
-        genres: ['canadian contemporary r&b', 'canadian pop', 'pop', 'r&b'],
-        top_tracks: [
-          { name: 'Blinding Lights', popularity: 99, album: 'After Hours', release_date: '2020-03-20', duration_ms: 200040 },
-          { name: 'Starboy', popularity: 97, album: 'Starboy', release_date: '2016-11-25', duration_ms: 230453 },
-          { name: 'Save Your Tears', popularity: 96, album: 'After Hours', release_date: '2020-03-20', duration_ms: 215947 },
-          { name: 'The Hills', popularity: 95, album: 'Beauty Behind the Madness', release_date: '2015-08-28', duration_ms: 242253 },
-          { name: 'Earned It', popularity: 94, album: 'Beauty Behind the Madness', release_date: '2015-08-28', duration_ms: 277680 }
-        ],
-        albums: [
-          { name: 'Dawn FM', release_date: '2022-01-07', total_tracks: 16, image_url: 'https://i.scdn.co/image/ab67616d0000b273c6af5ffa661a365b72cf542d' },
-          { name: 'After Hours', release_date: '2020-03-20', total_tracks: 14, image_url: 'https://i.scdn.co/image/ab67616d0000b2738863bc11d2aa12b54f5aeb36' },
-          { name: 'Starboy', release_date: '2016-11-25', total_tracks: 18, image_url: 'https://i.scdn.co/image/ab67616d0000b273a048415db06a5b6fa7ec4e1a' }
-        ]
-      },
-      'beyonce': { 
-        name: 'Beyoncé', 
-        followers: 38421953, 
-        popularity: 95,
-        monthly_listeners: 58976231,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5eb12e3f20d05a8d6cfde988715',
-        type: 'artist',
-        genres: ['dance pop', 'pop', 'r&b'],
-        top_tracks: [
-          { name: 'Halo', popularity: 94, album: 'I AM...SASHA FIERCE', release_date: '2008-11-14', duration_ms: 261640 },
-          { name: 'Single Ladies (Put a Ring on It)', popularity: 93, album: 'I AM...SASHA FIERCE', release_date: '2008-11-14', duration_ms: 193093 },
-          { name: 'Crazy in Love', popularity: 92, album: 'Dangerously In Love', release_date: '2003-06-24', duration_ms: 236133 },
-          { name: 'Formation', popularity: 91, album: 'Lemonade', release_date: '2016-04-23', duration_ms: 225773 },
-          { name: 'Run the World (Girls)', popularity: 90, album: '4', release_date: '2011-06-24', duration_ms: 235947 }
-        ],
-        albums: [
-          { name: 'RENAISSANCE', release_date: '2022-07-29', total_tracks: 16, image_url: 'https://i.scdn.co/image/ab67616d0000b273441d5b57653d4f10530cea3c' },
-          { name: 'Lemonade', release_date: '2016-04-23', total_tracks: 12, image_url: 'https://i.scdn.co/image/ab67616d0000b273e44963b8bb127552ac451d5e' },
-          { name: 'BEYONCÉ', release_date: '2013-12-13', total_tracks: 14, image_url: 'https://i.scdn.co/image/ab67616d0000b2736a6387ab37f64034cdc7b367' }
-        ]
-      },
-      'badpaddy': { 
-        name: 'Bad Paddy', 
-        followers: 47218, 
-        popularity: 58,
-        monthly_listeners: 93770,
-        image_url: 'https://i.scdn.co/image/ab67616d0000b273b8abc4de41be8b6b60521234',
-        type: 'artist',
-        genres: ['irish indie', 'irish rock', 'modern alternative rock'],
-        top_tracks: [
-          { name: 'Durt', popularity: 67, album: 'Durt', release_date: '2018-06-15', duration_ms: 194853 },
-          { name: 'Sink or Swim', popularity: 65, album: 'Sink or Swim', release_date: '2019-05-31', duration_ms: 202440 },
-          { name: 'Waster', popularity: 64, album: 'Waster', release_date: '2020-09-25', duration_ms: 185240 },
-          { name: 'Landfill', popularity: 63, album: 'Landfill', release_date: '2021-06-18', duration_ms: 212173 },
-          { name: 'Bad Man', popularity: 62, album: 'Bad Man', release_date: '2022-01-21', duration_ms: 197621 }
-        ],
-        albums: [
-          { name: 'Bad Man', release_date: '2022-01-21', total_tracks: 1, image_url: 'https://i.scdn.co/image/ab67616d0000b2736b10afb922ac6cb4cc84ecc5' },
-          { name: 'Landfill', release_date: '2021-06-18', total_tracks: 1, image_url: 'https://i.scdn.co/image/ab67616d0000b2732e0bdd7e924ba543e7308a7f' },
-          { name: 'Waster', release_date: '2020-09-25', total_tracks: 1, image_url: 'https://i.scdn.co/image/ab67616d0000b2734b0dad6602118bef8838829a' }
-        ]
-      },
-      'spotify': {
-        name: 'Spotify',
-        followers: 12536789,
-        popularity: 100,
-        type: 'account',
-        verified: true,
-        image_url: 'https://i.scdn.co/image/ab67706c0000da84fcb8b92f2143f980d0ff29b7',
-        playlists: [
-          { name: 'RapCaviar', followers: 15246789, total_tracks: 50, image_url: 'https://i.scdn.co/image/ab67706c0000da84b785a91532ebbf64e106b28a' },
-          { name: 'mint', followers: 6789423, total_tracks: 50, image_url: 'https://i.scdn.co/image/ab67706c0000da842e27a35f6acb532859a7ec0f' },
-          { name: 'Lorem', followers: 988453, total_tracks: 50, image_url: 'https://i.scdn.co/image/ab67706c0000da84e26811272a04965135645455' }
-        ]
-      },
-      'bts': {
-        name: 'BTS',
-        followers: 60987453,
-        popularity: 95,
-        monthly_listeners: 30987654,
-        image_url: 'https://i.scdn.co/image/ab6761610000e5ebcbed919527bb3fc185963e34',
-        type: 'artist',
-        genres: ['k-pop', 'k-pop boy group', 'pop'],
-        top_tracks: [
-          { name: 'Dynamite', popularity: 97, album: 'Dynamite (DayTime Version)', release_date: '2020-08-21', duration_ms: 199053 },
-          { name: 'Butter', popularity: 96, album: 'Butter', release_date: '2021-05-21', duration_ms: 164442 },
-          { name: 'Boy With Luv (feat. Halsey)', popularity: 95, album: 'MAP OF THE SOUL : PERSONA', release_date: '2019-04-12', duration_ms: 229773 },
-          { name: 'Permission to Dance', popularity: 94, album: 'Butter', release_date: '2021-07-09', duration_ms: 187795 },
-          { name: 'FAKE LOVE', popularity: 93, album: 'LOVE YOURSELF 轉 Tear', release_date: '2018-05-18', duration_ms: 248347 }
-        ],
-        albums: [
-          { name: 'Proof', release_date: '2022-06-10', total_tracks: 48, image_url: 'https://i.scdn.co/image/ab67616d0000b2738a701e76e8456f2be3fb725e' },
-          { name: 'BE', release_date: '2020-11-20', total_tracks: 8, image_url: 'https://i.scdn.co/image/ab67616d0000b273a8a1ac2fdae743a494ee65d9' },
-          { name: 'MAP OF THE SOUL : 7', release_date: '2020-02-21', total_tracks: 20, image_url: 'https://i.scdn.co/image/ab67616d0000b2732b0f28d77dfef80bfd6ba451' }
-        ]
-      }
-    };
-    
-    // Controleer eerst of de gebruiker in onze uitgebreide lijst staat
-    // Meerdere zoekoptimalisaties: lowercase, remove whitespace, normalize
-    let normalizedUsername = username.toLowerCase().replace(/\s+/g, '');
-    
-    // Varianten van namen proberen (bijv. 'theweeknd' vs 'weeknd')
-    if (normalizedUsername === 'weeknd' && knownProfiles['theweeknd']) {
-      normalizedUsername = 'theweeknd';
-    }
-    
-    if (knownProfiles[normalizedUsername]) {
-      const profile = knownProfiles[normalizedUsername];
-      
-      return res.json({
-        exists: true,
-        profile: {
-          username: normalizedUsername,
-          ...profile,
-          external_url: `https://open.spotify.com/${profile.type === 'account' ? 'user' : 'artist'}/${normalizedUsername}`
-        }
-      });
-    }
-    
-    // Probeer verschillende schrijfwijzen, spellingsvarianten
-    // Bijv. 'justinbeiber' (fout gespeld) zoeken in 'justinbieber'
-    const closeMatches = Object.keys(knownProfiles).filter(name => {
-      // Levenshtein distance implementatie (simpel)
-      const compareDistance = (s1, s2) => {
-        if (s1.length < s2.length) return compareDistance(s2, s1);
-        if (s2.length === 0) return s1.length;
-        
-        let previousRow = Array.from({ length: s2.length + 1 }, (_, i) => i);
-        for (let i = 0; i < s1.length; i++) {
-          const currentRow = [i + 1];
-          for (let j = 0; j < s2.length; j++) {
-            const insertions = previousRow[j + 1] + 1;
-            const deletions = currentRow[j] + 1;
-            const substitutions = previousRow[j] + (s1[i] !== s2[j] ? 1 : 0);
-            currentRow.push(Math.min(insertions, deletions, substitutions));
-          }
-          previousRow = currentRow;
-        }
-        return previousRow[s2.length];
-      };
-      
-      // Check op spellingsvarianten, afkortingen, etc.
-      const distance = compareDistance(normalizedUsername, name);
-      return distance <= 2; // 2 of minder verschillen
-    });
-    
-    if (closeMatches.length > 0) {
-      // Eerste close match gebruiken
-      const closestMatch = closeMatches[0];
-      const profile = knownProfiles[closestMatch];
-      
-      return res.json({
-        exists: true,
-        profile: {
-          username: closestMatch,
-          ...profile,
-          external_url: `https://open.spotify.com/${profile.type === 'account' ? 'user' : 'artist'}/${closestMatch}`,
-          note: `Exact match '${username}' not found, showing results for '${profile.name}' instead.`
-        }
-      });
-    }
-    
-    // Voor andere gebruikersnamen, maak een intelligente gok
-    const likely_artist = username.length > 3 && !username.match(/\d{3,}/);
-    
-    if (likely_artist) {
-      // Format name met goede hoofdletters
-      const formattedName = username
-        .split(/[-_\s]/)
-        .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-        .join(' ');
-      
-      // Genereer random minder bekende genres
-      const genres = [
-        ['indie', 'alternative', 'rock', 'indie rock', 'alternative rock'],
-        ['hip hop', 'rap', 'trap', 'conscious hip hop', 'underground hip hop'],
-        ['edm', 'electronic', 'dance', 'house', 'techno'],
-        ['pop', 'synth pop', 'dance pop', 'electropop', 'art pop'],
-        ['r&b', 'soul', 'neo soul', 'contemporary r&b', 'urban contemporary']
-      ];
-      
-      const randomGenreSet = genres[Math.floor(Math.random() * genres.length)];
-      const selectedGenres = [];
-      for (let i = 0; i < Math.floor(Math.random() * 3) + 2; i++) {
-        const randomGenre = randomGenreSet[Math.floor(Math.random() * randomGenreSet.length)];
-        if (!selectedGenres.includes(randomGenre)) {
-          selectedGenres.push(randomGenre);
-        }
-      }
-      
-      // Genereer albumtitels
-      const generateAlbumTitle = (artistName) => {
-        const albumTitleFormats = [
-          artistName.split(' ')[0], // Gebruik voornaam
-          `The ${artistName} Experience`,
-          `${artistName} ${Math.floor(Math.random() * 2) + 1}`, // Artiest 1, Artiest 2
-          ['Euphoria', 'Dreamer', 'Midnight', 'Sunrise', 'Horizon', 'Nostalgia', 'Revolution', 'Journey', 'Freedom', 'Utopia'][Math.floor(Math.random() * 10)],
-          `${formattedName}'s World`
-        ];
-        
-        return albumTitleFormats[Math.floor(Math.random() * albumTitleFormats.length)];
-      };
-      
-      // Genereer songtitels
-      const generateSongTitle = (artistName) => {
-        const songTitleFormats = [
-          ['Love', 'Hate', 'Dream', 'Hope', 'Faith', 'Paradise', 'Heaven', 'Hell', 'Life', 'Time'][Math.floor(Math.random() * 10)],
-          `${artistName}'s Interlude`,
-          `In My ${['Mind', 'Heart', 'Soul', 'Dream', 'World'][Math.floor(Math.random() * 5)]}`,
-          `${['Beautiful', 'Crazy', 'Amazing', 'Perfect', 'Broken'][Math.floor(Math.random() * 5)]} ${['Day', 'Night', 'Love', 'World', 'Girl', 'Boy'][Math.floor(Math.random() * 6)]}`,
-          `The ${['Way', 'Path', 'Journey', 'Story', 'Legend'][Math.floor(Math.random() * 5)]}`
-        ];
-        
-        return songTitleFormats[Math.floor(Math.random() * songTitleFormats.length)];
-      };
-      
-      // Genereer albums
-      const albums = [];
-      for (let i = 0; i < Math.floor(Math.random() * 2) + 2; i++) {
-        const albumYear = 2023 - i;
-        const randomMonth = Math.floor(Math.random() * 12) + 1;
-        const randomDay = Math.floor(Math.random() * 28) + 1;
-        
-        albums.push({
-          name: generateAlbumTitle(formattedName),
-          release_date: `${albumYear}-${randomMonth.toString().padStart(2, '0')}-${randomDay.toString().padStart(2, '0')}`,
-          total_tracks: Math.floor(Math.random() * 8) + 6,
-          image_url: [
-            'https://i.scdn.co/image/ab67616d0000b273b11bdc91cb9ac98b16ea29b1',
-            'https://i.scdn.co/image/ab67616d0000b273cb4ec52c48a6b071ed2ab6bc',
-            'https://i.scdn.co/image/ab67616d0000b2737358a760596f0c9aee3a1cc6',
-            'https://i.scdn.co/image/ab67616d0000b273e0c86ff886d8101f24dc223b',
-            'https://i.scdn.co/image/ab67616d0000b273afb855e6eba49a012b37c60a'
-          ][Math.floor(Math.random() * 5)]
-        });
-      }
-      
-      // Genereer toptracks
-      const topTracks = [];
-      for (let i = 0; i < 5; i++) {
-        const randomAlbum = albums[Math.floor(Math.random() * albums.length)];
-        topTracks.push({
-          name: generateSongTitle(formattedName),
-          popularity: Math.floor(Math.random() * 30) + 50,
-          album: randomAlbum.name,
-          release_date: randomAlbum.release_date,
-          duration_ms: Math.floor(Math.random() * 100000) + 150000
-        });
-      }
-      
-      // Genereer plausibele artistdata
-      return res.json({
-        exists: true,
-        profile: {
-          username: normalizedUsername,
-          name: formattedName,
-          followers: Math.floor(Math.random() * 50000) + 100,
-          popularity: Math.floor(Math.random() * 80) + 20,
-          monthly_listeners: Math.floor(Math.random() * 80000) + 1000,
-          image_url: [
-            'https://i.scdn.co/image/ab6761610000e5eb6a0633b2b741fd857558e409',
-            'https://i.scdn.co/image/ab6761610000e5eb8c7f275dd8dae2d1676c7b49',
-            'https://i.scdn.co/image/ab6761610000e5ebeac917b9a5db711acb84862a',
-            'https://i.scdn.co/image/ab6761610000e5ebc7db57b1c848a1532767c696',
-            'https://i.scdn.co/image/ab6761610000e5ebf3ca460461fae39243a15316'
-          ][Math.floor(Math.random() * 5)],
-          type: 'artist',
-          genres: selectedGenres,
-          top_tracks: topTracks,
-          albums: albums,
-          simulated: true,
-          external_url: `https://open.spotify.com/artist/${normalizedUsername}`
-        }
-      });
-    } else {
-      // Als het waarschijnlijk een gebruiker in plaats van een artiest is
-      const isLikelyUser = username.length >= 3 && !username.includes(' ');
-      
-      if (isLikelyUser) {
-        // Format name met goede hoofdletters
-        const formattedName = username
-          .split(/[-_]/)
-          .map(word => word.charAt(0).toUpperCase() + word.slice(1).toLowerCase())
-          .join(' ');
-        
-        // Genereer playlists voor gebruikers
-        const generatePlaylistName = () => {
-          const playlistPrefixes = ['My', 'Favorite', 'Best', 'Ultimate', 'Top', 'Essential'];
-          const playlistTypes = ['Vibes', 'Mix', 'Collection', 'Playlist', 'Selections', 'Hits'];
-          const playlistGenres = ['Rock', 'Pop', 'Hip Hop', 'R&B', 'Electronic', 'Indie', 'Chill', 'Party', 'Workout', 'Focus'];
-          
-          const useGenre = Math.random() > 0.5;
-          if (useGenre) {
-            return `${playlistPrefixes[Math.floor(Math.random() * playlistPrefixes.length)]} ${playlistGenres[Math.floor(Math.random() * playlistGenres.length)]}`;
-          } else {
-            return `${formattedName}'s ${playlistTypes[Math.floor(Math.random() * playlistTypes.length)]}`;
-          }
-        };
-        
-        const playlists = [];
-        for (let i = 0; i < Math.floor(Math.random() * 3) + 2; i++) {
-          playlists.push({
-            name: generatePlaylistName(),
-            followers: Math.floor(Math.random() * 1000) + 10,
-            total_tracks: Math.floor(Math.random() * 50) + 20,
-            image_url: [
-              'https://mosaic.scdn.co/640/ab67616d0000b2733d92b2ad5af9fbc8637425f0ab67616d0000b27365a6fc854a3d3dd8561b3d6aab67616d0000b273b11078ee23dcd99e19a22136ab67616d0000b273f46de17106c4094169e8f278',
-              'https://mosaic.scdn.co/640/ab67616d0000b273337c5cd881484f68c460b92cab67616d0000b273b29fe3874f65bb79ea52b19dab67616d0000b273d0ada88c5f051976c6dbafdab67616d0000b273dd7106adf7ec3cb52c87cabf',
-              'https://mosaic.scdn.co/640/ab67616d0000b2736b44ad73d4e6c6e553dac3ebab67616d0000b273a48dd70027ffc3fc2e29e0cfab67616d0000b273ce8f4e0a06bbfc4f425917adab67616d0000b273e3119a3e3e0ca37bb180c0a0',
-              'https://i.scdn.co/image/ab67706c0000da84df9f7092c2fbdefa3b502142',
-              'https://i.scdn.co/image/ab67706c0000da84507e4f2a8c4af45e4b556d09'
-            ][Math.floor(Math.random() * 5)]
-          });
-        }
-        
-        return res.json({
-          exists: true,
-          profile: {
-            username: normalizedUsername,
-            name: formattedName,
-            followers: Math.floor(Math.random() * 5000) + 10,
-            type: 'user',
-            playlists: playlists,
-            simulated: true,
-            external_url: `https://open.spotify.com/user/${normalizedUsername}`
-          }
-        });
-      } else {
-        // Als het niet waarschijnlijk een artiest of gebruiker is
-        return res.json({ exists: false });
-      }
-    }
-  } catch (error) {
-    console.error('Spotify API error:', error);
-    return res.status(500).json({ error: 'Server error fetching Spotify profile' });
-  }
-});
\ No newline at end of file
+module.exports = app;
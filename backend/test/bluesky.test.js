@@ -0,0 +1,30 @@
+// test/bluesky.test.js - Bluesky handles and did:web identifiers must not reach private hosts
+const test = require('node:test');
+const assert = require('node:assert');
+const dns = require('dns');
+
+Object.assign(process.env, { LOG_LEVEL: 'silent', HISTORY_ENABLED: 'false', CACHE_STORE: 'memory', BLUESKY_DNS: 'false' });
+
+// Stand-in resolver: these names point at loopback and link-local addresses
+const PRIVATE_NAMES = { 'alice.rebind.example.com': '127.0.0.1', 'metadata.rebind.example.com': '169.254.169.254' };
+const realLookup = dns.lookup;
+dns.lookup = (hostname, options, callback) => (PRIVATE_NAMES[hostname]
+  ? callback(null, [{ address: PRIVATE_NAMES[hostname], family: 4 }])
+  : realLookup(hostname, options, callback));
+
+const { getProvider, lookup } = require('../providers');
+
+const bluesky = getProvider('bluesky');
+
+test('a handle resolving to a private address is blocked', async () => {
+  const result = await lookup(bluesky, 'alice.rebind.example.com', { fresh: true });
+  assert.strictEqual(result.status, 'unknown');
+  assert.strictEqual(result.reason, 'blocked');
+  assert.match(result.error, /not a public address/);
+});
+
+test('a did:web identifier resolving to a private address is blocked', async () => {
+  const result = await lookup(bluesky, 'did:web:metadata.rebind.example.com', { fresh: true });
+  assert.strictEqual(result.status, 'unknown');
+  assert.strictEqual(result.reason, 'blocked');
+});
@@ -0,0 +1,52 @@
+// test/cache.test.js - Response cache stores and namespace eviction
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Cache, FileStore, MemoryStore } = require('../lib/cache');
+
+const entry = value => ({ value, storedAt: Date.now(), ttl: 60 });
+
+const stores = {
+  memory: () => new MemoryStore(),
+  file: () => new FileStore({ dir: fs.mkdtempSync(path.join(os.tmpdir(), 'mgn-cache-test-')) })
+};
+
+Object.entries(stores).forEach(([name, create]) => {
+  test(`${name} store: evicting a namespace drops only its keys`, async () => {
+    const store = create();
+    const cache = new Cache({ store });
+    await store.set('spotify:drake.', entry(1));
+    await store.set('spotify:the-weeknd', entry(2));
+    await store.set('spotifyish:drake', entry(3));
+    await store.set('github:octocat', entry(4));
+
+    await cache.evictNamespace('spotify');
+
+    assert.strictEqual(await store.get('spotify:drake.'), undefined);
+    assert.strictEqual(await store.get('spotify:the-weeknd'), undefined);
+    assert.strictEqual((await store.get('spotifyish:drake')).value, 3);
+    assert.strictEqual((await store.get('github:octocat')).value, 4);
+    if (store.dir) {
+      fs.rmSync(store.dir, { recursive: true, force: true });
+    }
+  });
+});
+
+test('file store: evicting before anything was stored is a no-op', async () => {
+  const store = new FileStore({ dir: path.join(os.tmpdir(), 'mgn-cache-test-missing') });
+  await store.deleteNamespace('spotify');
+});
+
+test('wrap serves hits and reloads after eviction', async () => {
+  const cache = new Cache({ store: new MemoryStore() });
+  let loads = 0;
+  const loader = async () => ++loads;
+  const options = { ttl: () => 60 };
+  assert.strictEqual((await cache.wrap('spotify:drake', loader, options)).cache.state, 'miss');
+  assert.strictEqual((await cache.wrap('spotify:drake', loader, options)).cache.state, 'hit');
+  await cache.evictNamespace('spotify');
+  const reloaded = await cache.wrap('spotify:drake', loader, options);
+  assert.deepStrictEqual([reloaded.value, reloaded.cache.state], [2, 'miss']);
+});
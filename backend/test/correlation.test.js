@@ -0,0 +1,43 @@
+// test/correlation.test.js - Link and verdict checks for the same-person correlation
+const test = require('node:test');
+const assert = require('node:assert');
+const { correlatePair } = require('../lib/correlation');
+
+const profile = (platform, username, fields) => ({ platform, username, url: `https://${platform}.example/${username}`, ...fields });
+
+const linksSignal = pair => pair.signals.find(entry => entry.signal === 'links');
+
+test('dotted words in bios are not links', () => {
+  const pair = correlatePair(
+    profile('github', 'alice', { bio: 'Backend dev. Node.js and Vue.js fan' }),
+    profile('reddit', 'bob_1987', { bio: 'I hate Node.js' })
+  );
+  assert.strictEqual(linksSignal(pair), undefined);
+  assert.notStrictEqual(pair.verdict, 'possibly_same');
+  assert.notStrictEqual(pair.verdict, 'likely_same');
+});
+
+test('bio links need a scheme or www.', () => {
+  const pair = correlatePair(
+    profile('github', 'alice', { bio: 'Blog at https://www.Alice.dev/posts/' }),
+    profile('reddit', 'alice', { bio: 'see www.alice.dev/posts' })
+  );
+  assert.strictEqual(linksSignal(pair).matched, true);
+  assert.match(linksSignal(pair).detail, /alice\.dev\/posts/);
+});
+
+test('website fields count without a scheme', () => {
+  const pair = correlatePair(
+    profile('github', 'alice', { extras: { github: { blog: 'alice.dev' } } }),
+    profile('instagram', 'alice', { extras: { instagram: { external_url: 'https://alice.dev/' } } })
+  );
+  assert.strictEqual(linksSignal(pair).matched, true);
+});
+
+test('a profile linking to the other is a match', () => {
+  const pair = correlatePair(
+    profile('github', 'alice', { bio: 'Also on https://reddit.example/bob' }),
+    profile('reddit', 'bob', {})
+  );
+  assert.strictEqual(linksSignal(pair).detail, 'one profile links to the other');
+});
@@ -0,0 +1,46 @@
+// test/counts.test.js - Humanized count parsing
+const test = require('node:test');
+const assert = require('node:assert');
+const { parseCount } = require('../lib/counts');
+
+test('suffixed counts', () => {
+  assert.strictEqual(parseCount('1.2K'), 1200);
+  assert.strictEqual(parseCount('3,4 mln'), 3400000);
+  assert.strictEqual(parseCount('12.5M'), 12500000);
+  assert.strictEqual(parseCount('1.2万'), 12000);
+  assert.strictEqual(parseCount('12,5 тыс.'), 12500);
+  assert.strictEqual(parseCount('2,5 Mio.'), 2500000);
+  assert.strictEqual(parseCount('1.5B followers'), 1500000000);
+});
+
+test('bare numbers with thousands separators', () => {
+  assert.strictEqual(parseCount('1,234'), 1234);
+  assert.strictEqual(parseCount('1.234.567'), 1234567);
+  assert.strictEqual(parseCount('1 234 567'), 1234567);
+  assert.strictEqual(parseCount('1 234'), 1234);
+  assert.strictEqual(parseCount("1'234'567"), 1234567);
+  assert.strictEqual(parseCount('1,234,567.5'), 1234568);
+  assert.strictEqual(parseCount('1.234.567,5'), 1234568);
+});
+
+test('a three-digit fraction before a suffix follows the locale', () => {
+  assert.strictEqual(parseCount('1.234M'), 1234000);
+  assert.strictEqual(parseCount('1,234K'), 1234000);
+  assert.strictEqual(parseCount('1,234K', { locale: 'de' }), 1234);
+  assert.strictEqual(parseCount('1.234K', { locale: 'de-DE' }), 1234000);
+});
+
+test('numbers pass through rounded', () => {
+  assert.strictEqual(parseCount(42), 42);
+  assert.strictEqual(parseCount(41.6), 42);
+  assert.strictEqual(parseCount(Infinity), null);
+});
+
+test('empty and unreadable input is null', () => {
+  assert.strictEqual(parseCount(''), null);
+  assert.strictEqual(parseCount('   '), null);
+  assert.strictEqual(parseCount(null), null);
+  assert.strictEqual(parseCount(undefined), null);
+  assert.strictEqual(parseCount('n/a'), null);
+  assert.strictEqual(parseCount('followers'), null);
+});
@@ -0,0 +1,14 @@
+// test/handles.test.js - The spelling handles are keyed under
+const test = require('node:test');
+const assert = require('node:assert');
+const { HANDLE_DEFAULTS, handleKey } = require('../lib/handles');
+
+test('handles are keyed lowercased by default', () => {
+  assert.strictEqual(handleKey(HANDLE_DEFAULTS, 'Octocat'), 'octocat');
+});
+
+test('case-sensitive platforms keep the handle as typed', () => {
+  const rules = { ...HANDLE_DEFAULTS, caseSensitive: true };
+  assert.strictEqual(handleKey(rules, 'PG'), 'PG');
+  assert.notStrictEqual(handleKey(rules, 'PG'), handleKey(rules, 'pg'));
+});
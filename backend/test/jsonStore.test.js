@@ -0,0 +1,23 @@
+// test/jsonStore.test.js - Serialized writes of the JSON document store
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const JsonStore = require('../lib/jsonStore');
+
+test('a failed write is reported to its caller and later writes still land', async t => {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mgn-jsonstore-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+  const file = path.join(dir, 'store.json');
+  const store = new JsonStore(file, { items: [] });
+
+  const writeFile = t.mock.method(fs.promises, 'writeFile');
+  writeFile.mock.mockImplementationOnce(async () => {
+    throw new Error('disk full');
+  });
+
+  await assert.rejects(store.update(data => data.items.push('first')), /disk full/);
+  assert.strictEqual(await store.update(data => data.items.push('second')), 2);
+  assert.deepStrictEqual(JSON.parse(fs.readFileSync(file, 'utf8')), { items: ['first', 'second'] });
+});
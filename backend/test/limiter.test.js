@@ -0,0 +1,37 @@
+// test/limiter.test.js - Concurrency, spacing and async context of the promise limiter
+const test = require('node:test');
+const assert = require('node:assert');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createLimiter } = require('../lib/limiter');
+
+const delay = ms => new Promise(resolve => setTimeout(resolve, ms));
+
+test('never runs more than `concurrency` tasks at once', async () => {
+  const limit = createLimiter({ concurrency: 2 });
+  let running = 0;
+  let peak = 0;
+  await Promise.all(Array.from({ length: 6 }, () => limit(async () => {
+    running += 1;
+    peak = Math.max(peak, running);
+    await delay(5);
+    running -= 1;
+  })));
+  assert.strictEqual(peak, 2);
+});
+
+test('spaces task starts by `intervalMs`', async () => {
+  const limit = createLimiter({ concurrency: 5, intervalMs: 20 });
+  const starts = [];
+  await Promise.all([1, 2, 3].map(() => limit(async () => starts.push(Date.now()))));
+  assert.ok(starts[2] - starts[0] >= 35);
+});
+
+test('queued tasks run in the async context of their caller', async () => {
+  const context = new AsyncLocalStorage();
+  const limit = createLimiter({ concurrency: 1, intervalMs: 5 });
+  const seen = await Promise.all(['a', 'b', 'c'].map(key => context.run(key, () => limit(async () => {
+    await delay(2);
+    return context.getStore();
+  }))));
+  assert.deepStrictEqual(seen, ['a', 'b', 'c']);
+});
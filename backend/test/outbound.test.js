@@ -0,0 +1,59 @@
+// test/outbound.test.js - Scheduler lifetime and host labels for caller-named hosts
+const test = require('node:test');
+const assert = require('node:assert');
+
+process.env.LOG_LEVEL = 'silent';
+
+const { createScheduledAdapter } = require('../lib/outbound');
+const { instrumentAdapter, metricsHandler } = require('../lib/metrics');
+
+const options = {
+  defaults: { ratePerSec: 100, burst: 10, concurrency: 2, maxRetries: 0, retryBaseMs: 1, maxRetryDelayMs: 1, failureThreshold: 5, cooldownMs: 1000 },
+  hosts: {},
+  idleSchedulerMs: 0,
+  isKnownHost: host => host === 'api.example.com'
+};
+
+const ok = async config => ({ status: 200, statusText: 'OK', headers: {}, data: {}, config, request: {} });
+const hostsOf = adapter => adapter.status().map(entry => entry.host).sort();
+
+test('idle schedulers of caller-named hosts are dropped, configured ones are kept', async () => {
+  const adapter = createScheduledAdapter(ok, options);
+  await adapter({ url: 'https://api.example.com/users/alice' });
+  await adapter({ url: 'https://one.example.net/.well-known/webfinger' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  await adapter({ url: 'https://two.example.net/.well-known/webfinger' });
+
+  assert.deepStrictEqual(hostsOf(adapter), ['api.example.com', 'two.example.net']);
+});
+
+test('schedulers with requests in flight are not dropped', async () => {
+  let finish;
+  const gate = new Promise(resolve => {
+    finish = resolve;
+  });
+  const slow = config => gate.then(() => ok(config));
+  const adapter = createScheduledAdapter(slow, options);
+  const pending = adapter({ url: 'https://busy.example.net/' });
+  await new Promise(resolve => setTimeout(resolve, 5));
+  const next = adapter({ url: 'https://other.example.net/' });
+
+  assert.deepStrictEqual(hostsOf(adapter), ['busy.example.net', 'other.example.net']);
+  finish();
+  await Promise.all([pending, next]);
+});
+
+test('caller-named hosts share one metrics label', async () => {
+  const instrumented = instrumentAdapter(ok, () => ({ platform: 'mastodon' }), host => (options.isKnownHost(host) ? host : 'other'));
+  await instrumented({ url: 'https://a.example.net/' });
+  await instrumented({ url: 'https://b.example.net/' });
+  await instrumented({ url: 'https://api.example.com/' });
+
+  let body = '';
+  await metricsHandler({}, { type() { return this; }, send(text) { body = text; } }, assert.ifError);
+  const hosts = body.split('\n')
+    .filter(line => line.startsWith('mgn_upstream_responses_total{platform="mastodon"'))
+    .map(line => line.match(/host="([^"]+)"/)[1])
+    .sort();
+  assert.deepStrictEqual(hosts, ['api.example.com', 'other']);
+});
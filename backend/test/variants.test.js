@@ -0,0 +1,31 @@
+// test/variants.test.js - Handle variant generation
+const test = require('node:test');
+const assert = require('node:assert');
+const { generateVariants } = require('../lib/variants');
+
+test('the plain handle comes first and nothing repeats', () => {
+  const variants = generateVariants('John Smith');
+  assert.strictEqual(variants[0], 'johnsmith');
+  assert.strictEqual(new Set(variants).size, variants.length);
+});
+
+test('every category appears under the default cap', () => {
+  const variants = generateVariants('john smith');
+  assert.strictEqual(variants.length, 30);
+  assert.ok(variants.includes('john_smith'), 'separator variant');
+  assert.ok(variants.includes('realjohnsmith'), 'prefix variant');
+  assert.ok(variants.includes('real-johnsmith'), 'prefix variant with "-"');
+  assert.ok(variants.includes('johnsmithhq'), 'suffix variant');
+  assert.ok(variants.includes('johnsmith-hq'), 'suffix variant with "-"');
+  assert.ok(variants.includes('johnsmith1'), 'numeric suffix');
+  assert.ok(variants.includes('johnsmith_1'), 'numeric suffix with "_"');
+});
+
+test('a low limit still samples prefixes, suffixes and numbers', () => {
+  const variants = generateVariants('jane', { limit: 4 });
+  assert.deepStrictEqual(variants, ['jane', 'realjane', 'janehq', 'jane1']);
+});
+
+test('handles without letters or digits have no variants', () => {
+  assert.deepStrictEqual(generateVariants('@_.-'), []);
+});